@@ -0,0 +1,237 @@
+// =================================================================================
+// --- ACHIEVEMENTS.JS - Achievements ---
+// =================================================================================
+// Unlocks the ACHIEVEMENTS listed in config.js as game events come in on the
+// event bus (events.js). Each definition names the event it listens for plus
+// optional `match`, `check` and `count`.
+// Unlocks and counts live in localStorage, so they carry across games and
+// save slots. A toast announces each unlock; the main menu lists them all.
+// =================================================================================
+
+import { ROOM_DATA, ROOM_ORDER, ACHIEVEMENTS } from './config.js';
+import { SoundManager } from './sound.js';
+import { getRevealedIds } from './flashlight.js';
+import { getHintLevel, getHintsUsed } from './progression.js';
+import { on } from './events.js';
+
+// =================================================================================
+// ACHIEVEMENT STATE
+// =================================================================================
+const STORAGE_KEY = 'syntheye_achievements';
+const TOAST_DURATION = 3500;
+
+let achievementState = null;    // { unlocked: {id: timestamp}, counts: {id: number} }, loaded lazily
+let toastQueue = [];
+let toastTimeout = null;
+
+function getState() {
+    if (!achievementState) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            achievementState = { unlocked: stored.unlocked || {}, counts: stored.counts || {} };
+        } catch (error) {
+            console.warn('Achievement data is unreadable, starting fresh:', error);
+            achievementState = { unlocked: {}, counts: {} };
+        }
+    }
+    return achievementState;
+}
+
+function persist() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getState()));
+    } catch (error) {
+        console.warn('Could not save achievements:', error);
+    }
+}
+
+// =================================================================================
+// CHECKS
+// =================================================================================
+// Extra conditions a definition can ask for in its `check` block. Each gets
+// the check's value and the event data.
+// =================================================================================
+const CHECKS = {
+    // No hints were shown for a hotspot (in the event's room)
+    noHintsFor: (hotspotName, data) => getHintLevel(hotspotName, data.roomKey) === 0,
+
+    // No hints were shown at all this game
+    noHints: () => getHintsUsed() === 0,
+
+    // Every flashlight reveal in the story rooms has been found
+    allReveals: () => {
+        const revealed = getRevealedIds();
+        return ROOM_ORDER.every(roomKey => ROOM_DATA[roomKey].geometry
+            .filter(geo => geo.revealId)
+            .every(geo => revealed.includes(geo.revealId)));
+    },
+
+    // The game was timed from a new game and finished within this many ms
+    maxTime: (limit, data) => data.time !== null && data.time !== undefined && data.time <= limit
+};
+
+// =================================================================================
+// EVENTS
+// =================================================================================
+/**
+ * Subscribe to every event an achievement listens for. Called once at startup.
+ */
+export function initAchievements() {
+    const types = new Set(ACHIEVEMENTS.map(achievement => achievement.event));
+    types.forEach(type => on(type, data => handleEvent(type, data)));
+}
+
+/**
+ * Unlock any achievement this event completes.
+ */
+function handleEvent(type, data) {
+    const state = getState();
+    let changed = false;
+
+    for (const achievement of ACHIEVEMENTS) {
+        if (achievement.event !== type || state.unlocked[achievement.id]) continue;
+        if (!matches(achievement, data)) continue;
+
+        if (achievement.count) {
+            state.counts[achievement.id] = (state.counts[achievement.id] || 0) + 1;
+            changed = true;
+            if (state.counts[achievement.id] < achievement.count) continue;
+        }
+
+        state.unlocked[achievement.id] = Date.now();
+        changed = true;
+        queueToast(achievement);
+        console.log(`Achievement unlocked: ${achievement.id}`);
+    }
+
+    if (changed) persist();
+}
+
+function matches(achievement, data) {
+    const { match = {}, check = {} } = achievement;
+    if (!Object.keys(match).every(key => data[key] === match[key])) return false;
+
+    return Object.keys(check).every(name => {
+        if (!CHECKS[name]) {
+            console.warn(`Unknown achievement check: ${name} (${achievement.id})`);
+            return false;
+        }
+        return CHECKS[name](check[name], data);
+    });
+}
+
+export function isAchievementUnlocked(id) {
+    return !!getState().unlocked[id];
+}
+
+// =================================================================================
+// TOAST
+// =================================================================================
+function queueToast(achievement) {
+    toastQueue.push(achievement);
+    if (!toastTimeout) showNextToast();
+}
+
+function showNextToast() {
+    createAchievementsHTML();
+    const toast = document.getElementById('achievement-toast');
+    const achievement = toastQueue.shift();
+
+    if (!achievement) {
+        toast.classList.remove('visible');
+        toastTimeout = null;
+        return;
+    }
+
+    toast.innerHTML = `
+        <div class="achievement-toast-label">ACHIEVEMENT UNLOCKED</div>
+        <div class="achievement-toast-title">${achievement.title}</div>
+    `;
+    toast.classList.add('visible');
+    SoundManager.playSuccess();
+    toastTimeout = setTimeout(showNextToast, TOAST_DURATION);
+}
+
+// =================================================================================
+// ACHIEVEMENTS SCREEN (main menu)
+// =================================================================================
+/**
+ * Fill the main menu's achievements list. Called each time it opens.
+ */
+export function renderAchievementsList() {
+    const { unlocked, counts } = getState();
+    const list = document.getElementById('achievements-list');
+    const total = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+
+    document.getElementById('achievements-summary').textContent = `${total} / ${ACHIEVEMENTS.length} UNLOCKED`;
+    list.innerHTML = ACHIEVEMENTS.map(achievement => {
+        const when = unlocked[achievement.id];
+        const progress = !when && achievement.count
+            ? ` (${counts[achievement.id] || 0}/${achievement.count})`
+            : '';
+        return `
+            <div class="flex justify-between items-start ${when ? '' : 'opacity-50'}">
+                <div>
+                    <p class="font-mono ${when ? 'text-yellow-400' : 'text-gray-400'}">${when ? '★' : '☆'} ${achievement.title}</p>
+                    <p class="text-ps1-light">${achievement.description}${progress}</p>
+                </div>
+                <span class="text-gray-500 whitespace-nowrap ml-4">${when ? new Date(when).toLocaleDateString() : 'LOCKED'}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createAchievementsHTML() {
+    if (document.getElementById('achievement-toast')) return;
+
+    document.body.insertAdjacentHTML('beforeend', '<div id="achievement-toast"></div>');
+    addAchievementStyles();
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addAchievementStyles() {
+    if (document.getElementById('achievement-styles')) return;
+
+    const styles = `
+        <style id="achievement-styles">
+            #achievement-toast {
+                position: fixed;
+                top: 56px;
+                right: 24px;
+                min-width: 220px;
+                font-family: 'Press Start 2P', monospace;
+                background: rgba(0, 0, 0, 0.85);
+                border: 2px solid #ffdd55;
+                padding: 10px 12px;
+                opacity: 0;
+                transform: translateX(20px);
+                transition: opacity 0.3s ease, transform 0.3s ease;
+                pointer-events: none;
+                z-index: 2100;
+            }
+
+            #achievement-toast.visible {
+                opacity: 1;
+                transform: translateX(0);
+            }
+
+            .achievement-toast-label {
+                font-size: 7px;
+                color: #aa9955;
+                margin-bottom: 6px;
+            }
+
+            .achievement-toast-title {
+                font-size: 10px;
+                color: #ffdd55;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
@@ -27,6 +27,10 @@ let playerPositionRef = new THREE.Vector3();  // Reference to player position
 
 // Distance threshold for zone reevaluation
 const ZONE_CHECK_DISTANCE = 0.5;
+
+// Hysteresis buffer - player must be this far inside a zone to switch to it
+// (the zone editor draws this inner margin)
+export const ZONE_HYSTERESIS = 1.5;
 let lastCheckPosition = new THREE.Vector3();
 
 // =================================================================================
@@ -94,9 +98,6 @@ export function updateCameraZone(playerPos) {
 function findBestZoneWithHysteresis(playerPos, zones) {
     if (!zones || zones.length === 0) return null;
 
-    // Hysteresis buffer - player must be this far inside a zone to switch
-    const HYSTERESIS = 1.5;
-
     let bestZone = null;
     let highestPriority = -1;
 
@@ -113,8 +114,8 @@ function findBestZoneWithHysteresis(playerPos, zones) {
                 playerPos.z >= b.z1 && playerPos.z <= b.z2;
         } else {
             // Other zones - must be HYSTERESIS units inside to enter
-            inZone = playerPos.x >= (b.x1 + HYSTERESIS) && playerPos.x <= (b.x2 - HYSTERESIS) &&
-                playerPos.z >= (b.z1 + HYSTERESIS) && playerPos.z <= (b.z2 - HYSTERESIS);
+            inZone = playerPos.x >= (b.x1 + ZONE_HYSTERESIS) && playerPos.x <= (b.x2 - ZONE_HYSTERESIS) &&
+                playerPos.z >= (b.z1 + ZONE_HYSTERESIS) && playerPos.z <= (b.z2 - ZONE_HYSTERESIS);
         }
 
         if (inZone) {
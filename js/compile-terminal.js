@@ -0,0 +1,464 @@
+// =================================================================================
+// --- COMPILE-TERMINAL.JS - Code Ordering Terminal Puzzle ---
+// =================================================================================
+// Green-screen terminal overlay for the Game Dev room. Collected code fragments
+// appear as source lines the player reorders, then "compiles". The fake
+// compiler log prints errors for a wrong order and a clean build for the right
+// one. Items are only consumed by the caller once the build succeeds.
+// =================================================================================
+
+import { STATE } from './config.js';
+import { SoundManager } from './sound.js';
+import { ITEM_DATA, getItems } from './inventory.js';
+import { resetMovement } from './movement.js';
+import { recordFailedAttempt } from './hints.js';
+
+// =================================================================================
+// COMPILE TERMINAL STATE
+// =================================================================================
+let compileState = {
+    isOpen: false,
+    config: null,           // Active puzzle config (see openCompileTerminal)
+    lines: [],              // Item ids in current source order
+    cursor: 0,              // Selected line
+    grabbed: false,         // True while the selected line is being moved
+    compiling: false        // True while the compiler log is printing
+};
+
+let logTimeouts = [];
+
+// =================================================================================
+// OPEN COMPILE TERMINAL UI
+// =================================================================================
+/**
+ * Opens the compile terminal.
+ * @param {Object} config - Puzzle configuration
+ * @param {string[]} config.items - Code fragment item ids (owned ones become lines)
+ * @param {string[]} config.solution - Item ids in the correct source order
+ * @param {Function} config.onSolve - Callback when the build succeeds
+ * @param {string} config.hotspotId - Optional ID of the hotspot that opened this
+ */
+export function openCompileTerminal(config) {
+    createCompileTerminalHTML();
+
+    compileState.isOpen = true;
+    compileState.config = config;
+    // Fragments load in the order they were picked up - rotated if that
+    // happens to already be the solution, so the puzzle never starts solved
+    compileState.lines = getItems().filter(id => config.items.includes(id));
+    if (compileState.lines.length > 1 && compileState.lines.every((id, i) => id === config.solution[i])) {
+        compileState.lines.push(compileState.lines.shift());
+    }
+    compileState.cursor = 0;
+    compileState.grabbed = false;
+    compileState.compiling = false;
+
+    // Stop walking - keyup events are not routed to movement while open
+    resetMovement();
+    STATE.interaction_mode = 'PUZZLE';
+
+    clearLog();
+    printLog(`$ open main.js  (${compileState.lines.length}/${config.items.length} fragments loaded)`, 'dim');
+    renderSource();
+    document.getElementById('compile-overlay').classList.remove('hidden');
+
+    console.log(`Compile terminal opened for: ${config.hotspotId}`);
+}
+
+// =================================================================================
+// CLOSE COMPILE TERMINAL UI
+// =================================================================================
+export function closeCompileTerminal() {
+    logTimeouts.forEach(clearTimeout);
+    logTimeouts = [];
+
+    compileState.isOpen = false;
+    compileState.config = null;
+    compileState.compiling = false;
+    document.getElementById('compile-overlay')?.classList.add('hidden');
+
+    if (STATE.interaction_mode === 'PUZZLE') {
+        STATE.interaction_mode = 'OVERWORLD';
+    }
+}
+
+// =================================================================================
+// CHECK IF COMPILE TERMINAL IS OPEN
+// =================================================================================
+export function isCompileTerminalOpen() {
+    return compileState.isOpen;
+}
+
+// =================================================================================
+// LINE OPERATIONS
+// =================================================================================
+function moveCursor(direction) {
+    const { lines } = compileState;
+    if (lines.length === 0) return;
+
+    const next = compileState.cursor + direction;
+    if (next < 0 || next >= lines.length) return;
+
+    // A grabbed line travels with the cursor
+    if (compileState.grabbed) {
+        [lines[compileState.cursor], lines[next]] = [lines[next], lines[compileState.cursor]];
+    }
+    compileState.cursor = next;
+
+    SoundManager.playBlip();
+    renderSource();
+}
+
+function toggleGrab() {
+    if (compileState.lines.length === 0) return;
+    compileState.grabbed = !compileState.grabbed;
+    SoundManager.playSelect();
+    renderSource();
+}
+
+// =================================================================================
+// COMPILE
+// =================================================================================
+function compile() {
+    if (compileState.compiling) return;
+
+    const { lines, config } = compileState;
+    compileState.grabbed = false;
+    compileState.compiling = true;
+    renderSource();
+
+    clearLog();
+    const output = [{ text: '$ syntheye-cc main.js -o build/game', style: 'dim' }];
+
+    // Missing fragments fail at link time
+    const missing = config.items.filter(id => !lines.includes(id));
+    if (missing.length > 0) {
+        output.push({ text: 'Compiling main.js...' });
+        missing.forEach(id => {
+            output.push({ text: `ld: error: unresolved symbol '${ITEM_DATA[id].symbol}' (missing fragment)`, style: 'error' });
+        });
+        output.push({ text: `BUILD FAILED: ${missing.length} error(s)`, style: 'error' });
+        playLog(output, false);
+        return;
+    }
+
+    output.push({ text: 'Compiling main.js...' });
+    let errors = 0;
+    lines.forEach((itemId, i) => {
+        const expected = config.solution.indexOf(itemId);
+        if (expected > i) {
+            // Runs before something it depends on
+            output.push({ text: `main.js:${i + 1}: error: '${ITEM_DATA[itemId].symbol}' used before initialization`, style: 'error' });
+            errors++;
+        } else if (expected < i) {
+            output.push({ text: `main.js:${i + 1}: error: '${ITEM_DATA[itemId].symbol}' unreachable after frame end`, style: 'error' });
+            errors++;
+        }
+    });
+
+    if (errors > 0) {
+        output.push({ text: `BUILD FAILED: ${errors} error(s)`, style: 'error' });
+        playLog(output, false);
+    } else {
+        output.push({ text: 'Linking build/game...' });
+        output.push({ text: 'Running build/game...' });
+        output.push({ text: '> init OK  > update OK  > draw OK' });
+        output.push({ text: 'BUILD SUCCEEDED: 0 errors, 0 warnings', style: 'success' });
+        playLog(output, true);
+    }
+}
+
+/**
+ * Print compiler output one line at a time, then resolve the result.
+ */
+function playLog(output, succeeded) {
+    output.forEach((line, i) => {
+        logTimeouts.push(setTimeout(() => {
+            printLog(line.text, line.style);
+            SoundManager.playTone(line.style === 'error' ? 180 : 900, 'square', 0.04, 0.03);
+        }, i * 250));
+    });
+
+    logTimeouts.push(setTimeout(() => {
+        const panel = document.getElementById('compile-panel');
+        if (succeeded) {
+            SoundManager.playSuccess();
+            panel.classList.add('compile-success');
+            logTimeouts.push(setTimeout(() => {
+                panel.classList.remove('compile-success');
+                const onSolve = compileState.config?.onSolve;
+                const hotspotId = compileState.config?.hotspotId;
+                closeCompileTerminal();
+                if (onSolve) onSolve(hotspotId);
+            }, 1200));
+        } else {
+            SoundManager.playTone(110, 'sawtooth', 0.3, 0.1);
+            recordFailedAttempt();
+            compileState.compiling = false;
+        }
+    }, output.length * 250));
+}
+
+// =================================================================================
+// RENDER COMPILE TERMINAL UI
+// =================================================================================
+function renderSource() {
+    const { lines, cursor, grabbed } = compileState;
+    const sourceEl = document.getElementById('compile-source');
+
+    if (lines.length === 0) {
+        sourceEl.innerHTML = '<div class="compile-line empty">// no fragments loaded</div>';
+        return;
+    }
+
+    sourceEl.innerHTML = lines.map((itemId, i) => `
+        <div class="compile-line ${i === cursor ? 'selected' : ''} ${i === cursor && grabbed ? 'grabbed' : ''}" data-line="${i}">
+            <span class="compile-gutter">${i + 1}</span>
+            <span class="compile-code">${ITEM_DATA[itemId].codeLine}</span>
+        </div>
+    `).join('');
+}
+
+function clearLog() {
+    const log = document.getElementById('compile-log');
+    if (log) log.innerHTML = '';
+}
+
+function printLog(text, style = '') {
+    const log = document.getElementById('compile-log');
+    if (!log) return;
+    const line = document.createElement('div');
+    line.className = `compile-log-line ${style}`;
+    line.textContent = text;
+    log.appendChild(line);
+    log.scrollTop = log.scrollHeight;
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleCompileTerminalKeydown(event) {
+    if (!compileState.isOpen) return false;
+
+    switch (event.key.toLowerCase()) {
+        case 'escape':
+            event.preventDefault();
+            SoundManager.playBlip();
+            closeCompileTerminal();
+            return true;
+        case 'w':
+        case 'arrowup':
+            event.preventDefault();
+            if (!compileState.compiling) moveCursor(-1);
+            return true;
+        case 's':
+        case 'arrowdown':
+            event.preventDefault();
+            if (!compileState.compiling) moveCursor(1);
+            return true;
+        case 'e':
+        case ' ':
+            // Grab / release the selected line
+            event.preventDefault();
+            if (!compileState.compiling) toggleGrab();
+            return true;
+        case 'enter':
+            event.preventDefault();
+            compile();
+            return true;
+    }
+
+    return false;
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createCompileTerminalHTML() {
+    if (document.getElementById('compile-overlay')) return;
+
+    const html = `
+        <div id="compile-overlay" class="hidden">
+            <div id="compile-panel">
+                <div id="compile-titlebar">main.js — COMPILE TERMINAL</div>
+                <div id="compile-source"></div>
+                <div id="compile-log"></div>
+                <div id="compile-actions">
+                    <button id="compile-btn-run" class="compile-btn">[ COMPILE ]</button>
+                    <button id="compile-btn-close" class="compile-btn">[ CLOSE ]</button>
+                </div>
+                <div id="compile-keys">W/S: Select | E: Grab/Release line | ENTER: Compile | ESC: Close</div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+    addCompileTerminalStyles();
+
+    // Click a line to select it, click it again to grab / release
+    document.getElementById('compile-source').addEventListener('click', (e) => {
+        const line = e.target.closest('.compile-line[data-line]');
+        if (!line || compileState.compiling) return;
+        const index = parseInt(line.dataset.line);
+        if (index === compileState.cursor) {
+            toggleGrab();
+        } else if (compileState.grabbed) {
+            moveCursor(Math.sign(index - compileState.cursor));
+        } else {
+            compileState.cursor = index;
+            SoundManager.playBlip();
+            renderSource();
+        }
+    });
+    document.getElementById('compile-btn-run').addEventListener('click', compile);
+    document.getElementById('compile-btn-close').addEventListener('click', () => {
+        SoundManager.playBlip();
+        closeCompileTerminal();
+    });
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addCompileTerminalStyles() {
+    if (document.getElementById('compile-styles')) return;
+
+    const styles = `
+        <style id="compile-styles">
+            #compile-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+                font-family: 'Courier New', monospace;
+            }
+
+            #compile-overlay.hidden {
+                display: none;
+            }
+
+            #compile-panel {
+                background: #020a04;
+                border: 3px solid #1f6b3a;
+                box-shadow: 0 0 30px rgba(0, 255, 100, 0.25), inset 0 0 40px rgba(0, 40, 10, 0.9);
+                width: 560px;
+                padding: 0 0 16px 0;
+                color: #33ff77;
+                text-shadow: 0 0 4px rgba(0, 255, 100, 0.6);
+            }
+
+            #compile-panel.compile-success {
+                border-color: #66ff99;
+                box-shadow: 0 0 40px rgba(0, 255, 100, 0.7);
+            }
+
+            #compile-titlebar {
+                background: #1f6b3a;
+                color: #020a04;
+                text-shadow: none;
+                font-size: 12px;
+                font-weight: bold;
+                padding: 6px 12px;
+                margin-bottom: 12px;
+            }
+
+            #compile-source {
+                margin: 0 16px 12px;
+                border: 1px solid #1f6b3a;
+                min-height: 90px;
+            }
+
+            .compile-line {
+                display: flex;
+                gap: 12px;
+                padding: 6px 8px;
+                font-size: 14px;
+                cursor: pointer;
+            }
+
+            .compile-line.empty {
+                color: #1f6b3a;
+                cursor: default;
+            }
+
+            .compile-line.selected {
+                background: rgba(51, 255, 119, 0.12);
+            }
+
+            .compile-line.grabbed {
+                background: #33ff77;
+                color: #020a04;
+                text-shadow: none;
+            }
+
+            .compile-gutter {
+                color: #1f6b3a;
+                width: 18px;
+                text-align: right;
+            }
+
+            .compile-line.grabbed .compile-gutter {
+                color: #020a04;
+            }
+
+            #compile-log {
+                margin: 0 16px 12px;
+                height: 120px;
+                overflow-y: auto;
+                font-size: 11px;
+                line-height: 1.6;
+                border-top: 1px dashed #1f6b3a;
+                padding-top: 8px;
+            }
+
+            .compile-log-line.dim {
+                color: #1f9b4a;
+            }
+
+            .compile-log-line.error {
+                color: #ff5544;
+                text-shadow: 0 0 4px rgba(255, 60, 40, 0.6);
+            }
+
+            .compile-log-line.success {
+                color: #aaffcc;
+                font-weight: bold;
+            }
+
+            #compile-actions {
+                display: flex;
+                gap: 10px;
+                justify-content: center;
+                margin-bottom: 8px;
+            }
+
+            .compile-btn {
+                background: #020a04;
+                border: 2px solid #1f6b3a;
+                color: #33ff77;
+                padding: 6px 12px;
+                font-family: 'Courier New', monospace;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .compile-btn:hover {
+                background: #0a2a14;
+                border-color: #33ff77;
+            }
+
+            #compile-keys {
+                text-align: center;
+                color: #1f6b3a;
+                font-size: 10px;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
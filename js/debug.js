@@ -2,13 +2,18 @@
 // --- DEBUG.JS - Debug Menu System with Camera Position Editor ---
 // =================================================================================
 // Press ` (backtick) to toggle debug menu
-// Provides: free cam, camera position list per room, add/delete/export positions
+// Provides: free cam, camera position list per room, add/delete/export positions,
+// the room geometry editor (debug/RoomEditor.js), hotspot rings (debug/HotspotEditor.js)
+// and camera zone bounds (debug/CameraZoneEditor.js)
 // =================================================================================
 
 import * as THREE from 'three';
 import { STATE, ROOM_DATA, ROOM_ORDER } from './config.js';
 import { camera, playerMesh, scene } from './three-init.js';
 import { setRoom } from './rooms.js';
+import { roomEditor } from './debug/RoomEditor.js';
+import { hotspotEditor } from './debug/HotspotEditor.js';
+import { cameraZoneEditor } from './debug/CameraZoneEditor.js';
 
 // =================================================================================
 // DEBUG STATE
@@ -201,12 +206,30 @@ export function initDebugMenu() {
                 📤 EXPORT CURRENT ROOM CAMERAS
             </button>
         </div>
+
+        <!-- ================================================================== -->
+        <!-- ROOM GEOMETRY EDITOR (filled by RoomEditor) -->
+        <!-- ================================================================== -->
+        <div id="debug-room-editor" style="margin-top: 15px; padding: 10px; background: #0a0a0a; border: 2px solid #00aa00;"></div>
+
+        <!-- ================================================================== -->
+        <!-- HOTSPOT & TRIGGER EDITOR (filled by HotspotEditor) -->
+        <!-- ================================================================== -->
+        <div id="debug-hotspot-editor" style="margin-top: 15px; padding: 10px; background: #0a0a0a; border: 2px solid #00aa00;"></div>
+
+        <!-- ================================================================== -->
+        <!-- CAMERA ZONE EDITOR (filled by CameraZoneEditor) -->
+        <!-- ================================================================== -->
+        <div id="debug-camera-zone-editor" style="margin-top: 15px; padding: 10px; background: #0a0a0a; border: 2px solid #00aa00;"></div>
     `;
 
     document.body.appendChild(debugOverlay);
 
     // Setup event listeners
     setupDebugListeners();
+    roomEditor.init(document.getElementById('debug-room-editor'));
+    hotspotEditor.init(document.getElementById('debug-hotspot-editor'));
+    cameraZoneEditor.init(document.getElementById('debug-camera-zone-editor'));
 
     // Setup mouse listeners for right-click rotate
     setupMouseListeners();
@@ -573,7 +596,11 @@ export function toggleDebugMenu() {
 // UPDATE DEBUG VALUES (called every frame)
 // =================================================================================
 export function updateDebugValues() {
-    if (!debugMenuVisible) return;
+    // Zone bounds stay drawn while the menu is hidden
+    cameraZoneEditor.update();
+
+    // DebugManager shows/hides the overlay directly, so check the overlay itself
+    if (!debugOverlay || debugOverlay.style.display === 'none') return;
 
     // Update player info
     const valuesDiv = document.getElementById('debug-current-values');
@@ -0,0 +1,473 @@
+/**
+ * CameraZoneEditor.js
+ * Debug layer that draws the current room's camera zone bounds on the floor.
+ * Hue shows the zone type, brightness its priority; the dim inner outline is
+ * the hysteresis margin the player must cross to enter a zone. The active
+ * zone is filled in and flashes when the camera switches zones. The selected
+ * zone gets edge handles for resizing, its type and priority can be edited,
+ * and the current (free-cam) view can be assigned as its camera. Exports the
+ * room file's "cameraZones" array.
+ */
+
+import * as THREE from 'three';
+import { STATE, ROOM_DATA } from '../config.js';
+import { camera, renderer, scene } from '../three-init.js';
+import { getCurrentZoneName, isCameraTransitioning, ZONE_HYSTERESIS } from '../camera-zones.js';
+import { on } from '../events.js';
+import { formatRoomJSON, copyExport } from './json-export.js';
+import { createLabelSprite } from './labels.js';
+
+const BUTTON_STYLE = 'padding: 4px; background: #003300; color: #0f0; border: 1px solid #0f0; cursor: pointer; font-size: 10px;';
+const INPUT_STYLE = 'background: #111; color: #0f0; border: 1px solid #0f0; font-size: 10px;';
+
+const ZONE_Y = 0.11;            // Just above the floor, below hotspot rings
+const MIN_SIZE = 0.5;
+const SNAP = 0.5;
+const FLASH_TIME = 1.0;         // Seconds a newly active zone flashes
+const TYPE_COLORS = {
+    general: 0x00ff00,
+    puzzle: 0xff8800,
+    hidden: 0xaa00ff
+};
+const DEFAULT_COLOR = 0xffffff;
+const EDGES = ['x1', 'x2', 'z1', 'z2'];
+
+const snap = n => Math.round(n / SNAP) * SNAP;
+const round1 = n => parseFloat(n.toFixed(1));
+
+/**
+ * Type hue, brighter for higher priority (priority 10+ is full brightness).
+ */
+function zoneColor(zone) {
+    const color = new THREE.Color(TYPE_COLORS[zone.type] ?? DEFAULT_COLOR);
+    const priority = Math.min(Math.max(zone.priority || 0, 0), 10);
+    return color.multiplyScalar(0.35 + priority * 0.065);
+}
+
+export class CameraZoneEditor {
+    constructor() {
+        this.visible = false;
+        this.layer = new THREE.Group();     // Zone outlines, fills, labels and handles
+        this.shapes = [];                   // { zone, fill, outline, inner, label }
+        this.handles = [];                  // Edge handles for the selected zone
+        this.selected = null;               // Selected zone config
+        this.drag = null;                   // { edge }
+
+        this.activeZoneName = '';
+        this.lastChange = '';
+        this.flashTimer = 0;
+
+        this.layer.name = 'camera_zone_editor_layer';
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -ZONE_Y);
+        this.raycaster = new THREE.Raycaster();
+        this.clock = new THREE.Clock();
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+    }
+
+    /**
+     * Build the editor controls inside the debug menu.
+     * @param {HTMLElement} container
+     */
+    init(container) {
+        const legend = Object.entries(TYPE_COLORS)
+            .map(([type, color]) => `<span style="color: #${new THREE.Color(color).getHexString()};">■</span> ${type}`)
+            .join(' ');
+
+        container.innerHTML = `
+            <div style="font-size: 12px; font-weight: bold; margin-bottom: 8px; color: #0f0; text-align: center;">
+                🎥 CAMERA ZONES
+            </div>
+            <label style="font-size: 10px;"><input type="checkbox" id="zone-editor-toggle"> <b>SHOW ZONE BOUNDS</b></label>
+            <div style="font-size: 10px; color: #080; margin: 5px 0 8px;">
+                ${legend}<br>Brighter = higher priority. Inner line = hysteresis (${ZONE_HYSTERESIS}).
+            </div>
+            <div id="zone-editor-controls" style="display: none;">
+                <div id="zone-editor-active" style="background: #002200; padding: 5px; margin-bottom: 6px; font-size: 10px;">
+                    ACTIVE: ---
+                </div>
+                <div id="zone-editor-list" style="max-height: 120px; overflow-y: auto; background: #000; border: 1px solid #0f0; padding: 4px; margin-bottom: 8px; font-size: 10px;"></div>
+                <div id="zone-editor-fields" style="display: none; margin-bottom: 8px; font-size: 10px;">
+                    <div id="zone-editor-bounds" style="margin-bottom: 4px;"></div>
+                    <div style="display: grid; grid-template-columns: auto 1fr auto 1fr; gap: 4px; align-items: center; margin-bottom: 6px;">
+                        <div>Type:</div>
+                        <select id="zone-editor-type" style="${INPUT_STYLE}">
+                            ${Object.keys(TYPE_COLORS).map(type => `<option value="${type}">${type}</option>`).join('')}
+                        </select>
+                        <div>Priority:</div>
+                        <input type="number" id="zone-editor-priority" step="1" style="${INPUT_STYLE} width: 50px;">
+                    </div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 5px;">
+                        <button id="zone-editor-assign" style="${BUTTON_STYLE}" title="Use the current camera as this zone's camera">📍 ASSIGN VIEW</button>
+                        <button id="zone-editor-preview" style="${BUTTON_STYLE}" title="Move the camera to this zone's view">▶ PREVIEW</button>
+                    </div>
+                </div>
+                <button id="zone-editor-export" style="width: 100%; padding: 8px; background: #442200; color: #ff0; border: 2px solid #ff0; cursor: pointer; font-weight: bold; font-size: 10px;">
+                    📤 EXPORT CURRENT ROOM ZONES
+                </button>
+            </div>
+        `;
+
+        document.getElementById('zone-editor-toggle').addEventListener('change', (e) => this.setVisible(e.target.checked));
+        document.getElementById('zone-editor-type').addEventListener('change', (e) => this.setType(e.target.value));
+        document.getElementById('zone-editor-priority').addEventListener('change', (e) => this.setPriority(parseInt(e.target.value, 10)));
+        document.getElementById('zone-editor-assign').addEventListener('click', () => this.assignView());
+        document.getElementById('zone-editor-preview').addEventListener('click', () => this.previewView());
+        document.getElementById('zone-editor-export').addEventListener('click', () => this.exportZones());
+        document.getElementById('zone-editor-list').addEventListener('click', (e) => {
+            const index = e.target.closest('[data-zone]')?.dataset.zone;
+            if (index !== undefined) this.select(this.getZones()[index]);
+        });
+
+        on('roomEntered', () => {
+            if (this.visible) this.rebuild();
+        });
+    }
+
+    getZones() {
+        return ROOM_DATA[STATE.current_room]?.cameraZones || [];
+    }
+
+    // =========================================================================
+    // SHOW / HIDE
+    // =========================================================================
+    setVisible(visible) {
+        this.visible = visible;
+        document.getElementById('zone-editor-controls').style.display = visible ? 'block' : 'none';
+
+        if (visible) {
+            scene.add(this.layer);
+            this.rebuild();
+            renderer.domElement.addEventListener('mousedown', this.onMouseDown);
+            window.addEventListener('mousemove', this.onMouseMove);
+            window.addEventListener('mouseup', this.onMouseUp);
+        } else {
+            this.clear();
+            scene.remove(this.layer);
+            renderer.domElement.removeEventListener('mousedown', this.onMouseDown);
+            window.removeEventListener('mousemove', this.onMouseMove);
+            window.removeEventListener('mouseup', this.onMouseUp);
+        }
+    }
+
+    /**
+     * Redraw every zone in the current room.
+     */
+    rebuild() {
+        this.clear();
+        this.getZones().forEach(zone => this.addShape(zone));
+        this.renderList();
+    }
+
+    clear() {
+        this.selected = null;
+        this.drag = null;
+        this.handles = [];
+        this.layer.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.map?.dispose();
+            child.material?.dispose();
+        });
+        this.layer.clear();
+        this.shapes = [];
+        this.updatePanel();
+    }
+
+    // =========================================================================
+    // ZONE SHAPES
+    // =========================================================================
+    addShape(zone) {
+        const color = zoneColor(zone);
+        const square = new THREE.PlaneGeometry(1, 1);
+
+        const fill = new THREE.Mesh(square, new THREE.MeshBasicMaterial({
+            color, transparent: true, opacity: 0.08, side: THREE.DoubleSide, depthWrite: false
+        }));
+        const outline = new THREE.LineSegments(new THREE.EdgesGeometry(square),
+            new THREE.LineBasicMaterial({ color, transparent: true, depthTest: false }));
+        const inner = new THREE.LineSegments(new THREE.EdgesGeometry(square),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.35, depthTest: false }));
+        const label = createLabelSprite(`${zone.name} [${zone.type} p${zone.priority || 0}]`, color.getHex());
+
+        [fill, outline, inner].forEach(obj => {
+            obj.rotation.x = -Math.PI / 2;
+            obj.renderOrder = 998;
+            this.layer.add(obj);
+        });
+        this.layer.add(label);
+
+        const shape = { zone, fill, outline, inner, label };
+        this.shapes.push(shape);
+        this.placeShape(shape);
+    }
+
+    /**
+     * Fit a zone's meshes to its bounds.
+     */
+    placeShape(shape) {
+        const { zone, fill, outline, inner, label } = shape;
+        const b = zone.bounds;
+        const width = b.x2 - b.x1;
+        const depth = b.z2 - b.z1;
+        const cx = (b.x1 + b.x2) / 2;
+        const cz = (b.z1 + b.z2) / 2;
+
+        // Slightly higher for higher priority so overlapping fills don't z-fight
+        const y = ZONE_Y + (zone.priority || 0) * 0.001;
+        [fill, outline].forEach(obj => {
+            obj.position.set(cx, y, cz);
+            obj.scale.set(width, depth, 1);
+        });
+
+        const innerWidth = width - ZONE_HYSTERESIS * 2;
+        const innerDepth = depth - ZONE_HYSTERESIS * 2;
+        inner.visible = innerWidth > 0 && innerDepth > 0;
+        inner.position.set(cx, y, cz);
+        inner.scale.set(Math.max(innerWidth, 0.01), Math.max(innerDepth, 0.01), 1);
+
+        label.position.set(cx, 3 + (zone.priority || 0) * 0.1, cz);
+    }
+
+    recolor(shape) {
+        const color = zoneColor(shape.zone);
+        shape.fill.material.color.copy(color);
+        shape.outline.material.color.copy(color);
+        shape.inner.material.color.copy(color);
+
+        // Label text includes type and priority
+        this.layer.remove(shape.label);
+        shape.label.material.map.dispose();
+        shape.label.material.dispose();
+        shape.label = createLabelSprite(`${shape.zone.name} [${shape.zone.type} p${shape.zone.priority || 0}]`, color.getHex());
+        this.layer.add(shape.label);
+        this.placeShape(shape);
+    }
+
+    // =========================================================================
+    // PER-FRAME: ACTIVE ZONE & TRANSITIONS
+    // =========================================================================
+    /**
+     * Highlight the active zone and flash it on zone changes. Called every frame.
+     */
+    update() {
+        const delta = this.clock.getDelta();
+        if (!this.visible) return;
+
+        const active = getCurrentZoneName();
+        if (active !== this.activeZoneName) {
+            if (this.activeZoneName) this.lastChange = `${this.activeZoneName} → ${active || 'none'}`;
+            this.activeZoneName = active;
+            this.flashTimer = FLASH_TIME;
+            this.updatePanel();
+            this.renderList();
+        }
+        this.flashTimer = Math.max(0, this.flashTimer - delta);
+
+        // Flash while a zone change is fresh or the camera is still lerping
+        const flashing = this.flashTimer > 0 || isCameraTransitioning();
+        const pulse = flashing ? 0.5 + 0.5 * Math.sin(this.clock.elapsedTime * 20) : 1;
+
+        this.shapes.forEach(shape => {
+            const isActive = shape.zone.name === this.activeZoneName;
+            const isSelected = shape.zone === this.selected;
+            shape.fill.material.opacity = isActive ? 0.3 * pulse : 0.08;
+            shape.outline.material.opacity = isActive ? pulse : (isSelected ? 1 : 0.6);
+            if (isSelected) shape.outline.material.color.setHex(0xffff00);
+            else shape.outline.material.color.copy(zoneColor(shape.zone));
+        });
+    }
+
+    // =========================================================================
+    // SELECTION & EDGE HANDLES
+    // =========================================================================
+    select(zone) {
+        this.selected = zone;
+
+        this.handles.forEach(handle => {
+            this.layer.remove(handle);
+            handle.geometry.dispose();
+            handle.material.dispose();
+        });
+        this.handles = [];
+
+        if (zone) {
+            EDGES.forEach(edge => {
+                const handle = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.4, 0.4),
+                    new THREE.MeshBasicMaterial({ color: 0xffff00, depthTest: false }));
+                handle.renderOrder = 999;
+                handle.userData.edge = edge;
+                this.handles.push(handle);
+                this.layer.add(handle);
+            });
+            this.placeHandles();
+        }
+        this.updatePanel();
+        this.renderList();
+    }
+
+    placeHandles() {
+        const b = this.selected?.bounds;
+        if (!b) return;
+        const cx = (b.x1 + b.x2) / 2;
+        const cz = (b.z1 + b.z2) / 2;
+        const spots = { x1: [b.x1, cz], x2: [b.x2, cz], z1: [cx, b.z1], z2: [cx, b.z2] };
+        this.handles.forEach(handle => {
+            const [x, z] = spots[handle.userData.edge];
+            handle.position.set(x, ZONE_Y + 0.2, z);
+        });
+    }
+
+    pointerRay(event) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, camera);
+        return this.raycaster;
+    }
+
+    onMouseDown(event) {
+        if (event.button !== 0 || this.handles.length === 0) return;
+
+        const hit = this.pointerRay(event).intersectObjects(this.handles, false)[0];
+        if (!hit) return;           // Let the click through
+
+        event.stopPropagation();
+        this.drag = { edge: hit.object.userData.edge };
+    }
+
+    onMouseMove(event) {
+        if (!this.drag || !this.selected) return;
+
+        const point = this.pointerRay(event).ray.intersectPlane(this.floorPlane, new THREE.Vector3());
+        if (!point) return;
+
+        // Edges can't cross: keep at least MIN_SIZE between opposite edges
+        const b = this.selected.bounds;
+        const edge = this.drag.edge;
+        const value = snap(edge[0] === 'x' ? point.x : point.z);
+        const axis = edge[0];
+        if (edge.endsWith('1')) b[edge] = Math.min(value, b[`${axis}2`] - MIN_SIZE);
+        else b[edge] = Math.max(value, b[`${axis}1`] + MIN_SIZE);
+
+        this.placeShape(this.shapes.find(s => s.zone === this.selected));
+        this.placeHandles();
+        this.updatePanel();
+    }
+
+    onMouseUp() {
+        if (this.drag && this.selected) {
+            const b = this.selected.bounds;
+            console.log(`Zone editor: ${this.selected.name} bounds x ${b.x1}..${b.x2}, z ${b.z1}..${b.z2}`);
+        }
+        this.drag = null;
+    }
+
+    // =========================================================================
+    // EDITING
+    // =========================================================================
+    setType(type) {
+        if (!this.selected) return;
+        this.selected.type = type;
+        this.recolor(this.shapes.find(s => s.zone === this.selected));
+        this.renderList();
+    }
+
+    setPriority(priority) {
+        if (!this.selected || !Number.isFinite(priority)) return;
+        this.selected.priority = priority;
+        this.recolor(this.shapes.find(s => s.zone === this.selected));
+        this.renderList();
+    }
+
+    /**
+     * Use the current camera (usually free cam) as the selected zone's view.
+     */
+    assignView() {
+        const zone = this.selected;
+        if (!zone) return;
+
+        const dir = new THREE.Vector3();
+        camera.getWorldDirection(dir);
+        const target = camera.position.clone().add(dir.multiplyScalar(5));
+
+        zone.cameraPosition = { x: round1(camera.position.x), y: round1(camera.position.y), z: round1(camera.position.z) };
+        zone.cameraTarget = { x: round1(target.x), y: round1(target.y), z: round1(target.z) };
+        this.updatePanel();
+        console.log(`Zone editor: ${zone.name} camera (${zone.cameraPosition.x}, ${zone.cameraPosition.y}, ${zone.cameraPosition.z}) → (${zone.cameraTarget.x}, ${zone.cameraTarget.y}, ${zone.cameraTarget.z})`);
+    }
+
+    previewView() {
+        const zone = this.selected;
+        if (!zone) return;
+
+        const { cameraPosition: pos, cameraTarget: target } = zone;
+        camera.position.set(pos.x, pos.y, pos.z);
+        if (target) camera.lookAt(target.x, target.y, target.z);
+    }
+
+    // =========================================================================
+    // PANEL
+    // =========================================================================
+    renderList() {
+        const list = document.getElementById('zone-editor-list');
+        if (!list) return;
+
+        const zones = this.getZones();
+        if (zones.length === 0) {
+            list.innerHTML = '<div style="color: #555; text-align: center; padding: 6px;">No camera zones in this room.</div>';
+            return;
+        }
+        list.innerHTML = zones.map((zone, i) => {
+            const color = `#${zoneColor(zone).getHexString()}`;
+            const isActive = zone.name === this.activeZoneName;
+            const isSelected = zone === this.selected;
+            return `
+                <div data-zone="${i}" style="padding: 3px; cursor: pointer; ${isSelected ? 'background: #333300;' : ''}">
+                    <span style="color: ${color};">■</span> ${zone.name}
+                    <span style="color: #080;">[${zone.type} p${zone.priority || 0}]</span>${isActive ? ' ◀ ACTIVE' : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    updatePanel() {
+        const active = document.getElementById('zone-editor-active');
+        if (!active) return;
+        active.innerHTML = `ACTIVE: ${this.activeZoneName || '---'}${this.lastChange ? `<br><span style="color: #080;">last change: ${this.lastChange}</span>` : ''}`;
+
+        const fields = document.getElementById('zone-editor-fields');
+        const zone = this.selected;
+        fields.style.display = zone ? 'block' : 'none';
+        if (!zone) return;
+
+        const b = zone.bounds;
+        const cam = zone.cameraPosition;
+        document.getElementById('zone-editor-bounds').innerHTML =
+            `<b>${zone.name}</b><br>x ${b.x1}..${b.x2}, z ${b.z1}..${b.z2}<br>camera (${cam.x}, ${cam.y}, ${cam.z})`;
+        document.getElementById('zone-editor-type').value = zone.type;
+        document.getElementById('zone-editor-priority').value = zone.priority || 0;
+    }
+
+    // =========================================================================
+    // EXPORT TO CLIPBOARD
+    // =========================================================================
+    /**
+     * Copy the current room's cameraZones array, ready to replace
+     * "cameraZones" in the room's assets/rooms/ file.
+     */
+    exportZones() {
+        const roomData = ROOM_DATA[STATE.current_room];
+        if (!roomData) return;
+
+        const zones = roomData.cameraZones || [];
+        const output = `    "cameraZones": ${formatRoomJSON(zones, 1)},`;
+        copyExport(output, `${zones.length} camera zones for ${roomData.name}\n\nPaste over "cameraZones" in the room's assets/rooms/ file.`);
+    }
+}
+
+// Export singleton instance
+export const cameraZoneEditor = new CameraZoneEditor();
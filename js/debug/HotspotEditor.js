@@ -0,0 +1,330 @@
+/**
+ * HotspotEditor.js
+ * Debug layer that draws the current room's hotspots (cyan) and
+ * selfDialogTriggers (magenta) as labeled rings on the floor. Drag a ring's
+ * center to move it and its edge handle to change the radius; the selected
+ * hotspot's prompt or trigger's dialog can be edited in the debug menu.
+ * Edits apply to ROOM_DATA live and export as the room file's "hotspots" and
+ * "selfDialogTriggers" arrays.
+ */
+
+import * as THREE from 'three';
+import { STATE, ROOM_DATA } from '../config.js';
+import { camera, renderer, scene } from '../three-init.js';
+import { on } from '../events.js';
+import { getRoomDefaults } from '../save.js';
+import { formatRoomJSON, copyExport } from './json-export.js';
+import { createLabelSprite } from './labels.js';
+
+const INPUT_STYLE = 'width: 100%; box-sizing: border-box; background: #111; color: #0f0; border: 1px solid #0f0; font-size: 10px;';
+
+const RING_Y = 0.12;            // Just above the floor surface
+const RING_WIDTH = 0.08;
+const MIN_RADIUS = 0.25;
+const SNAP = 0.05;
+const COLORS = {
+    hotspot: 0x00ffff,
+    trigger: 0xff00ff,
+    selected: 0xffff00
+};
+
+const snap = n => Math.round(n / SNAP) * SNAP;
+
+export class HotspotEditor {
+    constructor() {
+        this.visible = false;
+        this.layer = new THREE.Group();     // All rings, handles and labels
+        this.markers = [];                  // { kind, data, ring, center, handle, label }
+        this.selected = null;               // Selected marker
+        this.drag = null;                   // { marker, part: 'center'|'radius', offset }
+        this.editedPrompts = new WeakSet(); // Hotspots whose prompt was changed here
+
+        this.layer.name = 'hotspot_editor_layer';
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -RING_Y);
+        this.raycaster = new THREE.Raycaster();
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+    }
+
+    /**
+     * Build the editor controls inside the debug menu.
+     * @param {HTMLElement} container
+     */
+    init(container) {
+        container.innerHTML = `
+            <div style="font-size: 12px; font-weight: bold; margin-bottom: 8px; color: #0f0; text-align: center;">
+                🎯 HOTSPOTS & TRIGGERS
+            </div>
+            <label style="font-size: 10px;"><input type="checkbox" id="hotspot-editor-toggle"> <b>SHOW HOTSPOT RINGS</b></label>
+            <div style="font-size: 10px; color: #080; margin: 5px 0 8px;">
+                <span style="color: #0ff;">■</span> hotspot <span style="color: #f0f;">■</span> trigger.
+                Drag a center to move, the edge handle to resize.
+            </div>
+            <div id="hotspot-editor-controls" style="display: none;">
+                <div id="hotspot-editor-selection" style="background: #002200; padding: 5px; margin-bottom: 8px; font-size: 10px;">
+                    Nothing selected
+                </div>
+                <div id="hotspot-editor-fields" style="display: none; margin-bottom: 8px; font-size: 10px;">
+                    <div style="margin-bottom: 4px;">Radius: <input type="number" id="hotspot-editor-radius" step="${SNAP}" min="${MIN_RADIUS}" style="${INPUT_STYLE} width: 60px;"></div>
+                    <div id="hotspot-editor-text-label" style="margin-bottom: 2px;">Prompt:</div>
+                    <textarea id="hotspot-editor-text" rows="3" style="${INPUT_STYLE} resize: vertical;"></textarea>
+                </div>
+                <button id="hotspot-editor-export" style="width: 100%; padding: 8px; background: #442200; color: #ff0; border: 2px solid #ff0; cursor: pointer; font-weight: bold; font-size: 10px;">
+                    📤 EXPORT CURRENT ROOM HOTSPOTS
+                </button>
+            </div>
+        `;
+
+        document.getElementById('hotspot-editor-toggle').addEventListener('change', (e) => this.setVisible(e.target.checked));
+        document.getElementById('hotspot-editor-radius').addEventListener('change', (e) => {
+            if (this.selected) this.setRadius(this.selected, parseFloat(e.target.value));
+        });
+        document.getElementById('hotspot-editor-text').addEventListener('input', (e) => this.setText(e.target.value));
+        document.getElementById('hotspot-editor-export').addEventListener('click', () => this.exportHotspots());
+
+        // Keys typed into the text box shouldn't move the player
+        document.getElementById('hotspot-editor-text').addEventListener('keydown', (e) => e.stopPropagation());
+
+        on('roomEntered', () => {
+            if (this.visible) this.rebuild();
+        });
+    }
+
+    // =========================================================================
+    // SHOW / HIDE
+    // =========================================================================
+    setVisible(visible) {
+        this.visible = visible;
+        document.getElementById('hotspot-editor-controls').style.display = visible ? 'block' : 'none';
+
+        if (visible) {
+            scene.add(this.layer);
+            this.rebuild();
+            renderer.domElement.addEventListener('mousedown', this.onMouseDown);
+            window.addEventListener('mousemove', this.onMouseMove);
+            window.addEventListener('mouseup', this.onMouseUp);
+        } else {
+            this.clear();
+            scene.remove(this.layer);
+            renderer.domElement.removeEventListener('mousedown', this.onMouseDown);
+            window.removeEventListener('mousemove', this.onMouseMove);
+            window.removeEventListener('mouseup', this.onMouseUp);
+        }
+    }
+
+    /**
+     * Redraw markers for the current room.
+     */
+    rebuild() {
+        this.clear();
+        const room = ROOM_DATA[STATE.current_room];
+        if (!room) return;
+
+        room.hotspots.forEach(hotspot => this.addMarker('hotspot', hotspot));
+        (room.selfDialogTriggers || []).forEach(trigger => this.addMarker('trigger', trigger));
+    }
+
+    clear() {
+        this.select(null);
+        this.drag = null;
+        this.layer.traverse(child => {
+            child.geometry?.dispose();
+            child.material?.map?.dispose();
+            child.material?.dispose();
+        });
+        this.layer.clear();
+        this.markers = [];
+    }
+
+    // =========================================================================
+    // MARKERS
+    // =========================================================================
+    addMarker(kind, data) {
+        const material = () => new THREE.MeshBasicMaterial({
+            color: COLORS[kind],
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.8,
+            depthTest: false
+        });
+
+        const ring = new THREE.Mesh(new THREE.RingGeometry(1 - RING_WIDTH, 1, 48), material());
+        const center = new THREE.Mesh(new THREE.CircleGeometry(0.2, 16), material());
+        const handle = new THREE.Mesh(new THREE.SphereGeometry(0.15, 8, 8), material());
+        const label = createLabelSprite(kind === 'hotspot' ? `${data.name} (${data.type})` : data.name, COLORS[kind]);
+
+        [ring, center].forEach(mesh => { mesh.rotation.x = -Math.PI / 2; });
+        [ring, center, handle, label].forEach(obj => {
+            obj.renderOrder = 999;
+            this.layer.add(obj);
+        });
+
+        const marker = { kind, data, ring, center, handle, label };
+        center.userData.marker = marker;
+        center.userData.part = 'center';
+        handle.userData.marker = marker;
+        handle.userData.part = 'radius';
+        this.markers.push(marker);
+        this.placeMarker(marker);
+    }
+
+    /**
+     * Move a marker's meshes to match its data's pos and radius.
+     */
+    placeMarker(marker) {
+        const { data, ring, center, handle, label } = marker;
+        ring.position.set(data.pos.x, RING_Y, data.pos.z);
+        ring.scale.set(data.radius, data.radius, 1);
+        center.position.set(data.pos.x, RING_Y, data.pos.z);
+        handle.position.set(data.pos.x + data.radius, RING_Y, data.pos.z);
+        label.position.set(data.pos.x, RING_Y + 1.5, data.pos.z);
+    }
+
+    // =========================================================================
+    // SELECTION & DRAGGING
+    // =========================================================================
+    pointerRay(event) {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, camera);
+        return this.raycaster;
+    }
+
+    onMouseDown(event) {
+        if (event.button !== 0) return;
+
+        const grabbable = this.markers.flatMap(m => [m.handle, m.center]);
+        const hit = this.pointerRay(event).intersectObjects(grabbable, false)[0];
+        if (!hit) return;           // Let the click through (click-to-move etc.)
+
+        event.stopPropagation();
+        const marker = hit.object.userData.marker;
+        const point = this.raycaster.ray.intersectPlane(this.floorPlane, new THREE.Vector3());
+        this.select(marker);
+        this.drag = {
+            marker,
+            part: hit.object.userData.part,
+            offset: point ? new THREE.Vector3(marker.data.pos.x - point.x, 0, marker.data.pos.z - point.z) : new THREE.Vector3()
+        };
+    }
+
+    onMouseMove(event) {
+        if (!this.drag) return;
+
+        const point = this.pointerRay(event).ray.intersectPlane(this.floorPlane, new THREE.Vector3());
+        if (!point) return;
+
+        const { marker, part, offset } = this.drag;
+        if (part === 'center') {
+            marker.data.pos.x = snap(point.x + offset.x);
+            marker.data.pos.z = snap(point.z + offset.z);
+            this.placeMarker(marker);
+            this.updatePanel();
+        } else {
+            this.setRadius(marker, Math.hypot(point.x - marker.data.pos.x, point.z - marker.data.pos.z));
+        }
+    }
+
+    onMouseUp() {
+        if (this.drag) console.log(`Hotspot editor: ${this.drag.marker.data.name} pos (${this.drag.marker.data.pos.x}, ${this.drag.marker.data.pos.z}) radius ${this.drag.marker.data.radius}`);
+        this.drag = null;
+    }
+
+    select(marker) {
+        if (this.selected) this.tint(this.selected, COLORS[this.selected.kind]);
+        this.selected = marker;
+        if (marker) this.tint(marker, COLORS.selected);
+        this.updatePanel();
+    }
+
+    tint(marker, color) {
+        [marker.ring, marker.center, marker.handle].forEach(mesh => mesh.material.color.setHex(color));
+    }
+
+    // =========================================================================
+    // EDITING
+    // =========================================================================
+    setRadius(marker, radius) {
+        if (!Number.isFinite(radius)) return;
+        marker.data.radius = Math.max(MIN_RADIUS, snap(radius));
+        this.placeMarker(marker);
+        this.updatePanel();
+    }
+
+    /**
+     * Edit the selected hotspot's prompt or trigger's dialog.
+     */
+    setText(text) {
+        if (!this.selected) return;
+        const field = this.selected.kind === 'hotspot' ? 'prompt' : 'dialog';
+        this.selected.data[field] = text;
+        if (field === 'prompt') this.editedPrompts.add(this.selected.data);
+    }
+
+    updatePanel() {
+        const info = document.getElementById('hotspot-editor-selection');
+        const fields = document.getElementById('hotspot-editor-fields');
+        if (!info) return;
+
+        const marker = this.selected;
+        if (!marker) {
+            info.textContent = 'Nothing selected';
+            fields.style.display = 'none';
+            return;
+        }
+
+        const { kind, data } = marker;
+        info.innerHTML = `<b>${data.name}</b> ${kind === 'hotspot' ? `(${data.type})` : '(trigger)'}<br>pos (${data.pos.x.toFixed(2)}, ${data.pos.z.toFixed(2)})`;
+        fields.style.display = 'block';
+        document.getElementById('hotspot-editor-radius').value = data.radius;
+
+        // Don't overwrite the text box while it's being typed in
+        const textBox = document.getElementById('hotspot-editor-text');
+        if (document.activeElement !== textBox) {
+            document.getElementById('hotspot-editor-text-label').textContent = kind === 'hotspot' ? 'Prompt:' : 'Dialog:';
+            textBox.value = (kind === 'hotspot' ? data.prompt : data.dialog) || '';
+        }
+    }
+
+    // =========================================================================
+    // EXPORT TO CLIPBOARD
+    // =========================================================================
+    /**
+     * Copy the current room's hotspots and triggers, ready to replace the same
+     * keys in its assets/rooms/ file. Puzzles change `locked`, `solved` and
+     * `prompt` as the game runs, so those are exported as captured on boot
+     * (see captureRoomDefaults), except prompts edited here.
+     */
+    exportHotspots() {
+        const roomKey = STATE.current_room;
+        const roomData = ROOM_DATA[roomKey];
+        if (!roomData) return;
+
+        const defaults = getRoomDefaults(roomKey);
+        const hotspots = roomData.hotspots.map((hotspot, i) => {
+            const authored = defaults?.hotspots[i];
+            if (!authored) return hotspot;
+            return {
+                ...hotspot,
+                locked: authored.locked,
+                solved: authored.solved,
+                prompt: this.editedPrompts.has(hotspot) ? hotspot.prompt : authored.prompt
+            };
+        });
+
+        // `triggered` is runtime state; rooms always ship with it false
+        const triggers = (roomData.selfDialogTriggers || []).map(t => ({ ...t, triggered: false }));
+
+        const output = `    "hotspots": ${formatRoomJSON(hotspots, 1)},\n` +
+            `    "selfDialogTriggers": ${formatRoomJSON(triggers, 1)},`;
+        copyExport(output, `${hotspots.length} hotspots and ${triggers.length} triggers for ${roomData.name}\n\nPaste over "hotspots" and "selfDialogTriggers" in the room's assets/rooms/ file.`);
+    }
+}
+
+// Export singleton instance
+export const hotspotEditor = new HotspotEditor();
@@ -0,0 +1,322 @@
+/**
+ * RoomEditor.js
+ * Geometry box editor for the debug menu. Click a box in the current room to
+ * select it, move or scale it with the gizmo, change its name, color and
+ * collider flag, add or delete boxes, then export the room's geometry array
+ * for its assets/rooms/ JSON file. Changes apply to ROOM_DATA live (colliders
+ * included) but are lost on reload until exported.
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { STATE, ROOM_DATA } from '../config.js';
+import { camera, renderer, scene } from '../three-init.js';
+import { addGeometryBox } from '../rooms.js';
+import { on } from '../events.js';
+import { formatRoomJSON, copyExport } from './json-export.js';
+
+const BUTTON_STYLE = 'padding: 4px; background: #003300; color: #0f0; border: 1px solid #0f0; cursor: pointer; font-size: 10px;';
+const INPUT_STYLE = 'background: #111; color: #0f0; border: 1px solid #0f0; font-size: 10px;';
+
+// Values are rounded to this when written back to the geometry entry
+const PRECISION = 100;
+const round = n => Math.round(n * PRECISION) / PRECISION;
+
+export class RoomEditor {
+    constructor() {
+        this.enabled = false;
+        this.selected = null;       // Selected mesh (userData.geometry is its entry)
+        this.controls = null;       // TransformControls, created on first enable
+        this.helper = null;         // BoxHelper outline around the selection
+        this.previousMode = null;   // interaction_mode to restore when disabled
+
+        this.onMouseDown = this.onMouseDown.bind(this);
+    }
+
+    /**
+     * Build the editor controls inside the debug menu.
+     * @param {HTMLElement} container
+     */
+    init(container) {
+        container.innerHTML = `
+            <div style="font-size: 12px; font-weight: bold; margin-bottom: 8px; color: #0f0; text-align: center;">
+                🧱 ROOM EDITOR
+            </div>
+            <label style="font-size: 10px;"><input type="checkbox" id="room-editor-toggle"> <b>EDIT GEOMETRY</b></label>
+            <div style="font-size: 10px; color: #080; margin: 5px 0 8px;">
+                Click a box to select it. Use FREE CAM to fly around.
+            </div>
+            <div id="room-editor-controls" style="display: none;">
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 5px; margin-bottom: 8px;">
+                    <button id="room-editor-move" style="${BUTTON_STYLE}">✥ MOVE</button>
+                    <button id="room-editor-scale" style="${BUTTON_STYLE}">⤢ SCALE</button>
+                </div>
+                <div id="room-editor-selection" style="background: #002200; padding: 5px; margin-bottom: 8px; font-size: 10px;">
+                    No box selected
+                </div>
+                <div style="display: grid; grid-template-columns: auto 1fr; gap: 4px 6px; align-items: center; margin-bottom: 8px; font-size: 10px;">
+                    <div>Name:</div><input type="text" id="room-editor-name" style="${INPUT_STYLE}">
+                    <div>Color:</div><input type="color" id="room-editor-color" style="${INPUT_STYLE} height: 20px;">
+                    <div>Collider:</div><div><input type="checkbox" id="room-editor-collider"></div>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 5px; margin-bottom: 8px;">
+                    <button id="room-editor-add" style="${BUTTON_STYLE}">+ ADD BOX</button>
+                    <button id="room-editor-delete" style="${BUTTON_STYLE} background: #330000; color: #f00; border-color: #f00;">✕ DELETE BOX</button>
+                </div>
+                <button id="room-editor-export" style="width: 100%; padding: 8px; background: #442200; color: #ff0; border: 2px solid #ff0; cursor: pointer; font-weight: bold; font-size: 10px;">
+                    📤 EXPORT CURRENT ROOM GEOMETRY
+                </button>
+            </div>
+        `;
+
+        document.getElementById('room-editor-toggle').addEventListener('change', (e) => this.setEnabled(e.target.checked));
+        document.getElementById('room-editor-move').addEventListener('click', () => this.controls?.setMode('translate'));
+        document.getElementById('room-editor-scale').addEventListener('click', () => this.controls?.setMode('scale'));
+        document.getElementById('room-editor-name').addEventListener('change', (e) => this.setName(e.target.value));
+        document.getElementById('room-editor-color').addEventListener('input', (e) => this.setColor(e.target.value));
+        document.getElementById('room-editor-collider').addEventListener('change', (e) => this.setCollider(e.target.checked));
+        document.getElementById('room-editor-add').addEventListener('click', () => this.addBox());
+        document.getElementById('room-editor-delete').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('room-editor-export').addEventListener('click', () => this.exportGeometry());
+
+        // The selected mesh belongs to the room being left
+        on('roomEntered', () => this.select(null));
+    }
+
+    // =========================================================================
+    // ENABLE / DISABLE
+    // =========================================================================
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        document.getElementById('room-editor-controls').style.display = enabled ? 'block' : 'none';
+
+        if (enabled) {
+            this.createControls();
+            renderer.domElement.addEventListener('mousedown', this.onMouseDown);
+
+            // Freeze the player and camera zones while editing (free cam still works)
+            if (STATE.interaction_mode === 'OVERWORLD') {
+                this.previousMode = STATE.interaction_mode;
+                STATE.interaction_mode = 'DEBUG_EDITOR';
+            }
+        } else {
+            this.select(null);
+            renderer.domElement.removeEventListener('mousedown', this.onMouseDown);
+
+            if (this.previousMode && STATE.interaction_mode === 'DEBUG_EDITOR') {
+                STATE.interaction_mode = this.previousMode;
+            }
+            this.previousMode = null;
+        }
+        console.log(`Room editor ${enabled ? 'ENABLED' : 'DISABLED'}`);
+    }
+
+    createControls() {
+        if (this.controls) return;
+
+        this.controls = new TransformControls(camera, renderer.domElement);
+        this.controls.setTranslationSnap(0.05);
+        this.controls.setScaleSnap(0.05);
+        this.controls.addEventListener('objectChange', () => this.syncFromMesh());
+        this.controls.addEventListener('mouseUp', () => this.bakeScale());
+        scene.add(this.controls);
+    }
+
+    // =========================================================================
+    // SELECTION
+    // =========================================================================
+    onMouseDown(event) {
+        if (event.button !== 0) return;
+        event.stopPropagation();    // Not a click-to-move
+
+        // Clicks on the gizmo belong to TransformControls
+        if (this.controls.dragging || this.controls.axis) return;
+
+        const room = ROOM_DATA[STATE.current_room];
+        if (!room?.group) return;
+
+        const rect = renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (event.clientX - rect.left) / rect.width * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, camera);
+
+        const boxes = room.group.children.filter(child => child.userData.geometry && child.visible);
+        const hit = raycaster.intersectObjects(boxes, false)[0];
+        this.select(hit ? hit.object : null);
+    }
+
+    select(mesh) {
+        this.selected = mesh;
+
+        if (this.helper) {
+            scene.remove(this.helper);
+            this.helper.geometry.dispose();
+            this.helper = null;
+        }
+        if (mesh) {
+            this.controls.attach(mesh);
+            this.helper = new THREE.BoxHelper(mesh, 0xffff00);
+            scene.add(this.helper);
+        } else if (this.controls) {
+            this.controls.detach();
+        }
+        this.updatePanel();
+    }
+
+    updatePanel() {
+        const entry = this.selected?.userData.geometry;
+        const info = document.getElementById('room-editor-selection');
+        if (!info) return;
+
+        if (!entry) {
+            info.textContent = 'No box selected';
+            return;
+        }
+        info.innerHTML = `<b>${entry.name}</b><br>dim [${entry.dim.join(', ')}]<br>pos [${entry.pos.join(', ')}]`;
+        document.getElementById('room-editor-name').value = entry.name;
+        document.getElementById('room-editor-color').value = `#${new THREE.Color(entry.color).getHexString()}`;
+        document.getElementById('room-editor-collider').checked = !!entry.collider;
+    }
+
+    // =========================================================================
+    // EDITING
+    // =========================================================================
+    /**
+     * Copy the gizmo's position (and in-progress scale) back to the entry.
+     */
+    syncFromMesh() {
+        const mesh = this.selected;
+        if (!mesh) return;
+
+        const entry = mesh.userData.geometry;
+        entry.pos = mesh.position.toArray().map(round);
+        if (mesh.userData.collider) {
+            mesh.userData.collider.dim.set(
+                entry.dim[0] * mesh.scale.x,
+                entry.dim[1] * mesh.scale.y,
+                entry.dim[2] * mesh.scale.z
+            );
+        }
+        this.helper?.update();
+        this.updatePanel();
+    }
+
+    /**
+     * After a scale drag, fold the scale into dim so exports stay plain boxes.
+     */
+    bakeScale() {
+        const mesh = this.selected;
+        if (!mesh || (mesh.scale.x === 1 && mesh.scale.y === 1 && mesh.scale.z === 1)) return;
+
+        const entry = mesh.userData.geometry;
+        entry.dim = entry.dim.map((d, i) => Math.max(0.01, round(d * Math.abs(mesh.scale.getComponent(i)))));
+        mesh.scale.set(1, 1, 1);
+        mesh.geometry.dispose();
+        mesh.geometry = new THREE.BoxGeometry(entry.dim[0], entry.dim[1], entry.dim[2]);
+        mesh.userData.collider?.dim.set(entry.dim[0], entry.dim[1], entry.dim[2]);
+
+        this.helper?.update();
+        this.updatePanel();
+    }
+
+    setName(name) {
+        const mesh = this.selected;
+        if (!mesh || !name.trim()) return;
+
+        mesh.userData.geometry.name = name.trim();
+        mesh.name = name.trim();
+        this.updatePanel();
+    }
+
+    setColor(color) {
+        const mesh = this.selected;
+        if (!mesh) return;
+
+        mesh.userData.geometry.color = color;
+        mesh.material.color.set(color);
+    }
+
+    setCollider(enabled) {
+        const mesh = this.selected;
+        if (!mesh) return;
+
+        const entry = mesh.userData.geometry;
+        const colliders = ROOM_DATA[STATE.current_room].colliders;
+        entry.collider = enabled;
+
+        if (enabled && !mesh.userData.collider) {
+            mesh.userData.collider = { pos: mesh.position, dim: new THREE.Vector3(...entry.dim) };
+            colliders.push(mesh.userData.collider);
+        } else if (!enabled && mesh.userData.collider) {
+            colliders.splice(colliders.indexOf(mesh.userData.collider), 1);
+            delete mesh.userData.collider;
+        }
+    }
+
+    /**
+     * Add a 1x1x1 box a few units in front of the camera and select it.
+     */
+    addBox() {
+        const room = ROOM_DATA[STATE.current_room];
+        if (!room) return;
+
+        const names = new Set(room.geometry.map(g => g.name));
+        let index = 1;
+        while (names.has(`box_${index}`)) index++;
+
+        const dir = new THREE.Vector3();
+        camera.getWorldDirection(dir);
+        const pos = camera.position.clone().add(dir.multiplyScalar(5));
+
+        const entry = {
+            name: `box_${index}`,
+            dim: [1, 1, 1],
+            pos: [round(pos.x), round(Math.max(0.5, pos.y)), round(pos.z)],
+            color: '#888888',
+            collider: false
+        };
+        room.geometry.push(entry);
+        this.select(addGeometryBox(room, entry));
+        console.log(`Room editor: added ${entry.name}`);
+    }
+
+    deleteSelected() {
+        const mesh = this.selected;
+        if (!mesh) return;
+
+        const entry = mesh.userData.geometry;
+        if (!confirm(`Delete "${entry.name}" from ${STATE.current_room}?`)) return;
+
+        const room = ROOM_DATA[STATE.current_room];
+        this.setCollider(false);
+        room.geometry.splice(room.geometry.indexOf(entry), 1);
+        room.group.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+
+        this.select(null);
+        console.log(`Room editor: deleted ${entry.name}`);
+    }
+
+    // =========================================================================
+    // EXPORT TO CLIPBOARD
+    // =========================================================================
+    /**
+     * Copy the current room's geometry array, ready to replace "geometry" in
+     * the room's assets/rooms/ file.
+     */
+    exportGeometry() {
+        const roomKey = STATE.current_room;
+        const roomData = ROOM_DATA[roomKey];
+        if (!roomData) return;
+
+        const output = `    "geometry": ${formatRoomJSON(roomData.geometry, 1)},`;
+        copyExport(output, `${roomData.geometry.length} boxes for ${roomData.name}\n\nPaste over "geometry" in the room's assets/rooms/ file.`);
+    }
+}
+
+// Export singleton instance
+export const roomEditor = new RoomEditor();
@@ -0,0 +1,90 @@
+/**
+ * json-export.js
+ * Shared export helpers for the debug editors. formatRoomJSON lays data out
+ * the way the assets/rooms/ files are written (short objects and number arrays
+ * on one line), so an exported snippet can be pasted straight over the same
+ * key in a room file and diffs stay small.
+ */
+
+import * as THREE from 'three';
+
+const INDENT = '    ';
+const MAX_LINE = 140;
+
+/**
+ * Format a value as room-file JSON. THREE.Vector3 values become [x, y, z].
+ * @param {*} value
+ * @param {number} [depth=0] - Indent level of the line the value starts on
+ * @returns {string}
+ */
+export function formatRoomJSON(value, depth = 0) {
+    return format(toPlain(value), depth);
+}
+
+/**
+ * Copy an export to the clipboard, falling back to a prompt to copy from.
+ * @param {string} output
+ * @param {string} summary - What was copied and where to paste it
+ */
+export function copyExport(output, summary) {
+    navigator.clipboard.writeText(output).then(() => {
+        alert(`✓ COPIED TO CLIPBOARD!\n\n${summary}`);
+        console.log(output);
+    }).catch(() => {
+        // Fallback if clipboard fails
+        console.log(output);
+        prompt('Copy this data (Ctrl+A, Ctrl+C):', output);
+    });
+}
+
+// =================================================================================
+// FORMATTING
+// =================================================================================
+function toPlain(value) {
+    if (value instanceof THREE.Vector3) return value.toArray();
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+        const plain = {};
+        for (const key in value) {
+            if (value[key] !== undefined) plain[key] = toPlain(value[key]);
+        }
+        return plain;
+    }
+    return value;
+}
+
+const isPrimitive = v => v === null || typeof v !== 'object';
+const isFlat = v => isPrimitive(v) || (Array.isArray(v) ? v.every(isPrimitive) : Object.values(v).every(isPrimitive));
+
+// An array of primitives, or an object of primitives and flat values
+function canInline(value) {
+    if (Array.isArray(value)) return value.every(isPrimitive);
+    return Object.values(value).every(isFlat);
+}
+
+function inline(value) {
+    if (isPrimitive(value)) return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(inline).join(', ')}]`;
+    return `{ ${Object.entries(value).map(([key, v]) => `${JSON.stringify(key)}: ${inline(v)}`).join(', ')} }`;
+}
+
+function format(value, depth) {
+    if (isPrimitive(value)) return JSON.stringify(value);
+
+    // Number arrays always stay on one line; everything else if it fits
+    if (canInline(value)) {
+        const text = inline(value);
+        const numbersOnly = Array.isArray(value) && value.every(v => typeof v !== 'string');
+        if (numbersOnly || INDENT.length * depth + text.length <= MAX_LINE) return text;
+    }
+
+    const pad = INDENT.repeat(depth);
+    const inner = INDENT.repeat(depth + 1);
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        return `[\n${value.map(v => inner + format(v, depth + 1)).join(',\n')}\n${pad}]`;
+    }
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, v]) => `${inner}${JSON.stringify(key)}: ${format(v, depth + 1)}`).join(',\n')}\n${pad}}`;
+}
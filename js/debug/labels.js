@@ -0,0 +1,34 @@
+/**
+ * labels.js
+ * Text sprites for the debug editors' in-world labels. Drawn on top of
+ * everything so they stay readable through walls and props.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * @param {string} text
+ * @param {number} color - Hex color for the text
+ * @returns {THREE.Sprite} 4 x 0.5 world units
+ */
+export function createLabelSprite(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.font = 'bold 28px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false
+    }));
+    sprite.scale.set(4, 0.5, 1);
+    sprite.renderOrder = 999;
+    return sprite;
+}
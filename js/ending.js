@@ -0,0 +1,303 @@
+// =================================================================================
+// --- ENDING.JS - Ending Sequence ---
+// =================================================================================
+// Plays after the memory box opens: fade to black, the secret_ending
+// monologue from PORTFOLIO_CONTENT, a scrolling credits roll, then returns to
+// the main menu. ENTER / ESC skips ahead one stage.
+// =================================================================================
+
+import { STATE, PORTFOLIO_CONTENT } from './config.js';
+import { SoundManager } from './sound.js';
+import { returnToMainMenu } from './utils.js';
+import { resetMovement } from './movement.js';
+import { getHintsUsed } from './progression.js';
+
+// =================================================================================
+// ENDING STATE
+// =================================================================================
+let endingState = {
+    isPlaying: false,
+    stage: null,            // 'fade' | 'monologue' | 'credits'
+    timeouts: []
+};
+
+const FADE_DELAY = 2500;        // Lets the final narration line play first
+const FADE_DURATION = 2000;
+const MONOLOGUE_DURATION = 12000;
+const CREDITS_DURATION = 24000;
+
+// =================================================================================
+// PLAY ENDING
+// =================================================================================
+export function playEnding() {
+    if (endingState.isPlaying) return;
+
+    createEndingHTML();
+
+    endingState.isPlaying = true;
+    endingState.stage = 'fade';
+
+    resetMovement();
+    STATE.interaction_mode = 'ENDING';
+
+    const content = PORTFOLIO_CONTENT.secret_ending;
+    document.getElementById('ending-title').textContent = content.title.toUpperCase();
+    document.getElementById('ending-text').textContent = content.text;
+    buildCreditsRoll();
+
+    const overlay = document.getElementById('ending-overlay');
+    overlay.classList.remove('hidden');
+    overlay.classList.remove('visible');
+    document.getElementById('ending-monologue').classList.remove('visible');
+    document.getElementById('ending-credits').classList.add('hidden');
+
+    schedule(() => overlay.classList.add('visible'), FADE_DELAY);
+    schedule(showMonologue, FADE_DELAY + FADE_DURATION);
+
+    console.log('Ending sequence started');
+}
+
+// =================================================================================
+// CHECK IF ENDING IS PLAYING
+// =================================================================================
+export function isEndingPlaying() {
+    return endingState.isPlaying;
+}
+
+// =================================================================================
+// STAGES
+// =================================================================================
+function showMonologue() {
+    clearScheduled();
+    endingState.stage = 'monologue';
+
+    document.getElementById('ending-overlay').classList.add('visible');
+    document.getElementById('ending-monologue').classList.add('visible');
+    SoundManager.playSuccess();
+
+    schedule(showCredits, MONOLOGUE_DURATION);
+}
+
+function showCredits() {
+    clearScheduled();
+    endingState.stage = 'credits';
+
+    document.getElementById('ending-monologue').classList.remove('visible');
+
+    const credits = document.getElementById('ending-credits');
+    const roll = document.getElementById('ending-credits-roll');
+    credits.classList.remove('hidden');
+
+    // Restart the roll animation
+    roll.style.animation = 'none';
+    void roll.offsetHeight;
+    roll.style.animation = `endingCreditsRoll ${CREDITS_DURATION}ms linear forwards`;
+
+    schedule(finishEnding, CREDITS_DURATION);
+}
+
+function finishEnding() {
+    clearScheduled();
+    endingState.isPlaying = false;
+    endingState.stage = null;
+
+    const overlay = document.getElementById('ending-overlay');
+    overlay.classList.add('hidden');
+    overlay.classList.remove('visible');
+
+    returnToMainMenu();
+    console.log('Ending sequence finished');
+}
+
+// =================================================================================
+// TIMING HELPERS
+// =================================================================================
+function schedule(fn, delay) {
+    endingState.timeouts.push(setTimeout(fn, delay));
+}
+
+function clearScheduled() {
+    endingState.timeouts.forEach(clearTimeout);
+    endingState.timeouts = [];
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleEndingKeydown(event) {
+    if (!endingState.isPlaying) return false;
+
+    if (event.key === 'Enter' || event.key === 'Escape' || event.key === ' ') {
+        event.preventDefault();
+        SoundManager.playBlip();
+
+        // Skip ahead one stage
+        if (endingState.stage === 'fade') {
+            showMonologue();
+        } else if (endingState.stage === 'monologue') {
+            showCredits();
+        } else {
+            finishEnding();
+        }
+    }
+    return true;
+}
+
+// =================================================================================
+// CREDITS ROLL
+// =================================================================================
+// Reuses the entries from the main menu's credits screen so the two never
+// drift apart.
+// =================================================================================
+function buildCreditsRoll() {
+    const roll = document.getElementById('ending-credits-roll');
+    const entries = document.querySelectorAll('#credits-menu .space-y-4 > div');
+
+    roll.innerHTML = '<div class="ending-credits-heading">SYNTHEYE</div>';
+    entries.forEach(entry => {
+        const block = document.createElement('div');
+        block.className = 'ending-credits-entry';
+        block.innerHTML = entry.innerHTML;
+        roll.appendChild(block);
+    });
+    roll.insertAdjacentHTML('beforeend', `
+        <div class="ending-credits-entry"><p>HINTS USED</p><p>${getHintsUsed()}</p></div>
+        <div class="ending-credits-heading">THANK YOU FOR PLAYING</div>
+    `);
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createEndingHTML() {
+    if (document.getElementById('ending-overlay')) return;
+
+    const html = `
+        <div id="ending-overlay" class="hidden">
+            <div id="ending-monologue">
+                <div id="ending-title"></div>
+                <div id="ending-text"></div>
+            </div>
+            <div id="ending-credits" class="hidden">
+                <div id="ending-credits-roll"></div>
+            </div>
+            <div id="ending-skip">ENTER: Skip</div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+    addEndingStyles();
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addEndingStyles() {
+    if (document.getElementById('ending-styles')) return;
+
+    const styles = `
+        <style id="ending-styles">
+            #ending-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: #000;
+                opacity: 0;
+                transition: opacity ${FADE_DURATION}ms ease;
+                z-index: 9000;
+                overflow: hidden;
+                font-family: 'Press Start 2P', monospace;
+            }
+
+            #ending-overlay.visible {
+                opacity: 1;
+            }
+
+            #ending-overlay.hidden {
+                display: none;
+            }
+
+            #ending-monologue {
+                position: absolute;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                width: 80%;
+                max-width: 640px;
+                text-align: center;
+                opacity: 0;
+                transition: opacity 1.5s ease;
+            }
+
+            #ending-monologue.visible {
+                opacity: 1;
+            }
+
+            #ending-title {
+                color: #d9b3ff;
+                font-size: 16px;
+                letter-spacing: 4px;
+                text-shadow: 0 0 14px #9955ff;
+                margin-bottom: 30px;
+            }
+
+            #ending-text {
+                color: #cccccc;
+                font-size: 10px;
+                line-height: 2.2;
+                white-space: pre-line;
+            }
+
+            #ending-credits {
+                position: absolute;
+                inset: 0;
+            }
+
+            #ending-credits.hidden {
+                display: none;
+            }
+
+            #ending-credits-roll {
+                position: absolute;
+                top: 100%;
+                width: 100%;
+                text-align: center;
+                color: #bbbbbb;
+                font-size: 10px;
+                line-height: 2;
+            }
+
+            @keyframes endingCreditsRoll {
+                from { transform: translateY(0); }
+                to { transform: translateY(calc(-100vh - 100%)); }
+            }
+
+            .ending-credits-heading {
+                color: #d9b3ff;
+                font-size: 14px;
+                margin: 60px 0;
+                letter-spacing: 4px;
+            }
+
+            .ending-credits-entry {
+                margin-bottom: 40px;
+            }
+
+            .ending-credits-entry p:first-child {
+                color: #ffdd55;
+                margin-bottom: 8px;
+            }
+
+            #ending-skip {
+                position: absolute;
+                bottom: 20px;
+                right: 24px;
+                color: #444;
+                font-size: 7px;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
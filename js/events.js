@@ -0,0 +1,87 @@
+// =================================================================================
+// --- EVENTS.JS - Game Event Bus ---
+// =================================================================================
+// Gameplay modules emit what happened; features that react to it (achievements,
+// speedrun splits, the journal, saves, analytics) subscribe here instead of
+// being called from gameplay code. Only the events listed in GAME_EVENTS can
+// be emitted or subscribed to, so a typo fails loudly instead of silently.
+//
+//   const off = on('itemPicked', ({ itemId }) => { ... });
+//   emit('itemPicked', { itemId, roomKey });
+//   off();
+// =================================================================================
+
+// =================================================================================
+// EVENT TYPES
+// =================================================================================
+/**
+ * @typedef {Object} GameEventPayloads
+ * @property {{itemId: string, roomKey: string}} itemPicked - Item picked up from the world
+ * @property {{itemId: string, roomKey: string, position: {x: number, y: number, z: number}}} itemDropped - Item dropped from the inventory
+ * @property {{roomKey: string, door: string}} doorUnlocked - Locked door opened
+ * @property {{name: string, roomKey: string}} puzzleSolved - Milestone recorded for the first time
+ * @property {{roomKey: string, fromRoom: string}} roomEntered - Room loaded (fromRoom is the previous room)
+ * @property {{revealId: string, roomKey: string}} clueRevealed - Flashlight reveal found for the first time
+ * @property {{gesture: string, previous: string}} gestureChanged - Hand-tracking gesture changed (Test Range)
+ * @property {{isHolding: boolean}} levitationChanged - Levitation grabbed or released the ball (Test Range)
+ * @property {{score: number}} basketScored - Ball went through the Test Range hoop
+ * @property {{time: number|null, difficulty: string}} gameCompleted - Final puzzle solved (time is null for loaded games)
+ */
+export const GAME_EVENTS = [
+    'itemPicked',
+    'itemDropped',
+    'doorUnlocked',
+    'puzzleSolved',
+    'roomEntered',
+    'clueRevealed',
+    'gestureChanged',
+    'levitationChanged',
+    'basketScored',
+    'gameCompleted'
+];
+
+const listeners = new Map(GAME_EVENTS.map(type => [type, new Set()]));
+
+function getListeners(type) {
+    const set = listeners.get(type);
+    if (!set) throw new Error(`Unknown game event: ${type}`);
+    return set;
+}
+
+// =================================================================================
+// SUBSCRIBE / EMIT
+// =================================================================================
+/**
+ * Subscribe to a game event.
+ * @param {keyof GameEventPayloads} type
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribe
+ */
+export function on(type, handler) {
+    getListeners(type).add(handler);
+    return () => off(type, handler);
+}
+
+/**
+ * @param {keyof GameEventPayloads} type
+ * @param {Function} handler
+ */
+export function off(type, handler) {
+    getListeners(type).delete(handler);
+}
+
+/**
+ * Notify every subscriber. A handler that throws is logged and skipped so one
+ * broken listener can't interrupt gameplay.
+ * @param {keyof GameEventPayloads} type
+ * @param {Object} payload
+ */
+export function emit(type, payload = {}) {
+    for (const handler of [...getListeners(type)]) {
+        try {
+            handler(payload);
+        } catch (error) {
+            console.error(`Error in ${type} listener:`, error);
+        }
+    }
+}
@@ -3,10 +3,14 @@
 // =================================================================================
 // Creates a point light around the character plus a visible light cone beam.
 // Toggle with F key. The cone rotates to face the character's direction.
+// Difficulties with a `flashlightBattery` run it on a battery (see BATTERY).
 // =================================================================================
 
 import * as THREE from 'three';
 import { scene, camera, playerMesh } from './three-init.js';
+import { STATE, getDifficultySettings } from './config.js';
+import { showNarration } from './narration.js';
+import { emit } from './events.js';
 
 // =================================================================================
 // FLASHLIGHT STATE
@@ -15,6 +19,7 @@ export let eyeLight = null;           // The actual PointLight for illumination
 export let eyeLightTarget = null;     // Kept for compatibility
 export let lightConeMesh = null;      // Visible cone beam
 let flashlightOn = false;             // Starts OFF, press F to turn on
+let batteryUsed = 0;                  // Seconds of light used (see DIFFICULTY_SETTINGS.flashlightBattery)
 
 // Cone angle for reveal system (PointLight doesn't have angle, so we define it)
 const CONE_ANGLE = Math.PI / 5;       // ~36 degrees, matching visible cone
@@ -23,10 +28,19 @@ const REVEAL_DISTANCE = 25;           // How far the reveal effect reaches
 // Objects that can be revealed by the flashlight
 export let revealableObjects = [];
 
+// Reveal IDs the player has uncovered in any room (survives room changes).
+// Each new one is announced as a `clueRevealed` event.
+const discoveredRevealIds = new Set();
+
 // =================================================================================
 // TOGGLE FLASHLIGHT
 // =================================================================================
 export function toggleFlashlight() {
+    if (!flashlightOn && getBatteryLevel() === 0) {
+        showNarration('The light\'s dead.', 2500);
+        return false;
+    }
+
     flashlightOn = !flashlightOn;
     if (eyeLight) {
         eyeLight.visible = flashlightOn;
@@ -46,6 +60,171 @@ export function isFlashlightOn() {
     return flashlightOn;
 }
 
+// =================================================================================
+// BATTERY
+// =================================================================================
+// Only active when the difficulty sets `flashlightBattery` (seconds of light on
+// a full charge). The light drains while on, dims and flickers below
+// LOW_BATTERY, and dies at zero. Battery pickups (ITEM_DATA `batteryCharge`)
+// recharge it. The HUD meter only shows while the battery model is active.
+// =================================================================================
+const LOW_BATTERY = 0.25;             // Charge below which the light dims and flickers
+const MIN_DIM = 0.35;                 // Brightness multiplier at an empty battery
+
+/**
+ * Remaining charge from 0 to 1, or null when this difficulty has no battery limit.
+ */
+export function getBatteryLevel() {
+    const capacity = getDifficultySettings().flashlightBattery;
+    if (!capacity) return null;
+    return Math.max(0, 1 - batteryUsed / capacity);
+}
+
+/**
+ * Recharge the light from a battery pickup.
+ * @param {number} charge - Fraction of a full battery (0-1)
+ * @returns {boolean} False if this difficulty has no battery model
+ */
+export function rechargeFlashlight(charge) {
+    const capacity = getDifficultySettings().flashlightBattery;
+    if (!capacity) return false;
+
+    batteryUsed = Math.max(0, batteryUsed - charge * capacity);
+    console.log(`Flashlight recharged: ${Math.round(getBatteryLevel() * 100)}%`);
+    return true;
+}
+
+export function resetFlashlightBattery() {
+    batteryUsed = 0;
+}
+
+// Save support - seconds of light used so far
+export function getBatteryUsed() {
+    return batteryUsed;
+}
+
+export function restoreFlashlightBattery(used) {
+    batteryUsed = used || 0;
+}
+
+function drainBattery(delta) {
+    if (!flashlightOn || getBatteryLevel() === null) return;
+
+    batteryUsed += delta;
+    if (getBatteryLevel() === 0) {
+        toggleFlashlight();
+        showNarration('The light sputters out.', 2500);
+        console.log('Flashlight battery empty');
+    }
+}
+
+/**
+ * Dim the beam as the charge runs low, with random dropouts that get more
+ * frequent toward empty.
+ */
+function applyBatteryDimming() {
+    const level = getBatteryLevel();
+    let brightness = 1;
+
+    if (level !== null && level < LOW_BATTERY) {
+        const low = level / LOW_BATTERY;
+        brightness = MIN_DIM + (1 - MIN_DIM) * low;
+        if (Math.random() < 0.15 * (1 - low)) brightness *= 0.15;
+    }
+
+    eyeLight.intensity = eyeLight.userData.baseIntensity * brightness;
+    eyeLight.userData.ambientGlow.intensity = eyeLight.userData.ambientGlow.userData.baseIntensity * brightness;
+    lightConeMesh.material.opacity = lightConeMesh.userData.baseOpacity * brightness;
+}
+
+// =================================================================================
+// BATTERY HUD
+// =================================================================================
+function updateBatteryHUD() {
+    createBatteryHUD();
+
+    const hud = document.getElementById('battery-hud');
+    const level = getBatteryLevel();
+    const visible = level !== null && STATE.interaction_mode === 'OVERWORLD';
+    hud.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    document.getElementById('battery-hud-fill').style.width = `${Math.round(level * 100)}%`;
+    hud.classList.toggle('battery-low', level < LOW_BATTERY);
+    hud.classList.toggle('battery-on', flashlightOn);
+}
+
+function createBatteryHUD() {
+    if (document.getElementById('battery-hud')) return;
+
+    const html = `
+        <div id="battery-hud" class="hidden">
+            <span class="battery-hud-label">LIGHT</span>
+            <div class="battery-hud-cell"><div id="battery-hud-fill"></div></div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+    addBatteryStyles();
+}
+
+function addBatteryStyles() {
+    if (document.getElementById('battery-styles')) return;
+
+    const styles = `
+        <style id="battery-styles">
+            #battery-hud {
+                position: fixed;
+                top: 64px;
+                left: 16px;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-family: 'Press Start 2P', monospace;
+                font-size: 8px;
+                color: #888;
+                z-index: 600;
+                pointer-events: none;
+            }
+
+            #battery-hud.hidden {
+                display: none;
+            }
+
+            #battery-hud.battery-on {
+                color: #ffffcc;
+            }
+
+            .battery-hud-cell {
+                width: 60px;
+                height: 12px;
+                border: 2px solid currentColor;
+                padding: 1px;
+            }
+
+            #battery-hud-fill {
+                height: 100%;
+                background: #ffffcc;
+                transition: width 0.2s linear;
+            }
+
+            #battery-hud.battery-low {
+                color: #ff4444;
+            }
+
+            #battery-hud.battery-low #battery-hud-fill {
+                background: #ff4444;
+                animation: batteryBlink 0.8s steps(2) infinite;
+            }
+
+            @keyframes batteryBlink {
+                50% { opacity: 0.3; }
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
+
 // =================================================================================
 // INITIALIZE EYE-LIGHT - SpotLight + PointLight + visible cone beam
 // =================================================================================
@@ -60,6 +239,7 @@ export function initFlashlight() {
         1.0             // decay
     );
     eyeLight.position.set(0, 2, 0); // Will be updated to follow player
+    eyeLight.userData.baseIntensity = eyeLight.intensity;
     scene.add(eyeLight);
 
     // Create target for spotlight direction
@@ -71,6 +251,7 @@ export function initFlashlight() {
     // Also add a subtle PointLight for ambient glow around player
     const ambientGlow = new THREE.PointLight(0xffffee, 0.8, 12, 2);
     ambientGlow.position.set(0, 2, 0);
+    ambientGlow.userData.baseIntensity = ambientGlow.intensity;
     scene.add(ambientGlow);
     // Store reference to update position
     eyeLight.userData.ambientGlow = ambientGlow;
@@ -94,6 +275,7 @@ export function initFlashlight() {
         blending: THREE.AdditiveBlending
     });
     lightConeMesh = new THREE.Mesh(coneGeometry, coneMaterial);
+    lightConeMesh.userData.baseOpacity = coneMaterial.opacity;
 
     scene.add(lightConeMesh);
 
@@ -108,7 +290,7 @@ export function initFlashlight() {
 // =================================================================================
 // UPDATE FLASHLIGHT - Position light and cone to follow player
 // =================================================================================
-export function updateFlashlight() {
+export function updateFlashlight(delta) {
     if (!eyeLight || !playerMesh) return;
 
     // Get player position and facing direction
@@ -152,6 +334,9 @@ export function updateFlashlight() {
         );
     }
 
+    drainBattery(delta);
+    applyBatteryDimming();
+    updateBatteryHUD();
     updateRevealables();
 }
 
@@ -243,6 +428,10 @@ function updateRevealables() {
             obj.mesh.material.opacity = obj.currentOpacity;
             if (obj.currentOpacity > 0.9 && !obj.revealed) {
                 obj.revealed = true;
+                if (!discoveredRevealIds.has(obj.id)) {
+                    discoveredRevealIds.add(obj.id);
+                    emit('clueRevealed', { revealId: obj.id, roomKey: STATE.current_room });
+                }
                 console.log(`Revealed: ${obj.id}`);
             }
         }
@@ -250,8 +439,24 @@ function updateRevealables() {
 }
 
 export function isRevealed(id) {
-    const obj = revealableObjects.find(o => o.id === id);
-    return obj ? obj.revealed : false;
+    return discoveredRevealIds.has(id);
+}
+
+/**
+ * All reveal IDs discovered so far, across every room.
+ * @returns {string[]}
+ */
+export function getRevealedIds() {
+    return [...discoveredRevealIds];
+}
+
+/**
+ * Replace the discovered reveal IDs (used when loading a save).
+ * @param {string[]} ids
+ */
+export function restoreRevealedIds(ids) {
+    discoveredRevealIds.clear();
+    ids.forEach(id => discoveredRevealIds.add(id));
 }
 
 export function clearRevealables() {
@@ -0,0 +1,723 @@
+// =================================================================================
+// --- FX-CONSOLE.JS - FX Compositing Console Puzzle ---
+// =================================================================================
+// Layer-stacking puzzle for the Music room. FX elements are dragged from the
+// tray into compositing layers (base → top) and a small Three.js preview
+// renders the composite live, so the stack order visibly changes the result.
+// Items are only consumed by the caller once the correct stack is composited.
+// =================================================================================
+
+import * as THREE from 'three';
+import { STATE } from './config.js';
+import { SoundManager } from './sound.js';
+import { ITEM_DATA, hasItem } from './inventory.js';
+import { resetMovement } from './movement.js';
+import { recordFailedAttempt } from './hints.js';
+
+// =================================================================================
+// FX CONSOLE STATE
+// =================================================================================
+let fxConsoleState = {
+    isOpen: false,
+    config: null,           // Active puzzle config (see openFxConsole)
+    layers: [],             // Item id in each layer, index 0 = base layer
+    trayIndex: 0,           // Keyboard cursor in the item tray
+    layerIndex: 0,          // Keyboard cursor in the layer stack
+    locked: false           // True while the success/failure animation plays
+};
+
+// Preview renderer (created lazily on first open)
+let previewRenderer = null;
+let previewScene = null;
+let previewCamera = null;
+let previewClock = new THREE.Clock();
+let previewEffects = {};    // fxType -> THREE.Points
+
+// =================================================================================
+// FX PRESETS
+// =================================================================================
+// Keyed by ITEM_DATA[itemId].fxType. Smoke uses normal blending so it hides
+// whatever is stacked beneath it; fire and sparks are additive glows.
+// =================================================================================
+const FX_PRESETS = {
+    fire: { count: 90, size: 0.55, color: 0xff6a1a, opacity: 0.9, additive: true, speed: 1.4, spread: 0.7, height: 2.2 },
+    smoke: { count: 45, size: 1.3, color: 0x4a4a52, opacity: 0.75, additive: false, speed: 0.6, spread: 1.1, height: 3.2 },
+    sparks: { count: 70, size: 0.12, color: 0xffee88, opacity: 1.0, additive: true, speed: 2.6, spread: 1.4, height: 3.4 }
+};
+
+// =================================================================================
+// OPEN FX CONSOLE UI
+// =================================================================================
+/**
+ * Opens the FX compositing console.
+ * @param {Object} config - Puzzle configuration
+ * @param {string[]} config.items - FX element item ids that can be stacked
+ * @param {string[]} config.solution - Item ids from base layer to top layer
+ * @param {Function} config.onSolve - Callback when the correct stack is composited
+ * @param {string} config.hotspotId - Optional ID of the hotspot that opened this
+ */
+export function openFxConsole(config) {
+    createFxConsoleHTML();
+    if (!previewRenderer) setupPreview();
+
+    fxConsoleState.isOpen = true;
+    fxConsoleState.config = config;
+    fxConsoleState.layers = config.solution.map(() => null);
+    fxConsoleState.trayIndex = 0;
+    fxConsoleState.layerIndex = 0;
+    fxConsoleState.locked = false;
+
+    // Stop walking - keyup events are not routed to movement while open
+    resetMovement();
+    STATE.interaction_mode = 'PUZZLE';
+
+    setStatus('DRAG FX ELEMENTS INTO THE LAYER STACK.');
+    renderFxConsole();
+    document.getElementById('fx-console-overlay').classList.remove('hidden');
+
+    resizePreview();
+    previewClock.getDelta();
+    animatePreview();
+
+    console.log(`FX console opened for: ${config.hotspotId}`);
+}
+
+// =================================================================================
+// CLOSE FX CONSOLE UI
+// =================================================================================
+export function closeFxConsole() {
+    fxConsoleState.isOpen = false;
+    fxConsoleState.config = null;
+    document.getElementById('fx-console-overlay')?.classList.add('hidden');
+
+    if (STATE.interaction_mode === 'PUZZLE') {
+        STATE.interaction_mode = 'OVERWORLD';
+    }
+}
+
+// =================================================================================
+// CHECK IF FX CONSOLE IS OPEN
+// =================================================================================
+export function isFxConsoleOpen() {
+    return fxConsoleState.isOpen;
+}
+
+// =================================================================================
+// LAYER OPERATIONS
+// =================================================================================
+function getTrayItems() {
+    return fxConsoleState.config.items.filter(id =>
+        hasItem(id) && !fxConsoleState.layers.includes(id)
+    );
+}
+
+/**
+ * Place an item into a layer. If the item is already in another layer the two
+ * layers swap, so dragging within the stack reorders it.
+ */
+function placeItem(itemId, layerIndex) {
+    if (fxConsoleState.locked || !itemId) return;
+
+    const layers = fxConsoleState.layers;
+    const fromIndex = layers.indexOf(itemId);
+
+    if (fromIndex !== -1) {
+        layers[fromIndex] = layers[layerIndex];
+    }
+    layers[layerIndex] = itemId;
+
+    const trayCount = getTrayItems().length;
+    fxConsoleState.trayIndex = Math.min(fxConsoleState.trayIndex, Math.max(0, trayCount - 1));
+
+    SoundManager.playSelect();
+    setStatus('');
+    renderFxConsole();
+}
+
+function clearLayer(layerIndex) {
+    if (fxConsoleState.locked || !fxConsoleState.layers[layerIndex]) return;
+    fxConsoleState.layers[layerIndex] = null;
+    SoundManager.playBlip();
+    renderFxConsole();
+}
+
+// =================================================================================
+// COMPOSITE (CHECK SOLUTION)
+// =================================================================================
+function composite() {
+    if (fxConsoleState.locked) return;
+
+    const { layers, config } = fxConsoleState;
+
+    if (layers.includes(null)) {
+        SoundManager.playBlip();
+        const missing = config.items.filter(id => !hasItem(id));
+        setStatus(missing.length > 0
+            ? `MISSING: ${missing.map(id => ITEM_DATA[id]?.name || id).join(', ').toUpperCase()}`
+            : 'EVERY LAYER NEEDS AN ELEMENT.');
+        return;
+    }
+
+    const panel = document.getElementById('fx-console-panel');
+    const isCorrect = layers.every((itemId, i) => itemId === config.solution[i]);
+    fxConsoleState.locked = true;
+
+    if (isCorrect) {
+        panel.classList.add('fx-console-solved');
+        setStatus('COMPOSITE LOCKED. THE LAYERS ALIGN.');
+        SoundManager.playSuccess();
+
+        setTimeout(() => {
+            panel.classList.remove('fx-console-solved');
+            const onSolve = config.onSolve;
+            closeFxConsole();
+            if (onSolve) onSolve(config.hotspotId);
+        }, 1200);
+    } else {
+        panel.classList.add('fx-console-wrong');
+        setStatus(describeWrongStack(layers));
+        SoundManager.playTone(110, 'sawtooth', 0.3, 0.1);
+        recordFailedAttempt();
+
+        setTimeout(() => {
+            panel.classList.remove('fx-console-wrong');
+            fxConsoleState.locked = false;
+        }, 600);
+    }
+}
+
+/**
+ * Feedback text for a wrong stack, based on what the preview shows.
+ */
+function describeWrongStack(layers) {
+    const types = layers.map(id => ITEM_DATA[id]?.fxType);
+    if (types.indexOf('smoke') > types.indexOf('sparks')) {
+        return 'THE SMOKE SMOTHERS EVERYTHING BENEATH IT. THE SPARKS ARE LOST.';
+    }
+    if (types.indexOf('smoke') < types.indexOf('fire')) {
+        return 'THE FLAMES BURN IN FRONT OF THEIR OWN SMOKE. IT LOOKS WRONG.';
+    }
+    return 'THE COMPOSITE FLICKERS AND FALLS APART.';
+}
+
+// =================================================================================
+// RENDER FX CONSOLE UI
+// =================================================================================
+function renderFxConsole() {
+    const { layers, trayIndex, layerIndex } = fxConsoleState;
+
+    // Layers are listed top-down so the stack reads like a compositing app
+    const layersEl = document.getElementById('fx-console-layers');
+    layersEl.innerHTML = layers.map((itemId, i) => ({ itemId, i })).reverse().map(({ itemId, i }) => `
+        <div class="fx-layer ${itemId ? 'filled' : ''} ${i === layerIndex ? 'selected' : ''}" data-layer="${i}">
+            <span class="fx-layer-label">${i === 0 ? 'BASE' : i === layers.length - 1 ? 'TOP' : 'LAYER ' + (i + 1)}</span>
+            ${itemId
+                ? `<span class="fx-layer-item" draggable="true" data-item="${itemId}">${ITEM_DATA[itemId].icon} ${ITEM_DATA[itemId].name.toUpperCase()}</span>`
+                : '<span class="fx-layer-empty">— EMPTY —</span>'}
+        </div>
+    `).join('');
+
+    const trayItems = getTrayItems();
+    const trayEl = document.getElementById('fx-console-tray');
+    trayEl.innerHTML = trayItems.length === 0
+        ? '<div class="fx-tray-empty">NO LOOSE ELEMENTS</div>'
+        : trayItems.map((itemId, i) => `
+            <div class="fx-tray-item ${i === trayIndex ? 'selected' : ''}" draggable="true" data-item="${itemId}">
+                <div class="fx-tray-icon">${ITEM_DATA[itemId].icon}</div>
+                <div class="fx-tray-name">${ITEM_DATA[itemId].name.replace('FX Layer: ', '').toUpperCase()}</div>
+            </div>
+        `).join('');
+
+    updatePreviewStack();
+}
+
+function setStatus(text) {
+    const status = document.getElementById('fx-console-status');
+    if (status) status.textContent = text;
+}
+
+// =================================================================================
+// PREVIEW RENDERER
+// =================================================================================
+function setupPreview() {
+    const container = document.getElementById('fx-console-preview');
+
+    previewRenderer = new THREE.WebGLRenderer({ antialias: false, alpha: false });
+    previewRenderer.setPixelRatio(window.devicePixelRatio / 2);
+    previewRenderer.setClearColor(0x050308);
+    container.appendChild(previewRenderer.domElement);
+
+    previewScene = new THREE.Scene();
+    previewCamera = new THREE.PerspectiveCamera(45, 1, 0.1, 20);
+    previewCamera.position.set(0, 1.2, 5);
+    previewCamera.lookAt(0, 1.2, 0);
+
+    const spriteTexture = createSoftSpriteTexture();
+
+    for (const fxType in FX_PRESETS) {
+        const preset = FX_PRESETS[fxType];
+        const positions = new Float32Array(preset.count * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const material = new THREE.PointsMaterial({
+            color: preset.color,
+            size: preset.size,
+            map: spriteTexture,
+            transparent: true,
+            opacity: preset.opacity,
+            depthTest: false,
+            depthWrite: false,
+            blending: preset.additive ? THREE.AdditiveBlending : THREE.NormalBlending
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.userData.preset = preset;
+        points.userData.phases = Array.from({ length: preset.count }, () => Math.random());
+        points.userData.offsets = Array.from({ length: preset.count }, () => (Math.random() - 0.5) * preset.spread);
+        points.visible = false;
+
+        previewEffects[fxType] = points;
+        previewScene.add(points);
+    }
+
+    window.addEventListener('resize', resizePreview, false);
+}
+
+function createSoftSpriteTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
+    gradient.addColorStop(0, 'rgba(255,255,255,1)');
+    gradient.addColorStop(0.4, 'rgba(255,255,255,0.6)');
+    gradient.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 32, 32);
+    return new THREE.CanvasTexture(canvas);
+}
+
+function resizePreview() {
+    const container = document.getElementById('fx-console-preview');
+    if (!previewRenderer || !container) return;
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    previewCamera.aspect = width / height;
+    previewCamera.updateProjectionMatrix();
+    previewRenderer.setSize(width, height);
+}
+
+/**
+ * Show the effects that are in the stack, drawn in layer order (base first).
+ */
+function updatePreviewStack() {
+    if (!previewRenderer) return;
+
+    for (const fxType in previewEffects) {
+        previewEffects[fxType].visible = false;
+    }
+
+    fxConsoleState.layers.forEach((itemId, layerIndex) => {
+        const points = previewEffects[ITEM_DATA[itemId]?.fxType];
+        if (!points) return;
+        points.visible = true;
+        points.renderOrder = layerIndex;
+    });
+}
+
+function animatePreview() {
+    if (!fxConsoleState.isOpen) return;
+    requestAnimationFrame(animatePreview);
+
+    const delta = Math.min(previewClock.getDelta(), 0.1);
+
+    for (const fxType in previewEffects) {
+        const points = previewEffects[fxType];
+        if (!points.visible) continue;
+
+        const { preset, phases, offsets } = points.userData;
+        const positions = points.geometry.attributes.position.array;
+
+        for (let i = 0; i < preset.count; i++) {
+            phases[i] = (phases[i] + delta * preset.speed / preset.height) % 1;
+            const t = phases[i];
+            // Particles drift outward as they rise; fire narrows to a tip
+            const widen = fxType === 'fire' ? (1 - t) : (0.4 + t);
+            positions[i * 3] = offsets[i] * widen + Math.sin((t + i) * 6) * 0.05;
+            positions[i * 3 + 1] = t * preset.height;
+            positions[i * 3 + 2] = (i % 5) * 0.01;
+        }
+        points.geometry.attributes.position.needsUpdate = true;
+    }
+
+    previewRenderer.render(previewScene, previewCamera);
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleFxConsoleKeydown(event) {
+    if (!fxConsoleState.isOpen) return false;
+
+    const trayItems = getTrayItems();
+    const layerCount = fxConsoleState.layers.length;
+
+    switch (event.key.toLowerCase()) {
+        case 'escape':
+            event.preventDefault();
+            SoundManager.playBlip();
+            closeFxConsole();
+            return true;
+        case 'a':
+        case 'arrowleft':
+        case 'd':
+        case 'arrowright':
+            event.preventDefault();
+            if (trayItems.length > 0) {
+                const step = ['a', 'arrowleft'].includes(event.key.toLowerCase()) ? -1 : 1;
+                fxConsoleState.trayIndex = (fxConsoleState.trayIndex + step + trayItems.length) % trayItems.length;
+                SoundManager.playBlip();
+                renderFxConsole();
+            }
+            return true;
+        case 'w':
+        case 'arrowup':
+            event.preventDefault();
+            fxConsoleState.layerIndex = Math.min(fxConsoleState.layerIndex + 1, layerCount - 1);
+            SoundManager.playBlip();
+            renderFxConsole();
+            return true;
+        case 's':
+        case 'arrowdown':
+            event.preventDefault();
+            fxConsoleState.layerIndex = Math.max(fxConsoleState.layerIndex - 1, 0);
+            SoundManager.playBlip();
+            renderFxConsole();
+            return true;
+        case 'e':
+        case ' ':
+            // Place the selected tray element into the selected layer
+            event.preventDefault();
+            if (trayItems.length > 0) {
+                placeItem(trayItems[fxConsoleState.trayIndex], fxConsoleState.layerIndex);
+            }
+            return true;
+        case 'backspace':
+        case 'delete':
+            event.preventDefault();
+            clearLayer(fxConsoleState.layerIndex);
+            return true;
+        case 'enter':
+            event.preventDefault();
+            composite();
+            return true;
+    }
+
+    return false;
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createFxConsoleHTML() {
+    if (document.getElementById('fx-console-overlay')) return;
+
+    const html = `
+        <div id="fx-console-overlay" class="hidden">
+            <div id="fx-console-panel">
+                <div id="fx-console-title">FX COMPOSITING CONSOLE</div>
+                <div id="fx-console-body">
+                    <div id="fx-console-stack">
+                        <div class="fx-console-heading">LAYER STACK</div>
+                        <div id="fx-console-layers"></div>
+                    </div>
+                    <div id="fx-console-preview"></div>
+                </div>
+                <div id="fx-console-tray"></div>
+                <div id="fx-console-status"></div>
+                <div id="fx-console-actions">
+                    <button id="fx-console-composite" class="fx-console-btn">[ COMPOSITE ]</button>
+                    <button id="fx-console-close" class="fx-console-btn">[ CLOSE ]</button>
+                </div>
+                <div id="fx-console-keys">A/D: Element | W/S: Layer | E: Place | BACKSPACE: Clear | ENTER: Composite | ESC: Close</div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+    addFxConsoleStyles();
+    setupDragAndDrop();
+
+    document.getElementById('fx-console-composite').addEventListener('click', composite);
+    document.getElementById('fx-console-close').addEventListener('click', () => {
+        SoundManager.playBlip();
+        closeFxConsole();
+    });
+}
+
+// =================================================================================
+// DRAG AND DROP
+// =================================================================================
+// Uses native HTML5 drag events. Contents are re-rendered on every change, so
+// listeners are delegated from the static containers.
+// =================================================================================
+function setupDragAndDrop() {
+    const layersEl = document.getElementById('fx-console-layers');
+    const trayEl = document.getElementById('fx-console-tray');
+
+    const onDragStart = (e) => {
+        const source = e.target.closest('[data-item]');
+        if (!source || fxConsoleState.locked) return;
+        e.dataTransfer.setData('text/plain', source.dataset.item);
+        e.dataTransfer.effectAllowed = 'move';
+    };
+    layersEl.addEventListener('dragstart', onDragStart);
+    trayEl.addEventListener('dragstart', onDragStart);
+
+    layersEl.addEventListener('dragover', (e) => {
+        const layer = e.target.closest('.fx-layer');
+        if (!layer) return;
+        e.preventDefault();
+        layersEl.querySelectorAll('.fx-layer').forEach(el => el.classList.toggle('drag-over', el === layer));
+    });
+    layersEl.addEventListener('dragleave', (e) => {
+        if (!layersEl.contains(e.relatedTarget)) {
+            layersEl.querySelectorAll('.fx-layer').forEach(el => el.classList.remove('drag-over'));
+        }
+    });
+    layersEl.addEventListener('drop', (e) => {
+        const layer = e.target.closest('.fx-layer');
+        if (!layer) return;
+        e.preventDefault();
+        fxConsoleState.layerIndex = parseInt(layer.dataset.layer);
+        placeItem(e.dataTransfer.getData('text/plain'), fxConsoleState.layerIndex);
+    });
+
+    // Dropping a layer's element back on the tray clears that layer
+    trayEl.addEventListener('dragover', (e) => e.preventDefault());
+    trayEl.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const layerIndex = fxConsoleState.layers.indexOf(e.dataTransfer.getData('text/plain'));
+        if (layerIndex !== -1) clearLayer(layerIndex);
+    });
+
+    // Click fallback: click a tray element to drop it into the selected layer,
+    // click a layer to select it (or clear it if already selected)
+    trayEl.addEventListener('click', (e) => {
+        const item = e.target.closest('.fx-tray-item');
+        if (item) placeItem(item.dataset.item, fxConsoleState.layerIndex);
+    });
+    layersEl.addEventListener('click', (e) => {
+        const layer = e.target.closest('.fx-layer');
+        if (!layer) return;
+        const index = parseInt(layer.dataset.layer);
+        if (index === fxConsoleState.layerIndex) {
+            clearLayer(index);
+        } else {
+            fxConsoleState.layerIndex = index;
+            SoundManager.playBlip();
+            renderFxConsole();
+        }
+    });
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addFxConsoleStyles() {
+    if (document.getElementById('fx-console-styles')) return;
+
+    const styles = `
+        <style id="fx-console-styles">
+            #fx-console-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+                font-family: 'Press Start 2P', monospace;
+            }
+
+            #fx-console-overlay.hidden {
+                display: none;
+            }
+
+            #fx-console-panel {
+                background: linear-gradient(135deg, #120a1a 0%, #22152d 50%, #10081a 100%);
+                border: 3px solid #66337f;
+                box-shadow: 0 0 30px rgba(102, 51, 127, 0.5), inset 0 0 20px rgba(0, 0, 0, 0.8);
+                padding: 22px;
+                width: 640px;
+                text-align: center;
+                transition: border-color 0.2s, box-shadow 0.2s;
+            }
+
+            #fx-console-panel.fx-console-solved {
+                border-color: #00ff66;
+                box-shadow: 0 0 40px rgba(0, 255, 100, 0.6);
+            }
+
+            #fx-console-panel.fx-console-wrong {
+                border-color: #ff2222;
+            }
+
+            #fx-console-title {
+                color: #cc88ff;
+                font-size: 13px;
+                letter-spacing: 3px;
+                text-shadow: 0 0 10px #9933ff;
+                margin-bottom: 16px;
+            }
+
+            #fx-console-body {
+                display: flex;
+                gap: 14px;
+                margin-bottom: 14px;
+            }
+
+            #fx-console-stack {
+                flex: 1;
+            }
+
+            .fx-console-heading {
+                color: #776688;
+                font-size: 7px;
+                margin-bottom: 8px;
+                text-align: left;
+            }
+
+            .fx-layer {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                height: 44px;
+                padding: 0 10px;
+                margin-bottom: 6px;
+                background: rgba(0, 0, 0, 0.6);
+                border: 2px dashed #443355;
+                cursor: pointer;
+            }
+
+            .fx-layer.filled {
+                border-style: solid;
+            }
+
+            .fx-layer.selected {
+                border-color: #cc88ff;
+                box-shadow: 0 0 10px rgba(204, 136, 255, 0.4);
+            }
+
+            .fx-layer.drag-over {
+                border-color: #00ff66;
+                background: rgba(0, 50, 20, 0.5);
+            }
+
+            .fx-layer-label {
+                color: #776688;
+                font-size: 6px;
+                width: 52px;
+                text-align: left;
+            }
+
+            .fx-layer-item {
+                color: #eeddff;
+                font-size: 8px;
+                cursor: grab;
+            }
+
+            .fx-layer-empty {
+                color: #443355;
+                font-size: 7px;
+            }
+
+            #fx-console-preview {
+                width: 220px;
+                height: 160px;
+                border: 2px solid #443355;
+                background: #050308;
+            }
+
+            #fx-console-tray {
+                display: flex;
+                justify-content: center;
+                gap: 8px;
+                min-height: 70px;
+                margin-bottom: 10px;
+            }
+
+            .fx-tray-item {
+                width: 84px;
+                padding: 8px 4px;
+                background: rgba(0, 0, 0, 0.5);
+                border: 2px solid #333;
+                cursor: grab;
+            }
+
+            .fx-tray-item.selected {
+                border-color: #cc88ff;
+            }
+
+            .fx-tray-icon {
+                font-size: 22px;
+                margin-bottom: 6px;
+            }
+
+            .fx-tray-name {
+                color: #aaa;
+                font-size: 6px;
+            }
+
+            .fx-tray-empty {
+                color: #555;
+                font-size: 7px;
+                align-self: center;
+            }
+
+            #fx-console-status {
+                color: #ff8866;
+                font-size: 7px;
+                line-height: 1.8;
+                min-height: 14px;
+                margin-bottom: 10px;
+            }
+
+            #fx-console-panel.fx-console-solved #fx-console-status {
+                color: #00ff66;
+            }
+
+            #fx-console-actions {
+                display: flex;
+                gap: 10px;
+                justify-content: center;
+                margin-bottom: 10px;
+            }
+
+            .fx-console-btn {
+                background: #120a1a;
+                border: 2px solid #66337f;
+                color: #cc88ff;
+                padding: 8px 12px;
+                font-family: 'Press Start 2P', monospace;
+                font-size: 8px;
+                cursor: pointer;
+            }
+
+            .fx-console-btn:hover {
+                background: #2d1540;
+                border-color: #cc88ff;
+            }
+
+            #fx-console-keys {
+                color: #666;
+                font-size: 6px;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
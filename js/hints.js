@@ -0,0 +1,190 @@
+// =================================================================================
+// --- HINTS.JS - Contextual Hint System ---
+// =================================================================================
+// Puzzle hotspots list escalating `hints` in ROOM_DATA, vague first and the
+// answer last. Time spent and failed attempts are tracked per room; once the
+// player looks stuck a hint is offered by narration and the HINT button. G (or
+// the button) shows the next hint for the nearest unsolved hotspot. Hints
+// shown are counted in progression.js for the ending screen. Difficulties
+// with `hints: false` (DIFFICULTY_SETTINGS) turn the whole system off.
+// =================================================================================
+
+import { STATE, ROOM_DATA, getDifficultySettings } from './config.js';
+import { SoundManager } from './sound.js';
+import { showNarration } from './narration.js';
+import { recordHintUsed, getHintLevel } from './progression.js';
+
+// =================================================================================
+// HINT STATE
+// =================================================================================
+let hintState = {
+    rooms: {}               // roomKey -> { time, failures, offered }
+};
+
+const HINT_OFFER_TIME = 120;        // Seconds in a room before offering a hint
+const HINT_OFFER_FAILURES = 3;      // Failed attempts before offering a hint
+const HINT_DURATION = 6000;
+
+// Time only counts while the player is actually in the room (not in menus)
+const PLAYING_MODES = ['OVERWORLD', 'PUZZLE', 'INVENTORY', 'POPUP_TEXT', 'POPUP_INSPECT'];
+
+function getRoomTracking(roomKey = STATE.current_room) {
+    if (!hintState.rooms[roomKey]) {
+        hintState.rooms[roomKey] = { time: 0, failures: 0, offered: false };
+    }
+    return hintState.rooms[roomKey];
+}
+
+// =================================================================================
+// TRACKING (called from the game loop and puzzle UIs)
+// =================================================================================
+/**
+ * Advance the stuck timer and offer a hint when it runs out.
+ * @param {number} delta - Seconds since last frame
+ */
+export function updateHints(delta) {
+    createHintButtonHTML();
+    if (!getDifficultySettings().hints) {
+        document.getElementById('hint-button').classList.add('hidden');
+        return;
+    }
+
+    const tracking = getRoomTracking();
+
+    if (PLAYING_MODES.includes(STATE.interaction_mode)) {
+        tracking.time += delta;
+    }
+
+    const stuck = tracking.time >= HINT_OFFER_TIME || tracking.failures >= HINT_OFFER_FAILURES;
+    if (!tracking.offered && stuck && STATE.interaction_mode === 'OVERWORLD' && getHintTarget()) {
+        tracking.offered = true;
+        showNarration('Stuck? Press G for a hint.', 4000);
+        console.log(`Hint offered in ${STATE.current_room}`);
+    }
+
+    const button = document.getElementById('hint-button');
+    button.classList.toggle('hidden', !(tracking.offered && STATE.interaction_mode === 'OVERWORLD'));
+}
+
+/**
+ * Count a failed attempt (wrong order, wrong code, wrong item) in the current room.
+ */
+export function recordFailedAttempt() {
+    getRoomTracking().failures++;
+}
+
+// =================================================================================
+// SHOW A HINT
+// =================================================================================
+/**
+ * Show the next hint for the most relevant unsolved hotspot in the room.
+ * @returns {boolean} True if a hint was shown
+ */
+export function requestHint() {
+    if (!getDifficultySettings().hints) {
+        SoundManager.playBlip();
+        showNarration('No hints on this difficulty. I\'m on my own.');
+        return false;
+    }
+
+    const hotspot = getHintTarget();
+    if (!hotspot) {
+        SoundManager.playBlip();
+        showNarration('Nothing here I can\'t work out.');
+        return false;
+    }
+
+    // The last hint repeats once they have all been seen (and isn't counted again)
+    const level = getHintLevel(hotspot.name);
+    const index = Math.min(level, hotspot.hints.length - 1);
+    if (level < hotspot.hints.length) recordHintUsed(hotspot.name);
+
+    SoundManager.playSelect();
+    showNarration(`HINT ${index + 1}/${hotspot.hints.length}: ${hotspot.hints[index]}`, HINT_DURATION);
+
+    const tracking = getRoomTracking();
+    tracking.time = 0;
+    tracking.failures = 0;
+    tracking.offered = false;
+    return true;
+}
+
+/**
+ * The hotspot in range if it has hints, otherwise the nearest unsolved one.
+ */
+function getHintTarget() {
+    const room = ROOM_DATA[STATE.current_room];
+    if (!room) return null;
+
+    const candidates = room.hotspots.filter(h => h.hints?.length && !isHotspotDone(h, room));
+    if (candidates.length === 0) return null;
+
+    const active = candidates.find(h => h.name === STATE.active_hotspot?.name);
+    if (active) return active;
+
+    const distanceSq = h => (h.pos.x - STATE.player_pos.x) ** 2 + (h.pos.z - STATE.player_pos.z) ** 2;
+    return candidates.reduce((a, b) => (distanceSq(b) < distanceSq(a) ? b : a));
+}
+
+function isHotspotDone(hotspot, room) {
+    if (hotspot.solved) return true;
+    if (hotspot.type === 'door') return !hotspot.locked;
+    if (hotspot.type.startsWith('puzzle_')) return !!room.puzzleCompleted;
+    return false;
+}
+
+// =================================================================================
+// RESET
+// =================================================================================
+export function resetHints() {
+    hintState.rooms = {};
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createHintButtonHTML() {
+    if (document.getElementById('hint-button')) return;
+
+    const html = `<button id="hint-button" class="hidden">[ G ] HINT</button>`;
+    document.body.insertAdjacentHTML('beforeend', html);
+    document.getElementById('hint-button').addEventListener('click', () => requestHint());
+    addHintStyles();
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addHintStyles() {
+    if (document.getElementById('hint-styles')) return;
+
+    const styles = `
+        <style id="hint-styles">
+            #hint-button {
+                position: fixed;
+                bottom: 70px;
+                right: 16px;
+                background: rgba(0, 0, 0, 0.8);
+                border: 2px solid #ffdd55;
+                color: #ffdd55;
+                font-family: 'Press Start 2P', monospace;
+                font-size: 8px;
+                padding: 8px 12px;
+                cursor: pointer;
+                z-index: 600;
+                animation: hintPulse 1.6s ease-in-out infinite;
+            }
+
+            #hint-button.hidden {
+                display: none;
+            }
+
+            @keyframes hintPulse {
+                0%, 100% { box-shadow: 0 0 4px rgba(255, 221, 85, 0.3); }
+                50% { box-shadow: 0 0 14px rgba(255, 221, 85, 0.8); }
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
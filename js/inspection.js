@@ -2,12 +2,15 @@
 // --- INSPECTION.JS - 360° Object Inspection View ---
 // =================================================================================
 // The 360° object viewer with OrbitControls, resize handling, start/stop inspection.
+// Two viewers share the same setup: the inspection popup (content_id props) and
+// the inventory inspect view (ITEM_DATA modelPath, with hidden details).
 // =================================================================================
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { STATE } from './config.js';
+import { ITEM_DATA } from './inventory.js';
 
 // =================================================================================
 // INSPECTION VIEW STATE
@@ -26,36 +29,67 @@ let inspectionClock = new THREE.Clock();
 // Call once at startup to initialize the inspection renderer and scene
 // =================================================================================
 export function setupInspectionView() {
-    inspectionRenderer = new THREE.WebGLRenderer({ antialias: false, alpha: true });
-    inspectionRenderer.setPixelRatio(window.devicePixelRatio / 2);
-    inspectionScene = new THREE.Scene();
-    inspectionCamera = new THREE.PerspectiveCamera(50, 1, 0.1, 10);
-    inspectionCamera.position.z = 5;
+    const viewer = createViewer(document.getElementById('inspection-view-container'));
+    inspectionRenderer = viewer.renderer;
+    inspectionScene = viewer.scene;
+    inspectionCamera = viewer.camera;
+    inspectionControls = viewer.controls;
+}
 
-    inspectionScene.add(new THREE.AmbientLight(0xFFFFFF, 0.5));
+// =================================================================================
+// SHARED VIEWER SETUP
+// =================================================================================
+/**
+ * Renderer, lit scene, camera and OrbitControls inside a container element.
+ * The container gets a `resizeHandler` to call whenever it becomes visible.
+ */
+function createViewer(container) {
+    const renderer = new THREE.WebGLRenderer({ antialias: false, alpha: true });
+    renderer.setPixelRatio(window.devicePixelRatio / 2);
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 10);
+    camera.position.z = 5;
+
+    scene.add(new THREE.AmbientLight(0xFFFFFF, 0.5));
     const pointLight = new THREE.PointLight(0xFFFFFF, 2);
     pointLight.position.set(5, 5, 5);
-    inspectionScene.add(pointLight);
+    scene.add(pointLight);
 
-    const container = document.getElementById('inspection-view-container');
-    container.appendChild(inspectionRenderer.domElement);
+    container.appendChild(renderer.domElement);
 
-    inspectionControls = new OrbitControls(inspectionCamera, inspectionRenderer.domElement);
-    inspectionControls.enableDamping = true;
-    inspectionControls.minDistance = 2;
-    inspectionControls.maxDistance = 6;
-    inspectionControls.screenSpacePanning = false;
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.minDistance = 2;
+    controls.maxDistance = 6;
+    controls.screenSpacePanning = false;
 
-    function resizeInspection() {
+    function resizeViewer() {
         const width = container.clientWidth;
         const height = container.clientHeight;
-        inspectionCamera.aspect = width / height;
-        inspectionCamera.updateProjectionMatrix();
-        inspectionRenderer.setSize(width, height);
+        if (!width || !height) return;
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height);
     }
-    resizeInspection();
-    container.resizeHandler = resizeInspection;
-    window.addEventListener('resize', resizeInspection, false);
+    resizeViewer();
+    container.resizeHandler = resizeViewer;
+    window.addEventListener('resize', resizeViewer, false);
+
+    return { renderer, scene, camera, controls };
+}
+
+/**
+ * Center a loaded model on the origin and scale it to fit a 2-unit box.
+ */
+function fitToView(object) {
+    const box = new THREE.Box3().setFromObject(object);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scale = 2 / maxDim;
+
+    object.scale.setScalar(scale);
+    object.position.sub(center.multiplyScalar(scale));
 }
 
 // =================================================================================
@@ -108,14 +142,7 @@ export function startInspectionView(contentId) {
                 inspectionObject = gltf.scene;
 
                 // Auto-center and scale the model
-                const box = new THREE.Box3().setFromObject(inspectionObject);
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-                const maxDim = Math.max(size.x, size.y, size.z);
-                const scale = 2 / maxDim;
-
-                inspectionObject.scale.setScalar(scale);
-                inspectionObject.position.sub(center.multiplyScalar(scale));
+                fitToView(inspectionObject);
 
                 // Setup animations if present
                 if (gltf.animations && gltf.animations.length > 0) {
@@ -201,3 +228,284 @@ export function animateInspection() {
         }
     }
 }
+
+// =================================================================================
+// ITEM INSPECT VIEW (inventory)
+// =================================================================================
+// Rotatable preview of an inventory item inside #inspect-item-view. Loads the
+// item's `modelPath` GLB, falling back to a generated placeholder.
+//
+// Items can carry hidden details that only show from one side:
+//   hiddenDetails: [{ side: 'back', text: '20', note: 'Scratched into the back: "20"', angle: 30 }]
+// `side` is front | back | left | right | top | bottom, `text` is engraved on
+// the model, `note` is shown in the panel while it is visible, `angle`
+// (degrees, optional) is how far off-axis it can still be read.
+// =================================================================================
+const DETAIL_SIDES = {
+    front: new THREE.Vector3(0, 0, 1),
+    back: new THREE.Vector3(0, 0, -1),
+    left: new THREE.Vector3(-1, 0, 0),
+    right: new THREE.Vector3(1, 0, 0),
+    top: new THREE.Vector3(0, 1, 0),
+    bottom: new THREE.Vector3(0, -1, 0)
+};
+const DEFAULT_DETAIL_ANGLE = 30;
+const DETAIL_FADE_SPEED = 0.15;
+
+let itemView = {
+    viewer: null,
+    root: null,                 // Group holding the model and its engravings
+    itemId: null,               // Item being shown (null = view stopped)
+    details: [],                // { detail, mesh, normal, visible }
+    onDetailsChange: null,      // Called with the notes currently visible
+    loadToken: 0                // Ignores GLB loads that finish after a switch
+};
+
+/**
+ * Show an inventory item in the inspect panel.
+ * @param {string} itemId - ITEM_DATA key
+ * @param {Function} onDetailsChange - Called with an array of visible detail notes
+ */
+export function startItemInspectView(itemId, onDetailsChange = null) {
+    const container = document.getElementById('inspect-item-view');
+    if (!container) return;
+
+    if (!itemView.viewer) {
+        itemView.viewer = createViewer(container);
+    }
+    container.resizeHandler();
+
+    const wasRunning = itemView.itemId !== null;
+    clearItemView();
+
+    itemView.itemId = itemId;
+    itemView.onDetailsChange = onDetailsChange;
+    const token = ++itemView.loadToken;
+
+    const { camera, controls } = itemView.viewer;
+    camera.position.set(0, 0, 3);
+    controls.target.set(0, 0, 0);
+    controls.update();
+
+    const itemData = ITEM_DATA[itemId];
+    if (itemData?.modelPath) {
+        new GLTFLoader().load(
+            itemData.modelPath,
+            (gltf) => {
+                if (token !== itemView.loadToken) return;
+                showItemObject(gltf.scene);
+            },
+            undefined,
+            () => {
+                if (token !== itemView.loadToken) return;
+                console.warn(`Item model not found, using placeholder: ${itemData.modelPath}`);
+                showItemObject(createItemPlaceholder(itemId));
+            }
+        );
+    } else {
+        showItemObject(createItemPlaceholder(itemId));
+    }
+
+    if (!wasRunning) animateItemInspect();
+}
+
+export function stopItemInspectView() {
+    clearItemView();
+    itemView.itemId = null;
+    itemView.onDetailsChange = null;
+    itemView.loadToken++;
+}
+
+/**
+ * Orbit the item camera from the keyboard.
+ * @param {number} dTheta - Horizontal angle in radians
+ * @param {number} dPhi - Vertical angle in radians
+ */
+export function rotateItemInspectView(dTheta, dPhi) {
+    if (!itemView.viewer || itemView.itemId === null) return;
+
+    const { camera, controls } = itemView.viewer;
+    const offset = camera.position.clone().sub(controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta += dTheta;
+    spherical.phi = THREE.MathUtils.clamp(spherical.phi + dPhi, 0.1, Math.PI - 0.1);
+    offset.setFromSpherical(spherical);
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+}
+
+function showItemObject(object) {
+    fitToView(object);
+
+    itemView.root = new THREE.Group();
+    itemView.root.add(object);
+
+    const box = new THREE.Box3().setFromObject(object);
+    (ITEM_DATA[itemView.itemId]?.hiddenDetails || []).forEach(detail => {
+        const normal = DETAIL_SIDES[detail.side];
+        if (!normal) {
+            console.warn(`Unknown hidden detail side: ${detail.side} (${itemView.itemId})`);
+            return;
+        }
+        const mesh = createEngraving(detail.text, box, normal);
+        itemView.root.add(mesh);
+        itemView.details.push({ detail, mesh, normal, visible: false });
+    });
+
+    itemView.viewer.scene.add(itemView.root);
+}
+
+/**
+ * Remove the shown item and free its GPU resources. Everything under the root
+ * (model or placeholder, and the engravings) is built fresh per inspect.
+ */
+function clearItemView() {
+    if (itemView.root) {
+        itemView.viewer.scene.remove(itemView.root);
+        itemView.root.traverse(child => {
+            child.geometry?.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                material?.map?.dispose();
+                material?.dispose();
+            });
+        });
+        itemView.root = null;
+    }
+    itemView.details = [];
+}
+
+// =================================================================================
+// HIDDEN DETAILS
+// =================================================================================
+/**
+ * Text plane sitting just off one face of the model's bounding box.
+ */
+function createEngraving(text, box, normal) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#e8d9a0';
+    ctx.font = '40px "Press Start 2P", monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 128, 64);
+
+    const material = new THREE.MeshBasicMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        opacity: 0,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(0.9, 0.45), material);
+
+    // Center of the face on that side, nudged outward
+    const pos = box.getCenter(new THREE.Vector3());
+    ['x', 'y', 'z'].forEach(axis => {
+        if (normal[axis] > 0) pos[axis] = box.max[axis] + 0.02;
+        if (normal[axis] < 0) pos[axis] = box.min[axis] - 0.02;
+    });
+    mesh.position.copy(pos);
+    mesh.lookAt(pos.clone().add(normal));
+
+    return mesh;
+}
+
+function updateHiddenDetails() {
+    const { camera, controls } = itemView.viewer;
+    const viewDir = camera.position.clone().sub(controls.target).normalize();
+    let changed = false;
+
+    itemView.details.forEach(entry => {
+        const threshold = Math.cos(THREE.MathUtils.degToRad(entry.detail.angle ?? DEFAULT_DETAIL_ANGLE));
+        const visible = viewDir.dot(entry.normal) >= threshold;
+        if (visible !== entry.visible) {
+            entry.visible = visible;
+            changed = true;
+        }
+
+        const material = entry.mesh.material;
+        material.opacity += ((visible ? 1 : 0) - material.opacity) * DETAIL_FADE_SPEED;
+    });
+
+    if (changed && itemView.onDetailsChange) {
+        itemView.onDetailsChange(itemView.details.filter(e => e.visible).map(e => e.detail.note || e.detail.text));
+    }
+}
+
+function animateItemInspect() {
+    if (itemView.itemId === null) return;
+    requestAnimationFrame(animateItemInspect);
+
+    const { renderer, scene, camera, controls } = itemView.viewer;
+    controls.update();
+    updateHiddenDetails();
+    renderer.render(scene, camera);
+}
+
+// =================================================================================
+// ITEM PLACEHOLDERS
+// =================================================================================
+// Rough shape picked from the item ID, tinted with a color derived from it so
+// every item looks different until it gets a real model.
+// =================================================================================
+function createItemPlaceholder(itemId) {
+    const mat = new THREE.MeshLambertMaterial({
+        color: placeholderColor(itemId),
+        flatShading: true,
+        side: THREE.DoubleSide
+    });
+
+    if (itemId.startsWith('statue_head')) {
+        // Half a sphere: the left half bulges toward -x, the right toward +x
+        const phiStart = itemId.endsWith('left') ? -Math.PI / 2 : Math.PI / 2;
+        return new THREE.Mesh(new THREE.SphereGeometry(1, 12, 10, phiStart, Math.PI), mat);
+    }
+    if (itemId.includes('reel')) {
+        const reel = new THREE.Mesh(new THREE.CylinderGeometry(1, 1, 0.25, 24), mat);
+        reel.rotation.x = Math.PI / 2;
+        return reel;
+    }
+    if (itemId.includes('keycard')) {
+        return new THREE.Mesh(new THREE.BoxGeometry(1.6, 1, 0.05), mat);
+    }
+    if (itemId.includes('key')) {
+        const key = new THREE.Group();
+        const bow = new THREE.Mesh(new THREE.TorusGeometry(0.35, 0.1, 8, 16), mat);
+        bow.position.y = 0.8;
+        const shaft = new THREE.Mesh(new THREE.BoxGeometry(0.14, 1.3, 0.1), mat);
+        shaft.position.y = -0.2;
+        const bit = new THREE.Mesh(new THREE.BoxGeometry(0.35, 0.25, 0.1), mat);
+        bit.position.set(0.2, -0.7, 0);
+        key.add(bow, shaft, bit);
+        return key;
+    }
+    if (itemId.includes('shard')) {
+        return new THREE.Mesh(new THREE.OctahedronGeometry(1), mat);
+    }
+    if (itemId.includes('fuse')) {
+        const fuse = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, 1.6, 16), mat);
+        fuse.rotation.z = Math.PI / 2;
+        return fuse;
+    }
+    if (itemId.includes('fragment') || itemId.includes('note')) {
+        // Photos, printouts, notes
+        return new THREE.Mesh(new THREE.BoxGeometry(1.6, 1.1, 0.04), mat);
+    }
+    if (itemId.includes('lens') || itemId.includes('dial')) {
+        const disc = new THREE.Mesh(new THREE.CylinderGeometry(0.9, 0.9, 0.3, 24), mat);
+        disc.rotation.x = Math.PI / 2;
+        return disc;
+    }
+    return new THREE.Mesh(new THREE.IcosahedronGeometry(1), mat);
+}
+
+function placeholderColor(itemId) {
+    let hash = 0;
+    for (const char of itemId) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    }
+    return new THREE.Color().setHSL(hash / 360, 0.45, 0.5);
+}
@@ -6,29 +6,56 @@
 // =================================================================================
 
 import * as THREE from 'three';
-import { STATE, ROOM_DATA } from './config.js';
+import { STATE, ROOM_DATA, getDifficultySettings } from './config.js';
 import { SoundManager } from './sound.js';
 import { camera, raycaster, targetMarkerMesh, playOnceAnimation, scene } from './three-init.js';
 import { currentRoomGroup, setRoom } from './rooms.js';
 import { openPopup } from './utils.js';
-import { updateSecretDoorState } from './puzzle.js';
 import { resetMovement } from './movement.js';
-import { addItem, removeItem, hasItem, ITEM_DATA, setOnItemDroppedToWorld } from './inventory.js';
-import { openPadlock } from './padlock.js';
-import { enterVideoInspect } from './video-manager.js';
+import { addItem, removeItem, hasItem, ITEM_DATA, setOnItemDroppedToWorld, getActiveItemId } from './inventory.js';
+import { enterVideoInspect, revealVideoScreen } from './video-manager.js';
+import { openSlotPuzzle } from './slot-puzzle.js';
+import { openFxConsole } from './fx-console.js';
+import { openCompileTerminal } from './compile-terminal.js';
+import { openMemoryBox } from './memory-box.js';
+import { playEnding } from './ending.js';
+import { isRevealed, rechargeFlashlight } from './flashlight.js';
+import { runHotspotRules, runItemUse } from './rules.js';
+import { recordMilestone } from './progression.js';
+import { showNarration, NARRATIONS } from './narration.js';
+import { recordJournalEntry } from './journal.js';
+import { recordFailedAttempt } from './hints.js';
+import { finishSpeedrun, getRunTime } from './speedrun.js';
+import { emit } from './events.js';
 
 // =================================================================================
 // DROPPED ITEMS TRACKING
 // =================================================================================
-// Items dropped on the ground that can be picked up
-// Each entry: { mesh, itemId, position, roomKey }
+// Items lying in the world that can be picked up, in every room
+// Each entry: { mesh, itemId, position, roomKey, spawn, velocity }
+// `spawn` is the ROOM_DATA itemSpawns entry the item came from, if any
+// `position` is where the item rests; `velocity` is set while it is still falling
+// Meshes live in their room's group, so they stay put across room transitions.
 // =================================================================================
 const droppedItems = [];
 
+const DROP_GRAVITY = -20;
+const DROP_REST_HEIGHT = 0.5;   // Height of a resting item above the surface below it
+const DROP_MAX_DELTA = 0.05;    // Clamp for long frames (tab switches)
+let lastDropUpdateTime = null;
+
 // =================================================================================
 // SPAWN DROPPED ITEM IN WORLD
 // =================================================================================
-export function spawnDroppedItem(itemId, position) {
+/**
+ * Put a pickup item into a room.
+ * @param {string} itemId - ITEM_DATA key
+ * @param {THREE.Vector3|{x, y, z}} position - Rest position (or start position if `velocity` is given)
+ * @param {Object} spawn - ROOM_DATA itemSpawns entry this came from, if any
+ * @param {string} roomKey - Room to put it in (defaults to current room)
+ * @param {THREE.Vector3} velocity - Initial velocity; the item falls and settles
+ */
+export function spawnDroppedItem(itemId, position, spawn = null, roomKey = STATE.current_room, velocity = null) {
     const itemData = ITEM_DATA[itemId];
     if (!itemData) {
         console.warn(`Cannot spawn unknown item: ${itemId}`);
@@ -46,7 +73,7 @@ export function spawnDroppedItem(itemId, position) {
     });
 
     const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(position.x, 0.5, position.z);
+    mesh.position.set(position.x, position.y ?? DROP_REST_HEIGHT, position.z);
     mesh.castShadow = true;
 
     // Add floating animation data
@@ -64,9 +91,10 @@ export function spawnDroppedItem(itemId, position) {
     };
     mesh.userData.isMeshHotspot = true;
 
-    // Add to current room group
-    if (currentRoomGroup) {
-        currentRoomGroup.add(mesh);
+    // Add to the room's own group (not necessarily the one on screen)
+    const roomGroup = ROOM_DATA[roomKey]?.group || currentRoomGroup;
+    if (roomGroup) {
+        roomGroup.add(mesh);
     } else {
         scene.add(mesh);
     }
@@ -76,10 +104,12 @@ export function spawnDroppedItem(itemId, position) {
         mesh: mesh,
         itemId: itemId,
         position: mesh.position.clone(),
-        roomKey: STATE.current_room
+        roomKey,
+        spawn,
+        velocity: velocity ? velocity.clone() : null
     });
 
-    console.log(`Dropped item spawned: ${itemData.name} at`, position);
+    console.log(`Dropped item spawned: ${itemData.name} in ${roomKey} at`, position);
     return mesh;
 }
 
@@ -92,8 +122,9 @@ export function pickupDroppedItem(itemId) {
 
     const dropped = droppedItems[index];
 
-    // Add to inventory
-    if (addItem(itemId)) {
+    // Batteries go straight into the flashlight, other items into the inventory
+    const charge = ITEM_DATA[itemId].batteryCharge;
+    if (charge ? rechargeFlashlight(charge) : addItem(itemId)) {
         // Remove mesh from scene
         if (dropped.mesh.parent) {
             dropped.mesh.parent.remove(dropped.mesh);
@@ -104,7 +135,12 @@ export function pickupDroppedItem(itemId) {
         // Remove from tracking
         droppedItems.splice(index, 1);
 
+        // Room spawns stay collected (saved, and never respawn)
+        if (dropped.spawn) dropped.spawn.collected = true;
+
         SoundManager.playSuccess();
+        if (charge) showNarration('Fresh battery. The light steadies.', 2500);
+        emit('itemPicked', { itemId, roomKey: STATE.current_room });
         console.log(`Picked up: ${itemId}`);
         return true;
     }
@@ -112,15 +148,134 @@ export function pickupDroppedItem(itemId) {
     return false;
 }
 
+// =================================================================================
+// DROPPED ITEM QUERIES / RESET
+// =================================================================================
+export function isItemDroppedInRoom(itemId, roomKey) {
+    return droppedItems.some(d => d.itemId === itemId && d.roomKey === roomKey);
+}
+
+// =================================================================================
+// DROP PHYSICS
+// =================================================================================
+// Dropped items are tossed from the player, fall, stop against tall colliders
+// and come to rest on the floor or on top of lower ones (desks, crates).
+// =================================================================================
+/**
+ * Y an item rests at when it lands at (x, z), falling from fromY.
+ */
+function getRestHeight(roomKey, x, z, fromY) {
+    let surface = 0;
+    for (const collider of ROOM_DATA[roomKey]?.colliders || []) {
+        if (!isOverCollider(collider, x, z)) continue;
+        const top = collider.pos.y + collider.dim.y / 2;
+        if (top <= fromY - DROP_REST_HEIGHT + 0.05 && top > surface) surface = top;
+    }
+    return surface + DROP_REST_HEIGHT;
+}
+
+function isOverCollider(collider, x, z) {
+    return Math.abs(x - collider.pos.x) < collider.dim.x / 2 &&
+        Math.abs(z - collider.pos.z) < collider.dim.z / 2;
+}
+
+function isBlocked(roomKey, x, z, y) {
+    return (ROOM_DATA[roomKey]?.colliders || []).some(collider =>
+        isOverCollider(collider, x, z) && collider.pos.y + collider.dim.y / 2 > y - DROP_REST_HEIGHT + 0.05);
+}
+
+function stepFallingItem(dropped, delta) {
+    const { mesh, velocity, roomKey } = dropped;
+    velocity.y += DROP_GRAVITY * delta;
+
+    const nextX = mesh.position.x + velocity.x * delta;
+    const nextZ = mesh.position.z + velocity.z * delta;
+    if (isBlocked(roomKey, nextX, nextZ, mesh.position.y)) {
+        // Hit a wall or a tall prop - drop straight down from here
+        velocity.x = 0;
+        velocity.z = 0;
+    } else {
+        mesh.position.x = nextX;
+        mesh.position.z = nextZ;
+    }
+    mesh.position.y += velocity.y * delta;
+
+    const restY = getRestHeight(roomKey, mesh.position.x, mesh.position.z, mesh.position.y - velocity.y * delta);
+    if (velocity.y <= 0 && mesh.position.y <= restY) {
+        mesh.position.y = restY;
+        dropped.velocity = null;
+        dropped.position.copy(mesh.position);
+        mesh.userData.hotspot.pos = mesh.position.clone();
+    }
+}
+
+/**
+ * Where an item will end up, even if it is still falling.
+ */
+function getRestPosition(dropped) {
+    if (!dropped.velocity) return dropped.position.clone();
+    const { x, y, z } = dropped.mesh.position;
+    return new THREE.Vector3(x, getRestHeight(dropped.roomKey, x, z, y), z);
+}
+
+// =================================================================================
+// SAVE SUPPORT
+// =================================================================================
+/**
+ * Items the player has put down (or puzzles have spawned), with their rest
+ * positions. Untouched itemSpawns are left out - rooms respawn those.
+ * @returns {Array<{itemId: string, roomKey: string, pos: {x, y, z}}>}
+ */
+export function serializeDroppedItems() {
+    return droppedItems
+        .filter(d => !d.spawn)
+        .map(d => {
+            const pos = getRestPosition(d);
+            return { itemId: d.itemId, roomKey: d.roomKey, pos: { x: pos.x, y: pos.y, z: pos.z } };
+        });
+}
+
+/**
+ * Replace every dropped item with the serializeDroppedItems() list.
+ */
+export function restoreDroppedItems(items) {
+    clearDroppedItems();
+    for (const { itemId, roomKey, pos } of items) {
+        spawnDroppedItem(itemId, pos, null, roomKey);
+    }
+}
+
+/**
+ * Remove every dropped item from every room (new game / loading a save).
+ */
+export function clearDroppedItems() {
+    for (const dropped of droppedItems) {
+        if (dropped.mesh.parent) {
+            dropped.mesh.parent.remove(dropped.mesh);
+        }
+        dropped.mesh.geometry.dispose();
+        dropped.mesh.material.dispose();
+    }
+    droppedItems.length = 0;
+}
+
 // =================================================================================
 // UPDATE DROPPED ITEMS (call in game loop for floating animation)
 // =================================================================================
 export function updateDroppedItems(time) {
+    const delta = lastDropUpdateTime === null ? 0 : Math.min(Math.max(time - lastDropUpdateTime, 0), DROP_MAX_DELTA);
+    lastDropUpdateTime = time;
+
     for (const dropped of droppedItems) {
         if (dropped.mesh && dropped.roomKey === STATE.current_room) {
-            // Floating bob animation
+            if (dropped.velocity) {
+                stepFallingItem(dropped, delta);
+                continue;
+            }
+
+            // Floating bob animation around the rest position
             const offset = dropped.mesh.userData.floatOffset || 0;
-            dropped.mesh.position.y = 0.5 + Math.sin(time * 2 + offset) * 0.15;
+            dropped.mesh.position.y = dropped.position.y + Math.sin(time * 2 + offset) * 0.15;
             dropped.mesh.rotation.y += 0.02;
         }
     }
@@ -128,11 +283,17 @@ export function updateDroppedItems(time) {
 
 // Initialize the drop callback
 setOnItemDroppedToWorld((itemId, data) => {
-    // Spawn item slightly in front of player
-    const spawnPos = data.playerPosition.clone();
-    spawnPos.x += (Math.random() - 0.5) * 1.5;
-    spawnPos.z += (Math.random() - 0.5) * 1.5;
-    spawnDroppedItem(itemId, spawnPos);
+    // Toss the item out from the player's hands in a random direction
+    const startPos = data.playerPosition.clone();
+    startPos.y = STATE.player_pos.y + 1.2;
+    const angle = Math.random() * Math.PI * 2;
+    const velocity = new THREE.Vector3(Math.sin(angle) * 2, 3, Math.cos(angle) * 2);
+    spawnDroppedItem(itemId, startPos, null, STATE.current_room, velocity);
+    emit('itemDropped', {
+        itemId,
+        roomKey: STATE.current_room,
+        position: { x: startPos.x, y: startPos.y, z: startPos.z }
+    });
 });
 
 // =================================================================================
@@ -266,11 +427,13 @@ export function checkHotspots() {
 
     if (interactionPossible && closestHotspot) {
         STATE.active_hotspot = closestHotspot;
+        const { doorBypass, lockedPrompts } = getDifficultySettings();
+        const prompt = lockedPrompts ? closestHotspot.prompt : closestHotspot.prompt.replace(' (LOCKED)', '');
         document.getElementById('interaction-prompt').textContent =
-            `[ ! ] PRESS [E] / [CLICK] TO ENGAGE: ${closestHotspot.prompt.toUpperCase()}`;
+            `[ ! ] PRESS [E] / [CLICK] TO ENGAGE: ${prompt.toUpperCase()}`;
 
-        // Show locked message only if not in Free Roam mode
-        if (closestHotspot.locked && STATE.difficulty !== 'freeroam') {
+        // Show locked message unless doors are bypassed or the difficulty hides it
+        if (closestHotspot.locked && !doorBypass && lockedPrompts) {
             document.getElementById('interaction-prompt').textContent =
                 `[ ! ] DOOR LOCKED - REQUIRES KEY ITEM`;
         }
@@ -286,131 +449,297 @@ export function checkHotspots() {
 // =================================================================================
 export function handleEInteraction() {
     if (STATE.active_hotspot && STATE.interaction_mode === 'OVERWORLD') {
-        const hotspot = STATE.active_hotspot;
+        handleInteraction(STATE.active_hotspot);
+    }
+}
+
+// =================================================================================
+// EXAMINE
+// =================================================================================
+// Text / inspect hotspots with a content_id open their PORTFOLIO_CONTENT popup.
+// Inline ones (`content` + `inspectDialog`) show their description as a text
+// popup and the player's own line as narration.
+// =================================================================================
+function examineHotspot(hotspot) {
+    if (hotspot.content_id) {
+        openPopup(hotspot);
+        return;
+    }
+
+    const title = hotspot.prompt.replace(/^\[E\]\s*/, '');
+    if (hotspot.content) {
+        openPopup({ type: 'text', content_id: null, title, text: hotspot.content });
+        recordJournalEntry({ id: `document:${STATE.current_room}:${hotspot.name}`, kind: 'document', title, text: hotspot.content });
+    }
+    if (hotspot.inspectDialog) showInspectDialog(hotspot);
+}
 
-        // Play interact animation
-        playOnceAnimation('Interact');
+/**
+ * Show a hotspot's inspectDialog and keep it in the journal.
+ */
+function showInspectDialog(hotspot) {
+    showNarration(hotspot.inspectDialog);
+    recordJournalEntry({
+        id: `examine:${STATE.current_room}:${hotspot.name}`,
+        kind: 'dialog',
+        title: hotspot.prompt.replace(/^\[E\]\s*/, ''),
+        text: hotspot.inspectDialog
+    });
+}
 
-        if (hotspot.type === 'door') {
-            // Free Roam mode: bypass all locked doors
-            if (hotspot.locked && STATE.difficulty !== 'freeroam') {
-                SoundManager.playBlip(); // Deny sound
-                return;
-            }
-            startTransition(hotspot.target_room, hotspot.target_spawn);
-        } else if (hotspot.type === 'text' || hotspot.type === 'inspect') {
-            openPopup(hotspot);
-        } else if (hotspot.type === 'pickup') {
-            // Pick up dropped item
-            pickupDroppedItem(hotspot.itemId);
-            STATE.active_hotspot = null;
-            document.getElementById('interaction-prompt').classList.add('hidden');
-        } else if (hotspot.type === 'puzzle_statue') {
-            // Statue puzzle - check if player has both statue head pieces
-            handleStatuePuzzle(hotspot);
-        } else if (hotspot.type === 'padlock') {
-            // Padlock puzzle - open combination UI
-            handlePadlockInteraction(hotspot);
-        } else if (hotspot.type === 'video_screen') {
-            // Video screen - enter focused inspect mode
-            SoundManager.playBlip();
-            enterVideoInspect(hotspot.videoScreenId);
-        }
+// =================================================================================
+// USE EQUIPPED ITEM
+// =================================================================================
+// With an item equipped, E on a hotspot that takes items (one with `useItems`,
+// or a locked door) uses it there: a matching entry runs its effects, anything
+// else gets a "that doesn't work here" line. Every other hotspot behaves
+// normally, so an equipped item never gets in the way of inspecting or of
+// puzzles that open their own screens.
+// =================================================================================
+function useEquippedItem(hotspot) {
+    const itemId = getActiveItemId();
+    if (!itemId) return false;
+    if (hotspot.type === 'door') {
+        if (!hotspot.locked || getDifficultySettings().doorBypass) return false;
+    } else if (!hotspot.useItems) {
+        return false;
+    }
+
+    if (runItemUse(hotspot, itemId)) return true;
+
+    const item = ITEM_DATA[itemId];
+    let line = hotspot.wrongItemDialog;
+    if (!line) {
+        const key = item.usedIn && item.usedIn !== STATE.current_room ? 'item_wrong_room' : 'item_no_effect';
+        line = NARRATIONS[key].replace('{item}', item.name.toLowerCase());
     }
+    SoundManager.playBlip();
+    showNarration(line);
+    recordFailedAttempt();
+    return true;
 }
 
 // =================================================================================
-// STATUE PUZZLE HANDLER
+// PROJECTOR PUZZLE HANDLER
 // =================================================================================
-function handleStatuePuzzle(hotspot) {
-    const hasLeft = hasItem('statue_head_left');
-    const hasRight = hasItem('statue_head_right');
+function handleProjectorPuzzle(hotspot) {
+    const roomConfig = ROOM_DATA[STATE.current_room];
+
+    // Already solved - watch the projection
+    if (roomConfig.puzzleCompleted) {
+        SoundManager.playBlip();
+        enterVideoInspect(hotspot.videoScreenId);
+        return;
+    }
+
+    // Nothing to load yet
+    if (!hotspot.requiredItems.some(itemId => hasItem(itemId))) {
+        SoundManager.playBlip();
+        showInspectDialog(hotspot);
+        return;
+    }
 
-    if (hasLeft && hasRight) {
-        // Player has both pieces - complete the puzzle!
-        removeItem('statue_head_left');
-        removeItem('statue_head_right');
+    openSlotPuzzle({
+        hotspotId: hotspot.name,
+        title: 'FILM PROJECTOR',
+        hint: 'LOAD THE REELS ONTO THE SPINDLES. THE STORY ONLY MAKES SENSE IN ORDER.',
+        items: hotspot.requiredItems,
+        solution: hotspot.solution,
+        slotLabels: ['SPINDLE 1', 'SPINDLE 2', 'SPINDLE 3'],
+        actionLabel: 'PLAY',
+        successMessage: 'THE PROJECTOR WHIRS TO LIFE...',
+        wrongMessage: 'THE FILM JAMS. THE SCENES ARE OUT OF ORDER. THE REELS EJECT.',
+        onSolve: () => completeProjectorPuzzle(hotspot)
+    });
+}
 
-        // Mark puzzle as complete
-        const roomConfig = ROOM_DATA['ROOM_CONCERT'];
-        if (roomConfig) {
-            roomConfig.puzzleCompleted = true;
-        }
+function completeProjectorPuzzle(hotspot) {
+    hotspot.requiredItems.forEach(itemId => removeItem(itemId));
 
-        // Unlock the door to the next room
-        unlockDoor('ROOM_CONCERT', 'door_next');
+    // Mark puzzle as complete
+    ROOM_DATA[STATE.current_room].puzzleCompleted = true;
+    recordMilestone(hotspot.milestone);
+    hotspot.prompt = 'FILM PROJECTOR (PLAYING)';
 
-        // Update the statue hotspot prompt
-        hotspot.prompt = 'RESTORED STATUE';
+    // Unlock the door to the next room
+    unlockDoor(STATE.current_room, 'door_next');
 
-        // Play success sound and show message
-        SoundManager.playSuccess();
-        openPopup({ type: 'text', content_id: 'statue_complete' });
+    // Start the projection on the film screen
+    revealVideoScreen(hotspot.videoScreenId);
+    showNarration(NARRATIONS.projector_complete, 4000);
 
-        console.log('Statue puzzle completed! Door unlocked.');
-    } else if (hasLeft || hasRight) {
-        // Player has one piece
+    console.log('Projector puzzle completed! Door unlocked.');
+}
+
+// =================================================================================
+// RENDER TERMINAL PUZZLE HANDLER
+// =================================================================================
+function handleTerminalPuzzle(hotspot) {
+    const roomConfig = ROOM_DATA[STATE.current_room];
+
+    if (roomConfig.puzzleCompleted) {
         SoundManager.playBlip();
-        openPopup({
-            type: 'text',
-            content_id: null,
-            title: 'Incomplete Statue',
-            text: 'YOU HAVE ONE HALF OF THE HEAD. FIND THE OTHER PIECE TO RESTORE THE STATUE.'
-        });
-    } else {
-        // Player has no pieces
-        openPopup({ type: 'text', content_id: 'statue_interact' });
+        showNarration(NARRATIONS.terminal_complete);
+        return;
+    }
+
+    // Nothing to assemble yet
+    if (!hotspot.requiredItems.some(itemId => hasItem(itemId))) {
+        SoundManager.playBlip();
+        showInspectDialog(hotspot);
+        return;
     }
+
+    openSlotPuzzle({
+        hotspotId: hotspot.name,
+        title: 'RENDER TERMINAL',
+        hint: 'SEAT THE SHARDS IN THE ASSEMBLY SLOTS. FOLLOW THE BLUEPRINT.',
+        items: hotspot.requiredItems,
+        solution: hotspot.solution,
+        slotLabels: ['SLOT 1', 'SLOT 2', 'SLOT 3'],
+        actionLabel: 'RENDER',
+        successMessage: 'ASSEMBLY VERIFIED. RENDERING...',
+        wrongMessage: 'RENDER FAILED: GEOMETRY OUT OF SEQUENCE. SHARDS RELEASED.',
+        onSolve: () => completeTerminalPuzzle(hotspot)
+    });
+}
+
+function completeTerminalPuzzle(hotspot) {
+    hotspot.requiredItems.forEach(itemId => removeItem(itemId));
+
+    // Mark puzzle as complete
+    ROOM_DATA[STATE.current_room].puzzleCompleted = true;
+    recordMilestone(hotspot.milestone);
+    hotspot.prompt = 'RENDER TERMINAL (ONLINE)';
+
+    // Unlock the door to the next room
+    unlockDoor(STATE.current_room, 'door_next');
+    showNarration(NARRATIONS.terminal_complete, 4000);
+
+    console.log('Terminal puzzle completed! Door unlocked.');
 }
 
 // =================================================================================
-// PADLOCK INTERACTION HANDLER
+// FX CONSOLE PUZZLE HANDLER
 // =================================================================================
-function handlePadlockInteraction(hotspot) {
-    // Check if already unlocked
-    if (hotspot.unlocked) {
+function handleConsolePuzzle(hotspot) {
+    const roomConfig = ROOM_DATA[STATE.current_room];
+
+    if (roomConfig.puzzleCompleted) {
         SoundManager.playBlip();
-        openPopup({
-            type: 'text',
-            content_id: null,
-            title: 'Already Open',
-            text: 'THIS CASE HAS ALREADY BEEN OPENED.'
-        });
+        showNarration(NARRATIONS.console_complete);
         return;
     }
 
-    // Open the padlock UI with the correct code
-    const correctCode = hotspot.code || '0000';
-    const onSuccess = (hotspotId) => {
-        // Mark as unlocked
-        hotspot.unlocked = true;
-
-        // Spawn the reward item if specified
-        if (hotspot.rewardItem) {
-            const rewardPos = new THREE.Vector3(
-                hotspot.rewardSpawn?.x || STATE.player_pos.x + 1,
-                hotspot.rewardSpawn?.y || 0.5,
-                hotspot.rewardSpawn?.z || STATE.player_pos.z
-            );
-            spawnDroppedItem(hotspot.rewardItem, rewardPos);
-        }
+    // Nothing to composite yet
+    if (!hotspot.requiredItems.some(itemId => hasItem(itemId))) {
+        SoundManager.playBlip();
+        showInspectDialog(hotspot);
+        return;
+    }
 
-        // Update prompt
-        hotspot.prompt = hotspot.prompt.replace(' (LOCKED)', ' (OPEN)');
+    openFxConsole({
+        hotspotId: hotspot.name,
+        items: hotspot.requiredItems,
+        solution: hotspot.solution,
+        onSolve: () => completeConsolePuzzle(hotspot)
+    });
+}
 
-        // Show success message
-        SoundManager.playSuccess();
-        openPopup({
-            type: 'text',
-            content_id: null,
-            title: 'Case Opened!',
-            text: hotspot.successMessage || 'YOU UNLOCKED THE CASE!'
-        });
+function completeConsolePuzzle(hotspot) {
+    hotspot.requiredItems.forEach(itemId => removeItem(itemId));
 
-        console.log(`Padlock unlocked: ${hotspotId}`);
-    };
+    // Mark puzzle as complete
+    ROOM_DATA[STATE.current_room].puzzleCompleted = true;
+    recordMilestone(hotspot.milestone);
+    hotspot.prompt = 'FX CONSOLE (COMPOSITED)';
+
+    // Unlock the door to the next room
+    unlockDoor(STATE.current_room, 'door_next');
+    showNarration(NARRATIONS.console_complete, 4000);
+
+    console.log('Console puzzle completed! Door unlocked.');
+}
+
+// =================================================================================
+// COMPILE TERMINAL PUZZLE HANDLER
+// =================================================================================
+function handleCompilePuzzle(hotspot) {
+    const roomConfig = ROOM_DATA[STATE.current_room];
+
+    if (roomConfig.puzzleCompleted) {
+        SoundManager.playBlip();
+        showNarration(NARRATIONS.code_compile);
+        return;
+    }
+
+    // Dead until the room's power is restored
+    if (hotspot.requiresFlag && !STATE.flags[hotspot.requiresFlag]) {
+        SoundManager.playBlip();
+        showNarration(hotspot.unpoweredDialog);
+        return;
+    }
+
+    // Nothing to compile yet
+    if (!hotspot.requiredItems.some(itemId => hasItem(itemId))) {
+        SoundManager.playBlip();
+        showInspectDialog(hotspot);
+        return;
+    }
+
+    openCompileTerminal({
+        hotspotId: hotspot.name,
+        items: hotspot.requiredItems,
+        solution: hotspot.solution,
+        onSolve: () => completeCompilePuzzle(hotspot)
+    });
+}
+
+function completeCompilePuzzle(hotspot) {
+    hotspot.requiredItems.forEach(itemId => removeItem(itemId));
+
+    // Mark puzzle as complete
+    ROOM_DATA[STATE.current_room].puzzleCompleted = true;
+    recordMilestone(hotspot.milestone);
+    hotspot.prompt = 'COMPILE TERMINAL (BUILD OK)';
+
+    // Unlock the door to the next room
+    unlockDoor(STATE.current_room, 'door_next');
+    showNarration(NARRATIONS.code_compile, 4000);
+
+    console.log('Compile puzzle completed! Door unlocked.');
+}
+
+// =================================================================================
+// MEMORY BOX (FINAL PUZZLE) HANDLER
+// =================================================================================
+function handleFinalPuzzle(hotspot) {
+    if (ROOM_DATA[STATE.current_room].puzzleCompleted) {
+        SoundManager.playBlip();
+        showNarration(NARRATIONS.game_complete);
+        return;
+    }
+
+    // All fragments found - the word surfaces as the lock opens
+    if (hotspot.fragments.every(fragment => isRevealed(fragment.revealId))) {
+        showNarration(NARRATIONS.keyword_reveal);
+    }
+
+    openMemoryBox(hotspot.password, hotspot.fragments, () => completeFinalPuzzle(hotspot), hotspot.name);
+}
+
+function completeFinalPuzzle(hotspot) {
+    ROOM_DATA[STATE.current_room].puzzleCompleted = true;
+    recordMilestone(hotspot.milestone);
+    hotspot.prompt = 'MEMORY BOX (OPEN)';
 
-    openPadlock(correctCode, onSuccess, hotspot.name);
+    showNarration(NARRATIONS.game_complete, 4000);
+    // Speedruns show their results first, then the ending
+    const showingResults = finishSpeedrun(playEnding);
+    emit('gameCompleted', { time: getRunTime(), difficulty: STATE.difficulty });
+    if (!showingResults) playEnding();
+
+    console.log('Final puzzle completed! Playing ending.');
 }
 
 // =================================================================================
@@ -431,6 +760,8 @@ export function unlockDoor(roomKey, doorName) {
             // Screen flash effect for puzzle progress
             showPuzzleFlash();
 
+            emit('doorUnlocked', { roomKey, door: doorName });
+
             console.log(`Door unlocked: ${doorName} in ${roomKey}`);
             return;
         }
@@ -477,27 +808,54 @@ function showPuzzleFlash() {
 }
 
 // =================================================================================
-// HANDLE INTERACTION (called from movement when reaching target)
+// HANDLE INTERACTION (E key, or from movement when a click target is reached)
 // =================================================================================
 export function handleInteraction(hotspot) {
     // Play interact animation
     playOnceAnimation('Interact');
 
+    // An equipped item is used on the hotspot instead of interacting normally
+    if (useEquippedItem(hotspot)) return;
+
+    // Declarative puzzles (ROOM_DATA rules) take priority over type handlers
+    if (hotspot.rules) {
+        runHotspotRules(hotspot);
+        return;
+    }
+
     if (hotspot.type === 'door') {
         // Free Roam mode: bypass all locked doors
-        if (hotspot.locked && STATE.difficulty !== 'freeroam') {
-            SoundManager.playBlip();
+        if (hotspot.locked && !getDifficultySettings().doorBypass) {
+            SoundManager.playBlip(); // Deny sound
             return;
         }
         startTransition(hotspot.target_room, hotspot.target_spawn);
     } else if (hotspot.type === 'text' || hotspot.type === 'inspect') {
-        openPopup(hotspot);
+        examineHotspot(hotspot);
     } else if (hotspot.type === 'pickup') {
+        // Pick up dropped item
         pickupDroppedItem(hotspot.itemId);
         STATE.active_hotspot = null;
         document.getElementById('interaction-prompt').classList.add('hidden');
-    } else if (hotspot.type === 'puzzle_statue') {
-        handleStatuePuzzle(hotspot);
+    } else if (hotspot.type === 'puzzle_projector') {
+        // Projector puzzle - load reels in storyboard order
+        handleProjectorPuzzle(hotspot);
+    } else if (hotspot.type === 'puzzle_terminal') {
+        // Render terminal - assemble shards in blueprint order
+        handleTerminalPuzzle(hotspot);
+    } else if (hotspot.type === 'puzzle_console') {
+        // FX console - stack effect layers in compositing order
+        handleConsolePuzzle(hotspot);
+    } else if (hotspot.type === 'puzzle_compile') {
+        // Compile terminal - arrange code fragments and build
+        handleCompilePuzzle(hotspot);
+    } else if (hotspot.type === 'puzzle_final') {
+        // Memory box - keyword lock and ending
+        handleFinalPuzzle(hotspot);
+    } else if (hotspot.type === 'video_screen') {
+        // Video screen - enter focused inspect mode
+        SoundManager.playBlip();
+        enterVideoInspect(hotspot.videoScreenId);
     }
 }
 
@@ -537,11 +895,6 @@ export function startTransition(targetRoomKey, targetSpawn) {
                 window.handTracker.hideUI();
             }
 
-            // Dispose basketball hoop
-            if (window.basketballHoop && window.basketballHoop.dispose) {
-                window.basketballHoop.dispose();
-                window.basketballHoop = null;
-            }
             // Remove levitation ball
             import('./three-init.js').then(threeInit => {
                 if (threeInit.removeTestLevelElements) {
@@ -570,6 +923,10 @@ export function startTransition(targetRoomKey, targetSpawn) {
         import('./rooms.js').then(rooms => {
             rooms.spawnRoomItems(targetRoomKey);
         });
+        // Autosave the active slot now that the new room is settled
+        import('./save.js').then(save => {
+            save.autosave();
+        });
         // Final reset when transition completes
         resetMovement();
         setTimeout(() => {
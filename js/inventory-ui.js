@@ -2,6 +2,9 @@
 // --- INVENTORY-UI.JS - Inventory UI Rendering ---
 // =================================================================================
 // Handles rendering the inventory UI, drag-and-drop visuals, and user input.
+// Combining: drag one item onto another (a plain drop swaps items that don't
+// combine; holding SHIFT makes the drop a combine attempt either way), or press
+// C on one item and C again on the other.
 // =================================================================================
 
 import {
@@ -22,12 +25,15 @@ import {
     cancelDrag,
     endDragOnSlot,
     endDragOnDropBox,
+    combineItems,
     isDragging,
     getDraggedItemId,
     setOnInventoryStateChange,
     getSelectedItemId
 } from './inventory.js';
 import { SoundManager } from './sound.js';
+import { startItemInspectView, stopItemInspectView, rotateItemInspectView } from './inspection.js';
+import { openJournal } from './journal.js';
 
 // =================================================================================
 // DOM REFERENCES
@@ -39,6 +45,17 @@ let dragGhost = null;
 let inspectOverlay = null;
 let inspectItemName = null;
 let inspectItemDesc = null;
+let inventoryMessage = null;
+let inspectItemDetail = null;
+
+// Item currently shown in the 3D inspect view
+let inspectViewItemId = null;
+const INSPECT_ROTATE_STEP = Math.PI / 8;
+
+// Slot index marked as the first half of a keyboard combine (null = none)
+let combineSourceIndex = null;
+let messageTimeout = null;
+const MESSAGE_DURATION = 2500;
 
 // =================================================================================
 // INITIALIZATION
@@ -55,6 +72,8 @@ export function initInventoryUI() {
     inspectOverlay = document.getElementById('inspect-overlay');
     inspectItemName = document.getElementById('inspect-item-name');
     inspectItemDesc = document.getElementById('inspect-item-desc');
+    inventoryMessage = document.getElementById('inventory-message');
+    inspectItemDetail = document.getElementById('inspect-item-detail');
 
     // Set up event listeners
     setupEventListeners();
@@ -84,9 +103,12 @@ function createInventoryHTML() {
                 <div id="inventory-actions">
                     <button id="btn-inspect" class="inv-btn">[ INSPECT ]</button>
                     <button id="btn-equip" class="inv-btn">[ EQUIP ]</button>
+                    <button id="btn-combine" class="inv-btn">[ COMBINE ]</button>
+                    <button id="btn-journal" class="inv-btn">[ JOURNAL ]</button>
                     <button id="btn-close" class="inv-btn">[ CLOSE ]</button>
                 </div>
-                <div id="inventory-hint">TAB: Close | WASD: Navigate | E: Inspect | SPACE: Equip</div>
+                <div id="inventory-message"></div>
+                <div id="inventory-hint">TAB: Close | WASD: Navigate | E: Inspect | SPACE: Equip | C / SHIFT+DRAG: Combine | J: Journal</div>
             </div>
             <div id="drag-ghost" class="hidden"></div>
         </div>
@@ -95,9 +117,11 @@ function createInventoryHTML() {
         <div id="inspect-overlay" class="hidden">
             <div id="inspect-panel">
                 <div id="inspect-item-name">ITEM NAME</div>
-                <div id="inspect-item-icon"></div>
+                <div id="inspect-item-view"></div>
+                <div id="inspect-item-detail"></div>
                 <div id="inspect-item-desc">Item description goes here.</div>
                 <button id="btn-inspect-back" class="inv-btn">[ BACK ]</button>
+                <div id="inspect-hint">DRAG / WASD: Rotate | E: Back</div>
             </div>
         </div>
     `;
@@ -199,10 +223,39 @@ function addInventoryStyles() {
                 background: rgba(0, 50, 0, 0.5);
             }
             
+            .inv-slot.drag-over.drag-combine {
+                border-color: #ffdd00;
+                background: rgba(60, 50, 0, 0.5);
+            }
+            
             .inv-slot.empty {
                 opacity: 0.4;
             }
             
+            .inv-slot.combine-source {
+                border-color: #ffdd00;
+                box-shadow: 0 0 15px rgba(255, 221, 0, 0.5);
+            }
+            
+            .inv-slot.combine-success {
+                animation: invCombineSuccess 0.6s ease;
+            }
+            
+            .inv-slot.combine-fail {
+                animation: invCombineFail 0.4s ease;
+            }
+            
+            @keyframes invCombineSuccess {
+                0%, 100% { background: rgba(0, 0, 0, 0.6); }
+                40% { background: rgba(0, 120, 0, 0.7); box-shadow: 0 0 20px rgba(0, 255, 0, 0.6); }
+            }
+            
+            @keyframes invCombineFail {
+                0%, 100% { transform: translateX(0); }
+                25% { transform: translateX(-4px); border-color: #ff0000; }
+                75% { transform: translateX(4px); border-color: #ff0000; }
+            }
+            
             #drop-box {
                 background: linear-gradient(180deg, #3d0000 0%, #1a0000 100%);
                 border: 2px dashed #ff0000;
@@ -245,6 +298,18 @@ function addInventoryStyles() {
                 box-shadow: 0 0 10px rgba(255, 0, 0, 0.5);
             }
             
+            #inventory-message {
+                min-height: 10px;
+                text-align: center;
+                color: #ffdd00;
+                font-size: 7px;
+                line-height: 1.6;
+            }
+            
+            #inventory-message.fail {
+                color: #ff6666;
+            }
+            
             #inventory-hint {
                 text-align: center;
                 color: #666;
@@ -307,9 +372,29 @@ function addInventoryStyles() {
                 text-shadow: 0 0 10px #4444ff;
             }
             
-            #inspect-item-icon {
-                font-size: 80px;
-                margin: 20px 0;
+            #inspect-item-view {
+                width: 300px;
+                height: 220px;
+                margin: 0 auto 10px;
+                background: #050510;
+                border: 1px solid #222255;
+                cursor: grab;
+            }
+            
+            #inspect-item-detail {
+                min-height: 10px;
+                color: #e8d9a0;
+                font-size: 7px;
+                line-height: 1.6;
+                margin-bottom: 12px;
+                max-width: 300px;
+                white-space: pre-line;
+            }
+            
+            #inspect-hint {
+                color: #555;
+                font-size: 6px;
+                margin-top: 12px;
             }
             
             #inspect-item-desc {
@@ -332,9 +417,15 @@ export function renderInventory() {
     if (!inventoryOverlay) return;
 
     // Show/hide overlays based on state
+    if (inventoryState.uiState !== 'INSPECT' && inspectViewItemId) {
+        stopItemInspectView();
+        inspectViewItemId = null;
+    }
+
     if (inventoryState.uiState === 'CLOSED') {
         inventoryOverlay.classList.add('hidden');
         inspectOverlay.classList.add('hidden');
+        combineSourceIndex = null;
         return;
     }
 
@@ -368,6 +459,7 @@ function renderSlots() {
         if (isSelected) slot.classList.add('selected');
         if (isActive) slot.classList.add('active');
         if (isEmpty) slot.classList.add('empty');
+        if (i === combineSourceIndex) slot.classList.add('combine-source');
 
         if (itemData) {
             slot.textContent = itemData.icon;
@@ -384,9 +476,21 @@ function renderInspectView() {
 
     if (!itemData) return;
 
-    inspectItemName.textContent = itemData.name.toUpperCase();
-    document.getElementById('inspect-item-icon').textContent = itemData.icon;
+    inspectItemName.textContent = `${itemData.icon} ${itemData.name.toUpperCase()}`;
     inspectItemDesc.textContent = itemData.description;
+
+    // The overlay must be visible before the viewer sizes itself
+    if (inspectViewItemId !== itemId) {
+        inspectViewItemId = itemId;
+        renderHiddenDetails([]);
+        startItemInspectView(itemId, renderHiddenDetails);
+    }
+}
+
+function renderHiddenDetails(notes) {
+    if (!inspectItemDetail) return;
+    inspectItemDetail.textContent = notes.join('\n');
+    if (notes.length > 0) SoundManager.playTone(880, 'sine', 0.08, 0.03);
 }
 
 // =================================================================================
@@ -446,6 +550,14 @@ function setupEventListeners() {
         equipSelectedItem();
     });
 
+    document.getElementById('btn-combine')?.addEventListener('click', () => {
+        handleCombineKey();
+    });
+
+    document.getElementById('btn-journal')?.addEventListener('click', () => {
+        openJournalFromInventory();
+    });
+
     document.getElementById('btn-close')?.addEventListener('click', () => {
         closeInventory();
     });
@@ -495,13 +607,14 @@ function updateGhostPosition(x, y) {
 function updateDragOverStates(e) {
     // Clear all drag-over states
     document.querySelectorAll('.inv-slot.drag-over').forEach(el => {
-        el.classList.remove('drag-over');
+        el.classList.remove('drag-over', 'drag-combine');
     });
 
-    // Check if over a slot
+    // Check if over a slot (yellow while SHIFT makes the drop a combine)
     const slot = document.elementFromPoint(e.clientX, e.clientY)?.closest('.inv-slot');
     if (slot) {
         slot.classList.add('drag-over');
+        slot.classList.toggle('drag-combine', e.shiftKey);
     }
 }
 
@@ -510,12 +623,21 @@ function handleDragEnd(e) {
 
     // Clear drag-over states
     document.querySelectorAll('.inv-slot.drag-over').forEach(el => {
-        el.classList.remove('drag-over');
+        el.classList.remove('drag-over', 'drag-combine');
     });
     dropBox?.classList.remove('drag-over');
 
     // Check where we dropped
     const elementAtPoint = document.elementFromPoint(e.clientX, e.clientY);
+    const slot = elementAtPoint?.closest('.inv-slot');
+
+    // Dragging to another slot or the drop box reorders the list, so forget
+    // any pending keyboard combine (a plain click keeps it)
+    const targetIndex = slot ? parseInt(slot.dataset.index) : -1;
+    if (combineSourceIndex !== null && targetIndex !== inventoryState.dragState.dragOriginIndex) {
+        combineSourceIndex = null;
+        showMessage('');
+    }
 
     // Check if dropped on drop box
     if (elementAtPoint?.closest('#drop-box')) {
@@ -524,10 +646,15 @@ function handleDragEnd(e) {
     }
 
     // Check if dropped on a slot
-    const slot = elementAtPoint?.closest('.inv-slot');
     if (slot) {
-        const targetIndex = parseInt(slot.dataset.index);
-        endDragOnSlot(targetIndex);
+        const swapping = targetIndex !== inventoryState.dragState.dragOriginIndex && !!inventoryState.items[targetIndex];
+        const result = endDragOnSlot(targetIndex, e.shiftKey);
+        if (result) {
+            showCombineResult(result);
+        } else if (swapping) {
+            // Not a recipe: say so, and how to try combining anyway
+            showMessage("THESE DON'T COMBINE - SWAPPED. HOLD SHIFT TO COMBINE.");
+        }
         return;
     }
 
@@ -535,6 +662,78 @@ function handleDragEnd(e) {
     cancelDrag();
 }
 
+// =================================================================================
+// COMBINE
+// =================================================================================
+/**
+ * Keyboard / button combine: the first press marks the selected item, the
+ * second press combines it with whatever is selected then.
+ */
+function handleCombineKey() {
+    const selectedId = getSelectedItemId();
+
+    if (combineSourceIndex === null) {
+        if (!selectedId) return;
+        combineSourceIndex = inventoryState.selectedIndex;
+        SoundManager.playBlip();
+        showMessage(`COMBINE ${ITEM_DATA[selectedId].name.toUpperCase()} WITH...`);
+        renderSlots();
+        return;
+    }
+
+    const sourceId = inventoryState.items[combineSourceIndex];
+    const sourceIndex = combineSourceIndex;
+    combineSourceIndex = null;
+
+    if (!selectedId || inventoryState.selectedIndex === sourceIndex) {
+        // Pressing again on the same item cancels
+        SoundManager.playBlip();
+        showMessage('');
+        renderSlots();
+        return;
+    }
+
+    showCombineResult(combineItems(sourceId, selectedId));
+}
+
+function showCombineResult(result) {
+    renderSlots();
+
+    if (result.success) {
+        showMessage(`CREATED: ${ITEM_DATA[result.resultId].name.toUpperCase()}`);
+        flashSlot(inventoryState.items.indexOf(result.resultId), 'combine-success');
+    } else {
+        showMessage("THESE DON'T FIT TOGETHER.", true);
+        flashSlot(inventoryState.items.indexOf(result.itemA), 'combine-fail');
+        flashSlot(inventoryState.items.indexOf(result.itemB), 'combine-fail');
+    }
+}
+
+function flashSlot(index, className) {
+    const slot = inventoryGrid?.querySelector(`.inv-slot[data-index="${index}"]`);
+    slot?.classList.add(className);
+}
+
+function showMessage(text, isFail = false) {
+    if (!inventoryMessage) return;
+    clearTimeout(messageTimeout);
+    inventoryMessage.textContent = text;
+    inventoryMessage.classList.toggle('fail', isFail);
+    if (text) {
+        messageTimeout = setTimeout(() => { inventoryMessage.textContent = ''; }, MESSAGE_DURATION);
+    }
+}
+
+// =================================================================================
+// JOURNAL
+// =================================================================================
+// The journal replaces the inventory while open and hands back to it on close.
+// =================================================================================
+function openJournalFromInventory() {
+    closeInventory();
+    openJournal(() => toggleInventory());
+}
+
 // =================================================================================
 // KEYBOARD HANDLER (called from main.js)
 // =================================================================================
@@ -554,10 +753,25 @@ export function handleInventoryKeydown(event) {
 
     if (inventoryState.uiState === 'LIST') {
         switch (event.key.toLowerCase()) {
-            case 'tab':
             case 'escape':
+                if (combineSourceIndex !== null) {
+                    // Back out of a pending combine first
+                    combineSourceIndex = null;
+                    showMessage('');
+                    renderSlots();
+                    break;
+                }
                 closeInventory();
                 break;
+            case 'tab':
+                closeInventory();
+                break;
+            case 'c':
+                handleCombineKey();
+                break;
+            case 'j':
+                openJournalFromInventory();
+                break;
             case 'w':
             case 'arrowup':
                 selectUp();
@@ -591,6 +805,22 @@ export function handleInventoryKeydown(event) {
             case 'enter':
                 exitInspect();
                 break;
+            case 'a':
+            case 'arrowleft':
+                rotateItemInspectView(-INSPECT_ROTATE_STEP, 0);
+                break;
+            case 'd':
+            case 'arrowright':
+                rotateItemInspectView(INSPECT_ROTATE_STEP, 0);
+                break;
+            case 'w':
+            case 'arrowup':
+                rotateItemInspectView(0, -INSPECT_ROTATE_STEP);
+                break;
+            case 's':
+            case 'arrowdown':
+                rotateItemInspectView(0, INSPECT_ROTATE_STEP);
+                break;
         }
     }
 
@@ -1,7 +1,8 @@
 // =================================================================================
 // --- INVENTORY.JS - Inventory System Core ---
 // =================================================================================
-// Manages player inventory: items, active item, UI state, drag-and-drop.
+// Manages player inventory: items, active item, UI state, drag-and-drop,
+// and item combination recipes.
 // Emits events for world integration (pickup/drop).
 // =================================================================================
 
@@ -39,6 +40,10 @@ export const ITEM_DATA = {
         description: 'A cracked stone head, the left half. Part of who you once were.',
         icon: '🗿',
         modelPath: null,
+        // Only visible in the inspect view from that side (see inspection.js)
+        hiddenDetails: [
+            { side: 'back', text: '20', note: 'Scratched into the back of the head: "20"' }
+        ],
         canEquip: false,
         puzzleItem: true
     },
@@ -47,6 +52,9 @@ export const ITEM_DATA = {
         description: 'A cracked stone head, the right half. Memories trapped within.',
         icon: '🗿',
         modelPath: null,
+        hiddenDetails: [
+            { side: 'back', text: '17', note: 'Scratched into the back of the head: "17"' }
+        ],
         canEquip: false,
         puzzleItem: true
     },
@@ -55,16 +63,18 @@ export const ITEM_DATA = {
         description: 'A worn metal key. Opens the path to the next chapter.',
         icon: '🔑',
         modelPath: null,
-        canEquip: true
+        canEquip: true,
+        usedIn: 'ROOM_CONCERT'
     },
     'film_reel_c': {
         name: 'Film Reel Fragment C',
-        description: 'A piece of celluloid found in the road case. Part of a larger story.',
+        description: 'A piece of celluloid found in the road case. A circle is scratched into the leader. Too short to play on its own.',
         icon: '🎞️',
         modelPath: null,
         canEquip: false,
         puzzleItem: true,
-        usedIn: 'ROOM_MUSICVIDEO'
+        // Combination recipes: other item ID -> resulting item ID (either order works)
+        combinesWith: { film_reel_fragment: 'reel_c' }
     },
 
     // =========================================================================
@@ -72,28 +82,40 @@ export const ITEM_DATA = {
     // =========================================================================
     'reel_a': {
         name: 'Film Reel A',
-        description: 'A complete film reel. Ready for projection.',
+        description: 'A complete film reel. A triangle is stamped on the can.',
         icon: '🎬',
+        mark: '▲',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
     },
     'reel_b': {
         name: 'Film Reel B',
-        description: 'A complete film reel found in Room 5. The middle chapter.',
+        description: 'A complete film reel left on the editing desk. A square is stamped on the can.',
         icon: '🎬',
+        mark: '■',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
     },
     'film_reel_fragment': {
         name: 'Film Reel Fragment',
-        description: 'A piece of celluloid. The story continues...',
+        description: 'A piece of celluloid. The story continues... but where does it start?',
         icon: '🎞️',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
     },
+    'reel_c': {
+        name: 'Film Reel C',
+        description: 'Two fragments spliced into one reel. A circle is scratched into the leader.',
+        icon: '🎬',
+        mark: '●',  // Symbol shown when loaded into a slot puzzle
+        modelPath: null,
+        canEquip: false,
+        puzzleItem: true,
+        usedIn: 'ROOM_MUSICVIDEO'
+    },
 
     // =========================================================================
     // ROOM 3: 3D ART ROOM ITEMS
@@ -102,6 +124,7 @@ export const ITEM_DATA = {
         name: 'Render Shard A',
         description: 'A wireframe fragment glowing faintly blue.',
         icon: '🔷',
+        mark: 'A',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
@@ -110,6 +133,7 @@ export const ITEM_DATA = {
         name: 'Render Shard B',
         description: 'A polygonal piece, edges sharp and digital.',
         icon: '🔷',
+        mark: 'B',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
@@ -118,6 +142,7 @@ export const ITEM_DATA = {
         name: 'Render Shard C',
         description: 'The final piece. Your learning journey made tangible.',
         icon: '🔷',
+        mark: 'C',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
@@ -147,6 +172,7 @@ export const ITEM_DATA = {
         name: 'FX Layer: Fire',
         description: 'A base layer effect. Flames dance within.',
         icon: '🔥',
+        fxType: 'fire',  // Preview effect used by the FX console
         modelPath: null,
         canEquip: false,
         puzzleItem: true
@@ -155,6 +181,7 @@ export const ITEM_DATA = {
         name: 'FX Layer: Smoke',
         description: 'A middle layer effect. Wreathing smoke.',
         icon: '💨',
+        fxType: 'smoke',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
@@ -163,6 +190,7 @@ export const ITEM_DATA = {
         name: 'FX Layer: Sparks',
         description: 'A top layer effect. Electric sparks.',
         icon: '✨',
+        fxType: 'sparks',
         modelPath: null,
         canEquip: false,
         puzzleItem: true
@@ -185,8 +213,9 @@ export const ITEM_DATA = {
         description: 'A small cylindrical fuse with a flickering emissive strip.',
         icon: '⚡',
         modelPath: null,
-        canEquip: false,
-        puzzleItem: true
+        canEquip: true,
+        puzzleItem: true,
+        usedIn: 'ROOM_GAMEDEV'
     },
     'debug_keycard': {
         name: 'Debug Keycard',
@@ -195,6 +224,45 @@ export const ITEM_DATA = {
         modelPath: null,
         canEquip: true
     },
+    'code_fragment_1': {
+        name: 'Code Fragment: Init',
+        description: 'A printout torn from a listing. Something has to start somewhere.',
+        icon: '📄',
+        codeLine: 'engine.init(scene);',  // Source line shown in the compile terminal
+        symbol: 'engine.init',
+        modelPath: null,
+        hiddenDetails: [
+            { side: 'back', text: 'PG 1/3', note: 'Printed on the back: "PAGE 1 OF 3"' }
+        ],
+        canEquip: false,
+        puzzleItem: true
+    },
+    'code_fragment_2': {
+        name: 'Code Fragment: Update',
+        description: 'A printout torn from a listing. The loop in the middle of everything.',
+        icon: '📄',
+        codeLine: 'world.update(delta);',
+        symbol: 'world.update',
+        modelPath: null,
+        hiddenDetails: [
+            { side: 'back', text: 'PG 2/3', note: 'Printed on the back: "PAGE 2 OF 3"' }
+        ],
+        canEquip: false,
+        puzzleItem: true
+    },
+    'code_fragment_3': {
+        name: 'Code Fragment: Draw',
+        description: 'A printout torn from a listing. The last thing anyone sees.',
+        icon: '📄',
+        codeLine: 'renderer.draw(world);',
+        symbol: 'renderer.draw',
+        modelPath: null,
+        hiddenDetails: [
+            { side: 'back', text: 'PG 3/3', note: 'Printed on the back: "PAGE 3 OF 3"' }
+        ],
+        canEquip: false,
+        puzzleItem: true
+    },
 
     // =========================================================================
     // ROOM 6: ABOUT ME ROOM ITEMS
@@ -247,6 +315,22 @@ export const ITEM_DATA = {
         icon: '📜',
         modelPath: null,
         canEquip: false
+    },
+
+    // =========================================================================
+    // FLASHLIGHT BATTERIES
+    // Only spawn on difficulties with a flashlightBattery. Picking one up
+    // recharges the light by `batteryCharge` (fraction of a full battery)
+    // instead of taking an inventory slot. Each room's itemSpawns entry gives
+    // its battery its own `id`.
+    // =========================================================================
+    'battery': {
+        name: 'Battery',
+        description: 'A 9-volt battery. Still warm.',
+        icon: '🔋',
+        modelPath: null,
+        canEquip: false,
+        batteryCharge: 0.5
     }
 };
 
@@ -356,6 +440,19 @@ export function removeItem(itemId) {
     return true;
 }
 
+/**
+ * Replace the inventory contents wholesale (used when loading a save).
+ * @param {string[]} items - Item IDs in slot order
+ * @param {string|null} activeItemId - Equipped item, if any
+ */
+export function restoreInventory(items, activeItemId = null) {
+    inventoryState.items = items.filter(id => ITEM_DATA[id]).slice(0, MAX_SLOTS);
+    inventoryState.activeItemId = inventoryState.items.includes(activeItemId) ? activeItemId : null;
+    inventoryState.selectedIndex = 0;
+    inventoryState.inspectedItemId = null;
+    notifyStateChange();
+}
+
 export function hasItem(itemId) {
     return inventoryState.items.includes(itemId);
 }
@@ -499,21 +596,43 @@ export function cancelDrag() {
     notifyStateChange();
 }
 
-export function endDragOnSlot(targetIndex) {
-    if (!inventoryState.dragState.isDragging) return false;
+/**
+ * Finish a drag over a slot. Dropping onto an item it has a recipe with
+ * combines the two, onto any other item swaps them, and onto an empty slot
+ * moves the item to the end. With `combine` set (SHIFT held) a drop onto an
+ * item always tries to combine, so a pair without a recipe fails instead of
+ * swapping.
+ * @param {number} targetIndex
+ * @param {boolean} [combine=false]
+ * @returns {Object|null} Combine result (see combineItems) if a combine was attempted
+ */
+export function endDragOnSlot(targetIndex, combine = false) {
+    if (!inventoryState.dragState.isDragging) return null;
 
     const originIndex = inventoryState.dragState.dragOriginIndex;
+    const originId = inventoryState.items[originIndex];
+    let result = null;
 
     if (targetIndex !== originIndex && targetIndex >= 0 && targetIndex < inventoryState.items.length) {
-        // Swap items
-        const temp = inventoryState.items[originIndex];
-        inventoryState.items[originIndex] = inventoryState.items[targetIndex];
-        inventoryState.items[targetIndex] = temp;
+        const targetId = inventoryState.items[targetIndex];
+        if (combine || getCombinationResult(originId, targetId)) {
+            result = combineItems(originId, targetId);
+        } else {
+            // Swap items
+            inventoryState.items[originIndex] = targetId;
+            inventoryState.items[targetIndex] = originId;
+            SoundManager.playTone(300, 'triangle', 0.1, 0.05);
+        }
+    } else if (targetIndex >= inventoryState.items.length) {
+        // Move to the end of the list
+        inventoryState.items.splice(originIndex, 1);
+        inventoryState.items.push(originId);
+        inventoryState.selectedIndex = inventoryState.items.length - 1;
         SoundManager.playTone(300, 'triangle', 0.1, 0.05);
     }
 
     cancelDrag();
-    return true;
+    return result;
 }
 
 export function endDragOnDropBox() {
@@ -536,6 +655,46 @@ export function endDragOnDropBox() {
     return true;
 }
 
+// =================================================================================
+// COMBINING
+// =================================================================================
+/**
+ * Recipe result for two items, checking both items' `combinesWith`.
+ * @returns {string|null} Resulting item ID
+ */
+export function getCombinationResult(itemA, itemB) {
+    return ITEM_DATA[itemA]?.combinesWith?.[itemB] || ITEM_DATA[itemB]?.combinesWith?.[itemA] || null;
+}
+
+/**
+ * Combine two owned items into the recipe's result. The result takes the
+ * earlier of the two slots.
+ * @returns {{success: boolean, resultId: string|null, itemA: string, itemB: string}}
+ */
+export function combineItems(itemA, itemB) {
+    const resultId = getCombinationResult(itemA, itemB);
+    const owned = hasItem(itemA) && hasItem(itemB);
+
+    if (!resultId || !owned || !ITEM_DATA[resultId]) {
+        SoundManager.playTone(120, 'sawtooth', 0.2, 0.06);
+        console.log(`Cannot combine: ${itemA} + ${itemB}`);
+        return { success: false, resultId: null, itemA, itemB };
+    }
+
+    const slot = Math.min(inventoryState.items.indexOf(itemA), inventoryState.items.indexOf(itemB));
+    inventoryState.items = inventoryState.items.filter(id => id !== itemA && id !== itemB);
+    inventoryState.items.splice(slot, 0, resultId);
+    inventoryState.selectedIndex = slot;
+    if (inventoryState.activeItemId === itemA || inventoryState.activeItemId === itemB) {
+        inventoryState.activeItemId = null;
+    }
+
+    SoundManager.playSuccess();
+    notifyStateChange();
+    console.log(`Combined ${itemA} + ${itemB} -> ${resultId}`);
+    return { success: true, resultId, itemA, itemB };
+}
+
 export function isDragging() {
     return inventoryState.dragState.isDragging;
 }
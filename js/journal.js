@@ -0,0 +1,449 @@
+// =================================================================================
+// --- JOURNAL.JS - Player Journal ---
+// =================================================================================
+// Keeps everything the player has read so it isn't lost once a narration line
+// fades or a popup closes: flashlight clues, inspected documents, examine
+// lines and self-dialog. Entries are grouped by room and stay marked NEW until
+// the player selects them in the journal (J, or [ JOURNAL ] in the inventory).
+// =================================================================================
+
+import { STATE, ROOM_DATA, ROOM_ORDER } from './config.js';
+import { SoundManager } from './sound.js';
+import { resetMovement } from './movement.js';
+
+// =================================================================================
+// JOURNAL STATE
+// =================================================================================
+let journalState = {
+    entries: [],            // { id, kind, roomKey, title, text, read }
+    isOpen: false,
+    roomIndex: 0,           // Index into getJournalRooms()
+    entryIndex: 0,          // Index into the selected room's entries
+    onClose: null           // Called after closing (e.g. reopen the inventory)
+};
+
+const KIND_LABELS = {
+    clue: 'CLUE',
+    document: 'DOCUMENT',
+    dialog: 'THOUGHT'
+};
+
+const TOAST_DURATION = 2500;
+let toastTimeout = null;
+
+// =================================================================================
+// RECORD ENTRIES
+// =================================================================================
+/**
+ * Add an entry the first time the player sees something.
+ * @param {Object} entry
+ * @param {string} entry.id - Unique ID (repeats are ignored)
+ * @param {'clue'|'document'|'dialog'} entry.kind
+ * @param {string} entry.title - Short heading
+ * @param {string} entry.text - Full text as shown to the player
+ * @param {string} entry.roomKey - Room it was seen in (defaults to current room)
+ * @returns {boolean} True if this is a new entry
+ */
+export function recordJournalEntry({ id, kind, title, text, roomKey = STATE.current_room }) {
+    if (!text || journalState.entries.some(e => e.id === id)) return false;
+
+    journalState.entries.push({ id, kind, roomKey, title, text, read: false });
+    console.log(`Journal entry added: ${id}`);
+    showJournalToast();
+    if (journalState.isOpen) renderJournal();
+    return true;
+}
+
+/**
+ * Journal entry for a flashlight reveal, using the revealable geometry's
+ * `revealText` in the current room.
+ * @param {string} revealId
+ */
+export function recordReveal(revealId) {
+    const geo = ROOM_DATA[STATE.current_room]?.geometry.find(g => g.revealId === revealId);
+    return recordJournalEntry({
+        id: `reveal:${revealId}`,
+        kind: 'clue',
+        title: 'HIDDEN MARKING',
+        text: geo?.revealText
+    });
+}
+
+export function getUnreadCount() {
+    return journalState.entries.filter(e => !e.read).length;
+}
+
+/**
+ * Rooms that have entries, in story order, then any others.
+ */
+function getJournalRooms() {
+    const rooms = [...new Set(journalState.entries.map(e => e.roomKey))];
+    const rank = key => (ROOM_ORDER.includes(key) ? ROOM_ORDER.indexOf(key) : ROOM_ORDER.length);
+    return rooms.sort((a, b) => rank(a) - rank(b));
+}
+
+function getRoomEntries(roomKey) {
+    return journalState.entries.filter(e => e.roomKey === roomKey);
+}
+
+// =================================================================================
+// OPEN / CLOSE
+// =================================================================================
+/**
+ * Open the journal on the current room (or the first room with entries).
+ * @param {Function} onClose - Optional callback after the journal closes
+ */
+export function openJournal(onClose = null) {
+    createJournalHTML();
+
+    journalState.isOpen = true;
+    journalState.onClose = onClose;
+
+    const rooms = getJournalRooms();
+    journalState.roomIndex = Math.max(0, rooms.indexOf(STATE.current_room));
+    journalState.entryIndex = 0;
+    markSelectedRead();
+
+    resetMovement();
+    STATE.interaction_mode = 'PUZZLE';
+
+    SoundManager.playSelect();
+    renderJournal();
+    document.getElementById('journal-overlay').classList.remove('hidden');
+}
+
+export function closeJournal() {
+    journalState.isOpen = false;
+    document.getElementById('journal-overlay')?.classList.add('hidden');
+
+    if (STATE.interaction_mode === 'PUZZLE') {
+        STATE.interaction_mode = 'OVERWORLD';
+    }
+
+    const onClose = journalState.onClose;
+    journalState.onClose = null;
+    if (onClose) onClose();
+}
+
+export function isJournalOpen() {
+    return journalState.isOpen;
+}
+
+// =================================================================================
+// NAVIGATION
+// =================================================================================
+function selectRoom(direction) {
+    const rooms = getJournalRooms();
+    if (rooms.length === 0) return;
+    journalState.roomIndex = (journalState.roomIndex + direction + rooms.length) % rooms.length;
+    journalState.entryIndex = 0;
+    markSelectedRead();
+    SoundManager.playBlip();
+    renderJournal();
+}
+
+function selectEntry(direction) {
+    const roomKey = getJournalRooms()[journalState.roomIndex];
+    const count = roomKey ? getRoomEntries(roomKey).length : 0;
+    if (count === 0) return;
+    journalState.entryIndex = (journalState.entryIndex + direction + count) % count;
+    markSelectedRead();
+    SoundManager.playBlip();
+    renderJournal();
+}
+
+function markSelectedRead() {
+    const roomKey = getJournalRooms()[journalState.roomIndex];
+    const entry = roomKey ? getRoomEntries(roomKey)[journalState.entryIndex] : null;
+    if (entry) entry.read = true;
+}
+
+// =================================================================================
+// RENDER
+// =================================================================================
+function renderJournal() {
+    const rooms = getJournalRooms();
+    const tabs = document.getElementById('journal-rooms');
+    const list = document.getElementById('journal-entries');
+    const detail = document.getElementById('journal-detail');
+
+    if (rooms.length === 0) {
+        tabs.innerHTML = '';
+        list.innerHTML = '<div class="journal-empty">NOTHING WRITTEN YET.</div>';
+        detail.innerHTML = '';
+        return;
+    }
+
+    tabs.innerHTML = rooms.map((roomKey, i) => {
+        const unread = getRoomEntries(roomKey).filter(e => !e.read).length;
+        const name = ROOM_DATA[roomKey]?.name || roomKey;
+        return `<span class="journal-room ${i === journalState.roomIndex ? 'selected' : ''}">${name}${unread ? ` <em>(${unread})</em>` : ''}</span>`;
+    }).join('');
+
+    const entries = getRoomEntries(rooms[journalState.roomIndex]);
+    list.innerHTML = entries.map((entry, i) => `
+        <div class="journal-entry ${i === journalState.entryIndex ? 'selected' : ''}">
+            <span class="journal-kind">${KIND_LABELS[entry.kind] || ''}</span>
+            ${escapeHTML(entry.title)}
+            ${entry.read ? '' : '<span class="journal-new">NEW</span>'}
+        </div>
+    `).join('');
+
+    const selected = entries[journalState.entryIndex];
+    detail.innerHTML = selected
+        ? `<div class="journal-detail-title">${escapeHTML(selected.title)}</div><div>${escapeHTML(selected.text)}</div>`
+        : '';
+}
+
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/**
+ * Small "JOURNAL UPDATED" note in the corner when an entry is added.
+ */
+function showJournalToast() {
+    createJournalHTML();
+    const toast = document.getElementById('journal-toast');
+    toast.classList.add('visible');
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => toast.classList.remove('visible'), TOAST_DURATION);
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleJournalKeydown(event) {
+    if (!journalState.isOpen) return false;
+
+    event.preventDefault();
+    switch (event.key.toLowerCase()) {
+        case 'w':
+        case 'arrowup':
+            selectEntry(-1);
+            break;
+        case 's':
+        case 'arrowdown':
+            selectEntry(1);
+            break;
+        case 'a':
+        case 'arrowleft':
+            selectRoom(-1);
+            break;
+        case 'd':
+        case 'arrowright':
+            selectRoom(1);
+            break;
+        case 'j':
+        case 'escape':
+        case 'tab':
+            SoundManager.playBlip();
+            closeJournal();
+            break;
+    }
+    return true;
+}
+
+// =================================================================================
+// RESET / SAVE SUPPORT
+// =================================================================================
+export function resetJournal() {
+    journalState.entries = [];
+    journalState.roomIndex = 0;
+    journalState.entryIndex = 0;
+}
+
+/**
+ * @returns {Array<{id, kind, roomKey, title, text, read}>}
+ */
+export function serializeJournal() {
+    return journalState.entries.map(e => ({ ...e }));
+}
+
+export function restoreJournal(entries) {
+    journalState.entries = (entries || []).map(e => ({ ...e }));
+    journalState.roomIndex = 0;
+    journalState.entryIndex = 0;
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createJournalHTML() {
+    if (document.getElementById('journal-overlay')) return;
+
+    const html = `
+        <div id="journal-overlay" class="hidden">
+            <div id="journal-panel">
+                <div id="journal-title">▼ JOURNAL ▼</div>
+                <div id="journal-rooms"></div>
+                <div id="journal-body">
+                    <div id="journal-entries"></div>
+                    <div id="journal-detail"></div>
+                </div>
+                <div id="journal-hint">A/D: Room | W/S: Entry | J: Close</div>
+            </div>
+        </div>
+        <div id="journal-toast">[ J ] JOURNAL UPDATED</div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+    addJournalStyles();
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addJournalStyles() {
+    if (document.getElementById('journal-styles')) return;
+
+    const styles = `
+        <style id="journal-styles">
+            #journal-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+                font-family: 'Press Start 2P', monospace;
+            }
+
+            #journal-overlay.hidden {
+                display: none;
+            }
+
+            #journal-panel {
+                background: linear-gradient(135deg, #14110a 0%, #262013 50%, #110e08 100%);
+                border: 3px solid #8b7a3a;
+                box-shadow: 0 0 30px rgba(139, 122, 58, 0.4), inset 0 0 20px rgba(0, 0, 0, 0.8);
+                padding: 20px;
+                width: 680px;
+                max-width: 92%;
+            }
+
+            #journal-title {
+                text-align: center;
+                color: #e8d9a0;
+                font-size: 14px;
+                margin-bottom: 15px;
+                letter-spacing: 4px;
+            }
+
+            #journal-rooms {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin-bottom: 12px;
+                font-size: 7px;
+            }
+
+            .journal-room {
+                color: #776f55;
+                padding: 4px 6px;
+                border: 1px solid #3a3422;
+            }
+
+            .journal-room.selected {
+                color: #e8d9a0;
+                border-color: #e8d9a0;
+            }
+
+            .journal-room em {
+                color: #ffdd55;
+                font-style: normal;
+            }
+
+            #journal-body {
+                display: flex;
+                gap: 12px;
+                height: 260px;
+            }
+
+            #journal-entries {
+                width: 45%;
+                overflow-y: auto;
+            }
+
+            .journal-entry {
+                color: #aaa28a;
+                font-size: 7px;
+                line-height: 1.6;
+                padding: 6px;
+                border-left: 2px solid transparent;
+            }
+
+            .journal-entry.selected {
+                color: #ffffff;
+                border-left-color: #e8d9a0;
+                background: rgba(232, 217, 160, 0.08);
+            }
+
+            .journal-kind {
+                color: #776f55;
+                margin-right: 6px;
+            }
+
+            .journal-new {
+                color: #ffdd55;
+                margin-left: 6px;
+            }
+
+            .journal-empty {
+                color: #776f55;
+                font-size: 8px;
+                padding: 6px;
+            }
+
+            #journal-detail {
+                flex: 1;
+                color: #cccccc;
+                font-size: 8px;
+                line-height: 2;
+                white-space: pre-line;
+                overflow-y: auto;
+                border-left: 1px solid #3a3422;
+                padding-left: 12px;
+            }
+
+            .journal-detail-title {
+                color: #e8d9a0;
+                margin-bottom: 10px;
+            }
+
+            #journal-hint {
+                text-align: center;
+                color: #666;
+                font-size: 6px;
+                margin-top: 12px;
+            }
+
+            #journal-toast {
+                position: fixed;
+                top: 20px;
+                right: 24px;
+                color: #e8d9a0;
+                font-family: 'Press Start 2P', monospace;
+                font-size: 8px;
+                background: rgba(0, 0, 0, 0.8);
+                border: 1px solid #8b7a3a;
+                padding: 8px 10px;
+                opacity: 0;
+                transition: opacity 0.3s ease;
+                pointer-events: none;
+                z-index: 600;
+            }
+
+            #journal-toast.visible {
+                opacity: 1;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
@@ -6,7 +6,7 @@
 // =================================================================================
 
 import * as THREE from 'three';
-import { STATE } from './config.js';
+import { STATE, ROOM_DATA, ROOM_ORDER, PORTFOLIO_CONTENT } from './config.js';
 import { SoundManager } from './sound.js';
 import {
     setScreen,
@@ -17,6 +17,7 @@ import {
     closePopup,
     returnToMainMenu,
     setupCrtToggle,
+    setOnMainMenuShown,
     menuItems
 } from './utils.js';
 import {
@@ -32,20 +33,34 @@ import {
     animationController
 } from './three-init.js';
 import { loadAllRooms, setRoom, spawnRoomItems } from './rooms.js';
+import { loadRoomData } from './room-loader.js';
+import { validateGameData, formatProblems } from './validate.js';
 import { controls, updatePlayerMovement } from './movement.js';
 import { handleMouseDown, checkHotspots, handleEInteraction, updateDroppedItems } from './interactions.js';
 import { setupInspectionView, animateInspection } from './inspection.js';
-import { updateSecretDoorState } from './puzzle.js';
 import { initInventoryUI, handleInventoryKeydown } from './inventory-ui.js';
-import { toggleInventory, isInventoryOpen } from './inventory.js';
+import { toggleInventory, isInventoryOpen, ITEM_DATA } from './inventory.js';
 import { initFlashlight, updateFlashlight, toggleFlashlight } from './flashlight.js';
+import { recordClue } from './progression.js';
 import { isPadlockOpen, handlePadlockKeydown, closePadlock } from './padlock.js';
+import { isSlotPuzzleOpen, handleSlotPuzzleKeydown } from './slot-puzzle.js';
+import { isFxConsoleOpen, handleFxConsoleKeydown } from './fx-console.js';
+import { isCompileTerminalOpen, handleCompileTerminalKeydown } from './compile-terminal.js';
+import { isMemoryBoxOpen, handleMemoryBoxKeydown } from './memory-box.js';
+import { openJournal, isJournalOpen, handleJournalKeydown, recordReveal } from './journal.js';
+import { updateHints, requestHint } from './hints.js';
+import { isEndingPlaying, handleEndingKeydown } from './ending.js';
+import { initAchievements, renderAchievementsList } from './achievements.js';
+import { on, emit } from './events.js';
+import { initSpeedrun, startSpeedrun, abortSpeedrun, updateSpeedrun, isSpeedrunResultsOpen, handleSpeedrunResultsKeydown, isSpeedrunEnabled, setSpeedrunEnabled } from './speedrun.js';
 import { initDebugMenu, updateDebugValues, handleDebugKeydown, handleDebugKeyup } from './debug.js';
 import { debugManager } from './debug/DebugManager.js';
 import { initNarration, showNarration, checkSelfDialogTriggers } from './narration.js';
 import { updateCameraZone, setInitialZone, resetCameraZones, initCameraForRoom } from './camera-zones.js';
 import { initIntro } from './intro.js';
 import { handleVideoInspectKeydown, exitVideoInspect, initializeVideoScreens } from './video-manager.js';
+import { loadGame, resetProgress, captureRoomDefaults, pickSlotForNewGame, setActiveSlot, getMostRecentSlot, hasAnySave, autosave } from './save.js';
+import { openSaveSlots, isSaveSlotsOpen, handleSaveSlotsKeydown, refreshMainMenuSaveEntries, initSaveSlotsUI } from './save-ui.js';
 
 // =================================================================================
 // MAKE FUNCTIONS AVAILABLE GLOBALLY FOR HTML ONCLICK HANDLERS
@@ -97,15 +112,81 @@ export function startOverworld() {
     console.log('Overworld started, interaction_mode:', STATE.interaction_mode, 'room:', STATE.current_room);
 }
 
+// =================================================================================
+// NEW GAME / LOAD GAME
+// =================================================================================
+// A new game starts from clean progression and claims a save slot (the Test
+// Range never saves). Loading restores a slot and drops straight into its room.
+// =================================================================================
+function startNewGame(difficulty) {
+    resetProgress();
+    STATE.difficulty = difficulty;
+    console.log(`Difficulty set to: ${STATE.difficulty}`);
+
+    setActiveSlot(difficulty === 'testing' ? null : pickSlotForNewGame());
+    startOverworld();
+    autosave();
+    startSpeedrun(difficulty);
+}
+
+// Runs only count from a new game, so loading drops any run in progress
+function startFromSave(slot) {
+    abortSpeedrun();
+    if (!loadGame(slot)) {
+        SoundManager.playBlip();
+        setScreen('main-menu');
+        return;
+    }
+    startOverworld();
+}
+
+// Save file already applied by save-ui.js; close whichever options menu it came from
+function startFromImport() {
+    abortSpeedrun();
+    ['options-menu', 'main-menu-options'].forEach(menuId => {
+        document.getElementById(menuId).classList.add('hidden');
+    });
+    startOverworld();
+}
+
+function handleMainMenuSelect(action) {
+    if (action === 'start') {
+        // Go to difficulty selection first
+        setScreen('difficulty-select');
+    } else if (action === 'continue') {
+        const slot = getMostRecentSlot();
+        if (slot === null) {
+            SoundManager.playBlip();
+            return;
+        }
+        startFromSave(slot);
+    } else if (action === 'load') {
+        if (!hasAnySave()) {
+            SoundManager.playBlip();
+            return;
+        }
+        openSaveSlots('load', startFromSave);
+    } else if (action === 'achievements') {
+        renderAchievementsList();
+        showMenu('achievements-menu');
+    } else {
+        handleMenuAction(action);
+    }
+}
+
 // =================================================================================
 // MAIN GAME LOOP
 // =================================================================================
 let gameTime = 0;
+const frameClock = new THREE.Clock();
 
 function animate() {
     requestAnimationFrame(animate);
     gameTime += 0.016; // ~60fps
 
+    // Real frame time, capped so a backgrounded tab doesn't count as play time
+    const delta = Math.min(frameClock.getDelta(), 0.1);
+
     try {
         if (STATE.interaction_mode === 'OVERWORLD') {
             updatePlayerMovement();
@@ -136,11 +217,17 @@ function animate() {
     updateAnimations();
 
     // Update eye-light flashlight (follows camera, main cone light)
-    updateFlashlight();
+    updateFlashlight(delta);
 
     // Update dropped items floating animation
     updateDroppedItems(gameTime);
 
+    // Track time in room for hint offers
+    updateHints(delta);
+
+    // Speedrun timer (no-op unless a run is active)
+    updateSpeedrun();
+
     // Update debug panel values
     updateDebugValues();
 
@@ -174,6 +261,12 @@ document.addEventListener('keydown', (event) => {
     if (STATE.interaction_mode === 'INSPECT_VIDEO') {
         if (handleVideoInspectKeydown(event)) return;
     }
+
+    // Save slot menu sits on top of the main menu / pause menu
+    if (isSaveSlotsOpen()) {
+        handleSaveSlotsKeydown(event);
+        return;
+    }
     if (STATE.screen === 'main-menu') {
         switch (event.key) {
             case 'ArrowUp':
@@ -192,13 +285,7 @@ document.addEventListener('keydown', (event) => {
             case ' ':
                 event.preventDefault();
                 SoundManager.playSelect();
-                const action = menuItems[STATE.menuIndex].dataset.action;
-                if (action === 'start') {
-                    // Go to difficulty selection first (consistent with click handler)
-                    setScreen('difficulty-select');
-                } else {
-                    handleMenuAction(action);
-                }
+                handleMainMenuSelect(menuItems[STATE.menuIndex].dataset.action);
                 break;
         }
     }
@@ -238,9 +325,7 @@ document.addEventListener('keydown', (event) => {
                 SoundManager.playSelect();
                 const selectedBtn = difficultyBtns[selectedIndex];
                 if (selectedBtn) {
-                    STATE.difficulty = selectedBtn.dataset.difficulty;
-                    console.log(`Difficulty set to: ${STATE.difficulty}`);
-                    startOverworld();
+                    startNewGame(selectedBtn.dataset.difficulty);
                 }
                 break;
             case 'Escape':
@@ -289,6 +374,14 @@ document.addEventListener('keydown', (event) => {
                 SoundManager.playBlip();
                 showMenu('options-menu');
                 break;
+            case 'j':
+                // Open journal
+                openJournal();
+                break;
+            case 'g':
+                // Ask for a hint (H is the Test Range hand tracking debug toggle)
+                requestHint();
+                break;
             case 'f':
                 // Toggle flashlight
                 toggleFlashlight();
@@ -308,6 +401,34 @@ document.addEventListener('keydown', (event) => {
         // Pass keyboard events to padlock handler
         handlePadlockKeydown(event);
     }
+    else if (isSlotPuzzleOpen()) {
+        // Pass keyboard events to slot puzzle handler (projector, etc)
+        handleSlotPuzzleKeydown(event);
+    }
+    else if (isFxConsoleOpen()) {
+        // Pass keyboard events to FX compositing console
+        handleFxConsoleKeydown(event);
+    }
+    else if (isCompileTerminalOpen()) {
+        // Pass keyboard events to compile terminal
+        handleCompileTerminalKeydown(event);
+    }
+    else if (isMemoryBoxOpen()) {
+        // Pass keyboard events to memory box keyword lock
+        handleMemoryBoxKeydown(event);
+    }
+    else if (isJournalOpen()) {
+        // Pass keyboard events to the journal
+        handleJournalKeydown(event);
+    }
+    else if (isSpeedrunResultsOpen()) {
+        // Speedrun results screen (continue only)
+        handleSpeedrunResultsKeydown(event);
+    }
+    else if (isEndingPlaying()) {
+        // Ending sequence (skip only)
+        handleEndingKeydown(event);
+    }
     else if (event.key === 'Escape') {
         event.preventDefault();
         SoundManager.playBlip();
@@ -315,7 +436,7 @@ document.addEventListener('keydown', (event) => {
             closePopup();
         } else if (STATE.interaction_mode === 'MENU_PAUSE') {
             // Close any open overlay menu
-            const overlayMenus = ['options-menu', 'how-to-play-menu', 'bug-report-menu', 'credits-menu', 'main-menu-options'];
+            const overlayMenus = ['options-menu', 'how-to-play-menu', 'bug-report-menu', 'credits-menu', 'achievements-menu', 'main-menu-options'];
             overlayMenus.forEach(menuId => {
                 const menu = document.getElementById(menuId);
                 if (menu && !menu.classList.contains('hidden')) {
@@ -348,7 +469,21 @@ document.addEventListener('keyup', (event) => {
 // =================================================================================
 // INITIALIZATION
 // =================================================================================
-window.onload = () => {
+window.onload = async () => {
+    // Room definitions come from assets/rooms/ - everything below needs them
+    try {
+        await loadRoomData();
+    } catch (error) {
+        console.error('Failed to load room data:', error);
+        showStartupError('COULD NOT LOAD ROOMS. PLEASE REFRESH.');
+        return;
+    }
+    captureRoomDefaults();
+
+    // Report broken references in room/item data (the game still starts)
+    const dataProblems = validateGameData({ rooms: ROOM_DATA, items: ITEM_DATA, content: PORTFOLIO_CONTENT, order: ROOM_ORDER });
+    if (dataProblems.length > 0) console.warn(formatProblems(dataProblems));
+
     // Setup CRT toggle button
     setupCrtToggle();
 
@@ -361,6 +496,16 @@ window.onload = () => {
     // Initialize eye-light flashlight (always on)
     initFlashlight();
 
+    // Flashlight reveals count as progression clues
+    on('clueRevealed', ({ revealId }) => {
+        recordClue(revealId);
+        recordReveal(revealId);
+    });
+
+    // Systems that listen on the event bus
+    initAchievements();
+    initSpeedrun();
+
     // Pre-build all room geometry
     loadAllRooms();
 
@@ -380,6 +525,13 @@ window.onload = () => {
     // Initialize narration system
     initNarration();
 
+    // Save slot menu, and keep CONTINUE / LOAD GAME in sync with saved slots
+    initSaveSlotsUI(startFromImport);
+    setOnMainMenuShown(() => {
+        abortSpeedrun();
+        refreshMainMenuSaveEntries();
+    });
+
     // Hide main menu initially (intro will show it)
     const mainMenu = document.getElementById('main-menu');
     if (mainMenu) mainMenu.style.display = 'none';
@@ -393,6 +545,7 @@ window.onload = () => {
         }
         STATE.screen = 'main-menu';
         STATE.interaction_mode = 'MENU';
+        refreshMainMenuSaveEntries();
         console.log('Intro complete, showing main menu');
     });
 
@@ -412,13 +565,7 @@ window.onload = () => {
             SoundManager.playSelect();
             updateMenuSelection();
 
-            const action = item.dataset.action;
-            if (action === 'start') {
-                // Show difficulty selection instead of starting directly
-                setScreen('difficulty-select');
-            } else {
-                handleMenuAction(action);
-            }
+            handleMainMenuSelect(item.dataset.action);
         });
     });
 
@@ -427,11 +574,8 @@ window.onload = () => {
     let difficultyIndex = 0;
     difficultyBtns.forEach((btn) => {
         btn.addEventListener('click', () => {
-            const difficulty = btn.dataset.difficulty;
-            STATE.difficulty = difficulty;
             SoundManager.playSelect();
-            console.log(`Difficulty set to: ${STATE.difficulty}`);
-            startOverworld();
+            startNewGame(btn.dataset.difficulty);
         });
 
         // Hover effect
@@ -483,6 +627,12 @@ window.onload = () => {
         hideMenu('options-menu');
     });
 
+    // Pause menu - Save Game button
+    document.getElementById('btn-pause-save')?.addEventListener('click', () => {
+        SoundManager.playBlip();
+        openSaveSlots('save');
+    });
+
     // Pause menu - Exit to Main Menu button
     document.getElementById('btn-pause-main-menu')?.addEventListener('click', () => {
         SoundManager.playBlip();
@@ -540,6 +690,11 @@ window.onload = () => {
     });
 
     // Credits menu back button
+    document.getElementById('btn-back-achievements')?.addEventListener('click', () => {
+        SoundManager.playBlip();
+        hideMenu('achievements-menu');
+    });
+
     document.getElementById('btn-back-credits')?.addEventListener('click', () => {
         SoundManager.playBlip();
         hideMenu('credits-menu');
@@ -589,6 +744,21 @@ window.onload = () => {
         if (!isOn) SoundManager.playBlip();
     });
 
+    // Main Menu Options - Speedrun timer toggle (remembered between sessions)
+    const speedrunToggle = document.getElementById('mm-toggle-speedrun');
+    const showSpeedrunSetting = (on) => {
+        speedrunToggle.dataset.setting = on ? 'on' : 'off';
+        speedrunToggle.textContent = on ? 'ON' : 'OFF';
+        speedrunToggle.classList.toggle('bg-green-600', on);
+        speedrunToggle.classList.toggle('bg-red-600', !on);
+    };
+    showSpeedrunSetting(isSpeedrunEnabled());
+    speedrunToggle.addEventListener('click', () => {
+        setSpeedrunEnabled(!isSpeedrunEnabled());
+        showSpeedrunSetting(isSpeedrunEnabled());
+        SoundManager.playBlip();
+    });
+
     // Main Menu Options - Volume sliders
     document.getElementById('mm-volume-master')?.addEventListener('input', (e) => {
         const val = e.target.value;
@@ -633,10 +803,27 @@ window.onload = () => {
     // =================================================================================
 };
 
+/**
+ * Show a fatal startup error on the (otherwise blank) transition overlay.
+ */
+function showStartupError(message) {
+    const overlay = document.getElementById('transition-overlay');
+    const text = document.getElementById('transition-text');
+    text.textContent = message;
+    text.classList.remove('hidden');
+    overlay.classList.remove('hidden');
+    overlay.classList.add('flex');
+    overlay.style.opacity = 1;
+}
+
 // =================================================================================
 // HAND TRACKING INIT FUNCTION (called only when entering ROOM_TESTRANGE)
 // =================================================================================
+// Tears down the previous Test Range session's hoop and event listeners
+let disposeTestRange = () => {};
+
 function initHandTracking() {
+    disposeTestRange();
     console.log('Initializing Hand Tracking Systems for Test Range...');
 
     import('./hand-tracking/HandTracker.js').then(({ HandTracker }) => {
@@ -659,6 +846,20 @@ function initHandTracking() {
                                         const cameraControl = new CameraControl(camera);
                                         const windSystem = new WindSystem(scene, camera, window.levitationCube, physics);
                                         const basketballHoop = new BasketballHoop(scene);
+                                        levitationSystem.hoop = basketballHoop;
+
+                                        // Leaving the Test Range (or starting it again from the
+                                        // menu) removes the hoop and the camera control's listener
+                                        const offRoomEntered = on('roomEntered', ({ roomKey }) => {
+                                            if (roomKey !== 'ROOM_TESTRANGE') disposeTestRange();
+                                        });
+                                        disposeTestRange = () => {
+                                            basketballHoop.dispose();
+                                            levitationSystem.hoop = null;
+                                            cameraControl.dispose();
+                                            offRoomEntered();
+                                            disposeTestRange = () => {};
+                                        };
 
                                         // Centralized Aim Assist - POST-PROCESSING ONLY
                                         const aimAssist = new AimAssist({
@@ -672,7 +873,6 @@ function initHandTracking() {
                                         window.gameCamera = camera;
                                         window.targetCube = window.levitationCube;
                                         window.gamePhysics = physics;
-                                        window.basketballHoop = basketballHoop;
                                         window.handTracker = handTracker;
                                         window.aimAssist = aimAssist; // For debug panel
 
@@ -817,6 +1017,12 @@ function initHandTracking() {
 
                                             // === GESTURE TRANSITION DETECTION ===
                                             const justChangedGesture = gesture !== previousGesture;
+                                            if (justChangedGesture) {
+                                                emit('gestureChanged', {
+                                                    gesture: gestureName,
+                                                    previous: Object.keys(GESTURE).find(key => GESTURE[key] === previousGesture) || 'UNKNOWN'
+                                                });
+                                            }
 
                                             // Add short cooldown only for specific transitions that need it
                                             // Don't block camera when switching from PINCH to OPEN_HAND (that's grab→control)
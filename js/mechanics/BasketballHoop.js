@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { emit } from '../events.js';
 
 export class BasketballHoop {
     constructor(scene) {
@@ -264,6 +265,7 @@ export class BasketballHoop {
         }, 500);
 
         console.log(`SCORE! Total: ${this.score}`);
+        emit('basketScored', { score: this.score });
     }
 
     update(ball) {
@@ -5,6 +5,7 @@
 
 import * as THREE from 'three';
 import { GESTURE } from '../hand-tracking/GestureRecognizer.js';
+import { on } from '../events.js';
 
 // Global debug log storage
 window.cameraDebugLogs = [];
@@ -29,6 +30,20 @@ export class CameraControl {
         // Smoothed palm tracking for clean handoffs
         this.smoothedPalmXY = { x: 0, y: 0 };
         this.lastPalmXY = { x: 0, y: 0 };
+
+        // Whether LevitationSystem is holding the ball
+        this.isHoldingObject = false;
+        this.offLevitationChanged = on('levitationChanged', ({ isHolding }) => {
+            this.isHoldingObject = isHolding;
+        });
+    }
+
+    /**
+     * Stop listening for game events
+     * Call this when leaving the test room
+     */
+    dispose() {
+        this.offLevitationChanged();
     }
 
     blockFor(durationMs) {
@@ -111,7 +126,7 @@ export class CameraControl {
         // PINCH and OPEN_HAND control camera
         // NEW RULE: PINCH only controls camera when holding an object
         // This prevents camera flicks during OPEN_HAND -> PINCH transition for pickup
-        const isHoldingObject = window.levitationState?.isHolding || false;
+        const isHoldingObject = this.isHoldingObject;
 
         if (currentGesture === GESTURE.PINCH && !isHoldingObject) {
             // PINCH without holding object = blocked from camera control
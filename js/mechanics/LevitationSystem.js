@@ -7,6 +7,7 @@
 import * as THREE from 'three';
 import { GESTURE } from '../hand-tracking/GestureRecognizer.js';
 import { animationController } from '../AnimationController.js';
+import { emit } from '../events.js';
 
 const STATE = {
     IDLE: 'IDLE',
@@ -24,8 +25,8 @@ export class LevitationSystem {
         this.raycaster = new THREE.Raycaster();
         this.state = STATE.IDLE;
 
-        // Global state for CameraControl to check
-        window.levitationState = { isHolding: false };
+        // Hoop to aim at (set by the Test Range setup, null when there is none)
+        this.hoop = null;
 
         // Visual indicator
         this.highlightMesh = this.createHighlight();
@@ -236,8 +237,8 @@ export class LevitationSystem {
         this.physics.setEnabled(true); // Keep physics enabled for wall collisions
         this.targetObject.material.color.setHex(0x00FFFF);
 
-        // Update global state for CameraControl
-        window.levitationState.isHolding = true;
+        // Tell CameraControl (and anyone else) the ball is held
+        emit('levitationChanged', { isHolding: true });
 
         // Calculate actual distance to object
         const objectPos = this.targetObject.position.clone();
@@ -290,8 +291,7 @@ export class LevitationSystem {
         this.state = STATE.IDLE;
         this.physics.setLevitating(false);
 
-        // Update global state for CameraControl
-        window.levitationState.isHolding = false;
+        emit('levitationChanged', { isHolding: false });
 
         // Clear aim assist lock
         if (window.aimAssist) {
@@ -473,8 +473,8 @@ export class LevitationSystem {
 
         // === AIM ASSIST - Soft snap toward hoop ===
         // Apply post-processing nudge when near valid targets
-        if (window.aimAssist && window.basketballHoop) {
-            const hoopCenter = window.basketballHoop.hoopCenter;
+        if (window.aimAssist && this.hoop) {
+            const hoopCenter = this.hoop.hoopCenter;
             if (hoopCenter) {
                 // Build candidate targets list
                 const candidates = [
@@ -522,8 +522,7 @@ export class LevitationSystem {
         // b) Disable levitation (no more stabilization forces)
         this.physics.setLevitating(false);
 
-        // Update global state for CameraControl
-        window.levitationState.isHolding = false;
+        emit('levitationChanged', { isHolding: false });
 
         // c) Clear aim assist lock (runtime only, doesn't affect config)
         if (window.aimAssist) {
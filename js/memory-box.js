@@ -0,0 +1,395 @@
+// =================================================================================
+// --- MEMORY-BOX.JS - Final Keyword Lock ---
+// =================================================================================
+// Keyword-entry lock for the memory box in the About Me room. Lists the word
+// fragments the player has uncovered with the flashlight in any room and
+// accepts a typed keyword (letters, Backspace, Enter).
+// =================================================================================
+
+import { STATE } from './config.js';
+import { SoundManager } from './sound.js';
+import { isRevealed } from './flashlight.js';
+import { resetMovement } from './movement.js';
+import { recordFailedAttempt } from './hints.js';
+
+// =================================================================================
+// MEMORY BOX STATE
+// =================================================================================
+let memoryBoxState = {
+    isOpen: false,
+    password: '',           // The correct keyword (uppercase)
+    input: '',              // Letters typed so far
+    onSuccess: null,        // Callback when solved
+    hotspotId: null,        // ID of hotspot that opened this lock
+    locked: false           // True while the success/failure animation plays
+};
+
+// =================================================================================
+// OPEN MEMORY BOX UI
+// =================================================================================
+/**
+ * Opens the keyword lock.
+ * @param {string} password - The keyword that opens the box
+ * @param {Array<{revealId: string, source: string, text: string}>} fragments - Clues to list
+ * @param {Function} onSuccess - Callback when the keyword is entered
+ * @param {string} hotspotId - Optional ID to track which hotspot opened this
+ */
+export function openMemoryBox(password, fragments, onSuccess, hotspotId = null) {
+    createMemoryBoxHTML();
+
+    memoryBoxState.isOpen = true;
+    memoryBoxState.password = password.toUpperCase();
+    memoryBoxState.input = '';
+    memoryBoxState.onSuccess = onSuccess;
+    memoryBoxState.hotspotId = hotspotId;
+    memoryBoxState.locked = false;
+
+    // Stop walking - keyup events are not routed to movement while open
+    resetMovement();
+    STATE.interaction_mode = 'PUZZLE';
+
+    renderFragments(fragments);
+    renderInput();
+    setStatus('');
+    document.getElementById('memory-box-overlay').classList.remove('hidden');
+
+    console.log(`Memory box opened for: ${hotspotId}`);
+}
+
+// =================================================================================
+// CLOSE MEMORY BOX UI
+// =================================================================================
+export function closeMemoryBox() {
+    memoryBoxState.isOpen = false;
+    memoryBoxState.onSuccess = null;
+    document.getElementById('memory-box-overlay')?.classList.add('hidden');
+
+    if (STATE.interaction_mode === 'PUZZLE') {
+        STATE.interaction_mode = 'OVERWORLD';
+    }
+}
+
+// =================================================================================
+// CHECK IF MEMORY BOX IS OPEN
+// =================================================================================
+export function isMemoryBoxOpen() {
+    return memoryBoxState.isOpen;
+}
+
+// =================================================================================
+// INPUT
+// =================================================================================
+function typeLetter(letter) {
+    if (memoryBoxState.locked) return;
+    if (memoryBoxState.input.length >= memoryBoxState.password.length) {
+        SoundManager.playBlip();
+        return;
+    }
+    memoryBoxState.input += letter.toUpperCase();
+    SoundManager.playTone(500 + memoryBoxState.input.length * 40, 'square', 0.05, 0.04);
+    setStatus('');
+    renderInput();
+}
+
+function deleteLetter() {
+    if (memoryBoxState.locked || memoryBoxState.input.length === 0) return;
+    memoryBoxState.input = memoryBoxState.input.slice(0, -1);
+    SoundManager.playBlip();
+    renderInput();
+}
+
+function submitKeyword() {
+    if (memoryBoxState.locked) return;
+
+    const panel = document.getElementById('memory-box-panel');
+
+    if (memoryBoxState.input.length < memoryBoxState.password.length) {
+        SoundManager.playBlip();
+        setStatus('THE LOCK WAITS FOR MORE LETTERS.');
+        return;
+    }
+
+    memoryBoxState.locked = true;
+
+    if (memoryBoxState.input === memoryBoxState.password) {
+        panel.classList.add('memory-box-solved');
+        setStatus('THE BOX RECOGNIZES YOU.');
+        SoundManager.playSuccess();
+
+        setTimeout(() => {
+            panel.classList.remove('memory-box-solved');
+            const onSuccess = memoryBoxState.onSuccess;
+            const hotspotId = memoryBoxState.hotspotId;
+            closeMemoryBox();
+            if (onSuccess) onSuccess(hotspotId);
+        }, 1200);
+    } else {
+        panel.classList.add('memory-box-wrong');
+        setStatus('NOTHING. THAT ISN\'T THE WORD.');
+        SoundManager.playTone(110, 'sawtooth', 0.3, 0.1);
+        recordFailedAttempt();
+
+        setTimeout(() => {
+            panel.classList.remove('memory-box-wrong');
+            memoryBoxState.input = '';
+            memoryBoxState.locked = false;
+            renderInput();
+        }, 700);
+    }
+}
+
+// =================================================================================
+// RENDER MEMORY BOX UI
+// =================================================================================
+function renderFragments(fragments) {
+    const list = document.getElementById('memory-box-fragments');
+    list.innerHTML = fragments.map(fragment => {
+        const found = isRevealed(fragment.revealId);
+        return `
+            <div class="memory-fragment ${found ? 'found' : ''}">
+                <span class="memory-fragment-source">${found ? fragment.source : '???'}</span>
+                <span class="memory-fragment-text">${found ? fragment.text : '— NOT YET FOUND —'}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderInput() {
+    const { password, input } = memoryBoxState;
+    const cells = document.getElementById('memory-box-cells');
+    cells.innerHTML = Array.from(password).map((_, i) => `
+        <div class="memory-cell ${i === input.length ? 'cursor' : ''}">${input[i] || ''}</div>
+    `).join('');
+}
+
+function setStatus(text) {
+    const status = document.getElementById('memory-box-status');
+    if (status) status.textContent = text;
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleMemoryBoxKeydown(event) {
+    if (!memoryBoxState.isOpen) return false;
+
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        SoundManager.playBlip();
+        closeMemoryBox();
+        return true;
+    }
+
+    if (event.key === 'Backspace' || event.key === 'Delete') {
+        event.preventDefault();
+        deleteLetter();
+        return true;
+    }
+
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        submitKeyword();
+        return true;
+    }
+
+    if (/^[a-zA-Z]$/.test(event.key)) {
+        event.preventDefault();
+        typeLetter(event.key);
+        return true;
+    }
+
+    return false;
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createMemoryBoxHTML() {
+    if (document.getElementById('memory-box-overlay')) return;
+
+    const html = `
+        <div id="memory-box-overlay" class="hidden">
+            <div id="memory-box-panel">
+                <div id="memory-box-title">MEMORY BOX</div>
+                <div id="memory-box-subtitle">THREE PIECES. ONE KEY.</div>
+                <div id="memory-box-fragments"></div>
+                <div id="memory-box-cells"></div>
+                <div id="memory-box-status"></div>
+                <div id="memory-box-actions">
+                    <button id="memory-box-submit" class="memory-box-btn">[ SUBMIT ]</button>
+                    <button id="memory-box-close" class="memory-box-btn">[ CLOSE ]</button>
+                </div>
+                <div id="memory-box-keys">A-Z: Type | BACKSPACE: Delete | ENTER: Submit | ESC: Close</div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+    addMemoryBoxStyles();
+
+    document.getElementById('memory-box-submit').addEventListener('click', submitKeyword);
+    document.getElementById('memory-box-close').addEventListener('click', () => {
+        SoundManager.playBlip();
+        closeMemoryBox();
+    });
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addMemoryBoxStyles() {
+    if (document.getElementById('memory-box-styles')) return;
+
+    const styles = `
+        <style id="memory-box-styles">
+            #memory-box-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.88);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+                font-family: 'Press Start 2P', monospace;
+            }
+
+            #memory-box-overlay.hidden {
+                display: none;
+            }
+
+            #memory-box-panel {
+                background: linear-gradient(135deg, #120a1f 0%, #241536 50%, #0e0818 100%);
+                border: 3px solid #6a3d9a;
+                box-shadow: 0 0 40px rgba(140, 80, 220, 0.45), inset 0 0 20px rgba(0, 0, 0, 0.8);
+                padding: 26px;
+                width: 520px;
+                text-align: center;
+                transition: border-color 0.3s, box-shadow 0.3s;
+            }
+
+            #memory-box-panel.memory-box-solved {
+                border-color: #ffffff;
+                box-shadow: 0 0 60px rgba(220, 200, 255, 0.8);
+            }
+
+            #memory-box-panel.memory-box-wrong {
+                border-color: #ff2255;
+                animation: memoryBoxShake 0.4s;
+            }
+
+            @keyframes memoryBoxShake {
+                0%, 100% { transform: translateX(0); }
+                25% { transform: translateX(-8px); }
+                75% { transform: translateX(8px); }
+            }
+
+            #memory-box-title {
+                color: #d9b3ff;
+                font-size: 14px;
+                letter-spacing: 4px;
+                text-shadow: 0 0 12px #9955ff;
+                margin-bottom: 8px;
+            }
+
+            #memory-box-subtitle {
+                color: #7a5a99;
+                font-size: 7px;
+                margin-bottom: 18px;
+            }
+
+            #memory-box-fragments {
+                margin-bottom: 20px;
+            }
+
+            .memory-fragment {
+                display: flex;
+                justify-content: space-between;
+                padding: 8px 10px;
+                margin-bottom: 4px;
+                border: 1px solid #33224a;
+                font-size: 7px;
+                color: #4a3a5a;
+            }
+
+            .memory-fragment.found {
+                border-color: #6a3d9a;
+                color: #e6d6ff;
+            }
+
+            .memory-fragment-source {
+                color: #7a5a99;
+            }
+
+            #memory-box-cells {
+                display: flex;
+                justify-content: center;
+                gap: 6px;
+                margin-bottom: 14px;
+            }
+
+            .memory-cell {
+                width: 38px;
+                height: 46px;
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                background: rgba(0, 0, 0, 0.6);
+                border: 2px solid #4a2d6a;
+                color: #ffffff;
+                font-size: 18px;
+                text-shadow: 0 0 8px #bb88ff;
+            }
+
+            .memory-cell.cursor {
+                border-color: #d9b3ff;
+                animation: memoryCursorBlink 1s step-start infinite;
+            }
+
+            @keyframes memoryCursorBlink {
+                50% { border-color: #4a2d6a; }
+            }
+
+            #memory-box-status {
+                color: #ff6688;
+                font-size: 7px;
+                min-height: 14px;
+                margin-bottom: 12px;
+            }
+
+            #memory-box-panel.memory-box-solved #memory-box-status {
+                color: #ffffff;
+            }
+
+            #memory-box-actions {
+                display: flex;
+                gap: 10px;
+                justify-content: center;
+                margin-bottom: 10px;
+            }
+
+            .memory-box-btn {
+                background: #120a1f;
+                border: 2px solid #6a3d9a;
+                color: #d9b3ff;
+                padding: 8px 12px;
+                font-family: 'Press Start 2P', monospace;
+                font-size: 8px;
+                cursor: pointer;
+            }
+
+            .memory-box-btn:hover {
+                background: #2a1540;
+                border-color: #d9b3ff;
+            }
+
+            #memory-box-keys {
+                color: #666;
+                font-size: 6px;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
@@ -6,7 +6,8 @@
 // Also handles self-dialog triggers (proximity-based inner monologue)
 // =================================================================================
 
-import { STATE, ROOM_DATA } from './config.js';
+import { STATE, ROOM_DATA, getDifficultySettings } from './config.js';
+import { recordJournalEntry } from './journal.js';
 // =================================================================================
 // NARRATION STATE
 // =================================================================================
@@ -147,7 +148,11 @@ export const NARRATIONS = {
     memory_box_examine: "The final lock. Keywords are the key.",
     memory_fragment_pickup: "A memory resurfaces.",
     keyword_reveal: "SYNTH... EYE... AWAKE...",
-    game_complete: "The eye opens. You remember everything."
+    game_complete: "The eye opens. You remember everything.",
+
+    // Equipped items ({item} is replaced with the item name)
+    item_no_effect: "The {item} doesn't do anything here.",
+    item_wrong_room: "I don't think the {item} belongs in this room."
 };
 
 // =================================================================================
@@ -169,8 +174,11 @@ export function checkSelfDialogTriggers(playerPos) {
     const playerMesh = window.playerMesh;
     if (!playerMesh) return;
 
+    const { solutionDialog } = getDifficultySettings();
+
     for (const trigger of roomConfig.selfDialogTriggers) {
         if (trigger.triggered) continue; // Already triggered this session
+        if (trigger.spoiler && !solutionDialog) continue;
 
         // Calculate distance (ignore Y for floor-based triggers)
         const dx = trigger.pos.x - playerPos.x;
@@ -193,6 +201,12 @@ export function checkSelfDialogTriggers(playerPos) {
             if (Math.abs(angleDiff) < Math.PI / 2) {
                 trigger.triggered = true;
                 showNarration(trigger.dialog, 4000);
+                recordJournalEntry({
+                    id: `thought:${STATE.current_room}:${trigger.name}`,
+                    kind: 'dialog',
+                    title: 'A THOUGHT',
+                    text: trigger.dialog
+                });
                 console.log(`Self-dialog triggered: ${trigger.name}`);
                 break; // Only trigger one at a time
             }
@@ -3,9 +3,15 @@
 // =================================================================================
 // Provides a 4-digit combination lock UI with up/down arrow controls.
 // Used for locked objects that require a password to open.
+// Normally the lock opens as soon as the right code is dialed in. Difficulties
+// with a `padlockLockout` make the player submit each code (ENTER / TRY), and
+// too many wrong codes lock that padlock for a while.
 // =================================================================================
 
+import { STATE, getDifficultySettings } from './config.js';
 import { SoundManager } from './sound.js';
+import { resetMovement } from './movement.js';
+import { recordFailedAttempt } from './hints.js';
 
 // =================================================================================
 // PADLOCK STATE
@@ -15,9 +21,15 @@ let padlockState = {
     digits: [0, 0, 0, 0],      // Current digit values (0-9 each)
     correctCode: '0000',        // The correct combination
     onSuccess: null,            // Callback when solved
-    hotspotId: null             // ID of hotspot that opened this padlock
+    hotspotId: null,            // ID of hotspot that opened this padlock
+    solved: false,              // Set once the right code is dialed in
+    lockout: null               // { attempts, seconds } from DIFFICULTY_SETTINGS, or null
 };
 
+// hotspotId -> { wrong, until } - kept across openings so leaving doesn't reset a lockout
+const lockoutState = {};
+let lockoutTimer = null;
+
 // =================================================================================
 // OPEN PADLOCK UI
 // =================================================================================
@@ -33,9 +45,18 @@ export function openPadlock(correctCode, onSuccess, hotspotId = null) {
     padlockState.correctCode = correctCode.toString().padStart(4, '0');
     padlockState.onSuccess = onSuccess;
     padlockState.hotspotId = hotspotId;
+    padlockState.solved = false;
+    padlockState.lockout = getDifficultySettings().padlockLockout;
+
+    // Route keyboard input to the padlock instead of overworld controls
+    resetMovement();
+    STATE.interaction_mode = 'PUZZLE';
 
     renderPadlock();
     document.getElementById('padlock-overlay').classList.remove('hidden');
+    if (padlockState.lockout) {
+        lockoutTimer = setInterval(updateStatus, 250);
+    }
 
     console.log(`Padlock opened for: ${hotspotId}`);
 }
@@ -44,9 +65,18 @@ export function openPadlock(correctCode, onSuccess, hotspotId = null) {
 // CLOSE PADLOCK UI
 // =================================================================================
 export function closePadlock() {
+    // Walking away from an unsolved lock counts as a failed attempt for hints
+    if (padlockState.isOpen && !padlockState.solved) recordFailedAttempt();
+
     padlockState.isOpen = false;
     padlockState.onSuccess = null;
+    clearInterval(lockoutTimer);
+    lockoutTimer = null;
     document.getElementById('padlock-overlay').classList.add('hidden');
+
+    if (STATE.interaction_mode === 'PUZZLE') {
+        STATE.interaction_mode = 'OVERWORLD';
+    }
 }
 
 // =================================================================================
@@ -60,6 +90,8 @@ export function isPadlockOpen() {
 // CHANGE DIGIT VALUE
 // =================================================================================
 function changeDigit(index, direction) {
+    if (getLockoutRemaining() > 0) return;
+
     let newValue = padlockState.digits[index] + direction;
 
     // Wrap around 0-9
@@ -74,8 +106,8 @@ function changeDigit(index, direction) {
     // Update display
     updateDigitDisplay(index);
 
-    // Check if solved
-    checkSolution();
+    // Check if solved (codes are submitted by hand when lockouts are on)
+    if (!padlockState.lockout) checkSolution();
 }
 
 // =================================================================================
@@ -86,6 +118,9 @@ function checkSolution() {
 
     if (currentCode === padlockState.correctCode) {
         console.log('Padlock solved!');
+        padlockState.solved = true;
+        clearInterval(lockoutTimer);
+        lockoutTimer = null;
 
         // Visual feedback - green flash
         const container = document.getElementById('padlock-container');
@@ -103,7 +138,60 @@ function checkSolution() {
 
             closePadlock();
         }, 800);
+        return true;
+    }
+    return false;
+}
+
+// =================================================================================
+// SUBMIT CODE (lockout difficulties)
+// =================================================================================
+function submitCode() {
+    if (!padlockState.lockout || padlockState.solved || getLockoutRemaining() > 0) return;
+    if (checkSolution()) return;
+
+    const lock = getLockout();
+    lock.wrong++;
+    recordFailedAttempt();
+    SoundManager.playTone(110, 'sawtooth', 0.3, 0.1);
+    console.log(`Padlock wrong code (${lock.wrong}/${padlockState.lockout.attempts})`);
+
+    if (lock.wrong >= padlockState.lockout.attempts) {
+        lock.wrong = 0;
+        lock.until = Date.now() + padlockState.lockout.seconds * 1000;
+        console.log(`Padlock locked out: ${padlockState.hotspotId}`);
     }
+
+    const container = document.getElementById('padlock-container');
+    container.classList.add('padlock-wrong');
+    setTimeout(() => container.classList.remove('padlock-wrong'), 400);
+    updateStatus();
+}
+
+function getLockout() {
+    const key = padlockState.hotspotId || padlockState.correctCode;
+    if (!lockoutState[key]) lockoutState[key] = { wrong: 0, until: 0 };
+    return lockoutState[key];
+}
+
+/**
+ * Seconds left on this padlock's lockout (0 when it can be used).
+ */
+function getLockoutRemaining() {
+    if (!padlockState.lockout) return 0;
+    return Math.max(0, Math.ceil((getLockout().until - Date.now()) / 1000));
+}
+
+function updateStatus() {
+    const status = document.getElementById('padlock-status');
+    if (!status) return;
+
+    const remaining = getLockoutRemaining();
+    const triesLeft = padlockState.lockout.attempts - getLockout().wrong;
+    status.textContent = remaining > 0
+        ? `JAMMED. TRY AGAIN IN ${remaining}S`
+        : `${triesLeft} ${triesLeft === 1 ? 'TRY' : 'TRIES'} BEFORE IT JAMS`;
+    status.classList.toggle('padlock-status-locked', remaining > 0);
 }
 
 // =================================================================================
@@ -142,10 +230,21 @@ function renderPadlock() {
 
     html += `
         </div>
+    `;
+
+    if (padlockState.lockout) {
+        html += `
+            <div class="padlock-status" id="padlock-status"></div>
+            <button class="padlock-close padlock-try" onclick="window.submitPadlockCode()">TRY</button>
+        `;
+    }
+
+    html += `
         <button class="padlock-close" onclick="window.closePadlockUI()">CANCEL</button>
     `;
 
     container.innerHTML = html;
+    if (padlockState.lockout) updateStatus();
 }
 
 // =================================================================================
@@ -154,6 +253,7 @@ function renderPadlock() {
 window.padlockDigitUp = (index) => changeDigit(index, 1);
 window.padlockDigitDown = (index) => changeDigit(index, -1);
 window.closePadlockUI = closePadlock;
+window.submitPadlockCode = submitCode;
 
 // =================================================================================
 // KEYBOARD CONTROLS
@@ -169,15 +269,23 @@ export function handlePadlockKeydown(event) {
         return true;
     }
 
+    // ENTER submits the code when lockouts are on
+    if (key === 'enter') {
+        submitCode();
+        return true;
+    }
+
     // Number keys to set digits quickly
     if (key >= '0' && key <= '9') {
+        if (getLockoutRemaining() > 0) return true;
+
         // Find first non-set digit or cycle through
         const num = parseInt(key);
         // Shift existing digits left and add new one
         padlockState.digits.shift();
         padlockState.digits.push(num);
         renderPadlock();
-        checkSolution();
+        if (!padlockState.lockout) checkSolution();
         return true;
     }
 
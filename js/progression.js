@@ -0,0 +1,219 @@
+// =================================================================================
+// --- PROGRESSION.JS - Clue & Milestone Tracker ---
+// =================================================================================
+// Records named clues (flashlight reveals, popups with a `clue`) and milestones
+// (solved puzzles) per room, computes completion across ROOM_ORDER, and fires
+// the secret unlocks listed in SECRETS whenever something new is recorded.
+// Also counts hints used (hints.js) for the ending screen.
+//
+// What counts for each room comes from its `progression` block in ROOM_DATA:
+//   progression: { clues: ['clue_2017'], milestones: ['statue_restored'] }
+// =================================================================================
+
+import { STATE, ROOM_DATA, ROOM_ORDER, SECRETS } from './config.js';
+import { checkConditions, runEffects } from './rules.js';
+import { emit } from './events.js';
+
+// =================================================================================
+// PROGRESSION STATE
+// =================================================================================
+let progressionState = {
+    clues: {},              // roomKey -> Set of clue names
+    milestones: {},         // roomKey -> Set of milestone names
+    hints: {},              // roomKey -> { hotspotName: hints shown }
+    secrets: new Set()      // IDs of SECRETS already unlocked
+};
+
+// =================================================================================
+// RECORD
+// =================================================================================
+/**
+ * Record a clue as found.
+ * @param {string} name - Clue name (a reveal ID or a popup's `clue`)
+ * @param {string} roomKey - Room it was found in (defaults to current room)
+ * @returns {boolean} True if this is the first time it was found
+ */
+export function recordClue(name, roomKey = STATE.current_room) {
+    return record(progressionState.clues, name, roomKey, 'Clue');
+}
+
+/**
+ * Record a milestone (usually a solved puzzle).
+ * @param {string} name - Milestone name from the room's progression block
+ * @param {string} roomKey - Room it belongs to (defaults to current room)
+ * @returns {boolean} True if newly recorded
+ */
+export function recordMilestone(name, roomKey = STATE.current_room) {
+    const isNew = record(progressionState.milestones, name, roomKey, 'Milestone');
+    if (isNew) emit('puzzleSolved', { name, roomKey });
+    return isNew;
+}
+
+/**
+ * Count a hint shown for a hotspot.
+ * @param {string} hotspotName - Hotspot the hint was for
+ * @param {string} roomKey - Room it is in (defaults to current room)
+ * @returns {number} Hints shown for that hotspot so far
+ */
+export function recordHintUsed(hotspotName, roomKey = STATE.current_room) {
+    if (!progressionState.hints[roomKey]) progressionState.hints[roomKey] = {};
+    const used = (progressionState.hints[roomKey][hotspotName] || 0) + 1;
+    progressionState.hints[roomKey][hotspotName] = used;
+    console.log(`Hint used: ${hotspotName} (${roomKey}) #${used}`);
+    return used;
+}
+
+function record(store, name, roomKey, label) {
+    if (!store[roomKey]) store[roomKey] = new Set();
+    if (store[roomKey].has(name)) return false;
+
+    store[roomKey].add(name);
+    console.log(`${label} recorded: ${name} (${roomKey})`);
+    checkSecrets();
+    return true;
+}
+
+// =================================================================================
+// QUERIES
+// =================================================================================
+/**
+ * @param {string} name - Clue name
+ * @param {string} roomKey - Limit to one room (omit for any room)
+ */
+export function hasClue(name, roomKey = null) {
+    return has(progressionState.clues, name, roomKey);
+}
+
+/**
+ * @param {string} name - Milestone name
+ * @param {string} roomKey - Limit to one room (omit for any room)
+ */
+export function hasMilestone(name, roomKey = null) {
+    return has(progressionState.milestones, name, roomKey);
+}
+
+function has(store, name, roomKey) {
+    if (roomKey) return !!store[roomKey]?.has(name);
+    return Object.values(store).some(names => names.has(name));
+}
+
+/**
+ * Found / total clues and milestones for one room.
+ * @param {string} roomKey
+ * @returns {{clues: {found: string[], total: number}, milestones: {found: string[], total: number}, complete: boolean}}
+ */
+export function getRoomProgress(roomKey) {
+    const { clues = [], milestones = [] } = ROOM_DATA[roomKey]?.progression || {};
+    const foundClues = clues.filter(name => hasClue(name, roomKey));
+    const foundMilestones = milestones.filter(name => hasMilestone(name, roomKey));
+
+    return {
+        clues: { found: foundClues, total: clues.length },
+        milestones: { found: foundMilestones, total: milestones.length },
+        complete: foundClues.length === clues.length && foundMilestones.length === milestones.length
+    };
+}
+
+/**
+ * Overall completion across ROOM_ORDER (clues and milestones weigh the same).
+ * @returns {{found: number, total: number, percent: number}}
+ */
+export function getCompletion() {
+    let found = 0;
+    let total = 0;
+    for (const roomKey of ROOM_ORDER) {
+        const progress = getRoomProgress(roomKey);
+        found += progress.clues.found.length + progress.milestones.found.length;
+        total += progress.clues.total + progress.milestones.total;
+    }
+    return { found, total, percent: total ? Math.round((found / total) * 100) : 0 };
+}
+
+/**
+ * True once every clue in ROOM_ORDER has been found.
+ */
+export function allCluesFound() {
+    return ROOM_ORDER.every(roomKey => {
+        const { clues } = getRoomProgress(roomKey);
+        return clues.found.length === clues.total;
+    });
+}
+
+/**
+ * @param {string} hotspotName
+ * @param {string} roomKey - Defaults to current room
+ * @returns {number} Hints already shown for the hotspot
+ */
+export function getHintLevel(hotspotName, roomKey = STATE.current_room) {
+    return progressionState.hints[roomKey]?.[hotspotName] || 0;
+}
+
+/**
+ * Total hints shown this game.
+ */
+export function getHintsUsed() {
+    return Object.values(progressionState.hints)
+        .reduce((total, byHotspot) => total + Object.values(byHotspot).reduce((a, b) => a + b, 0), 0);
+}
+
+export function isSecretUnlocked(id) {
+    return progressionState.secrets.has(id);
+}
+
+// =================================================================================
+// SECRETS
+// =================================================================================
+// Each SECRETS entry is { id, when, then } using the same conditions and
+// effects as hotspot rules (see rules.js). A secret fires once.
+// =================================================================================
+function checkSecrets() {
+    for (const secret of SECRETS) {
+        if (progressionState.secrets.has(secret.id)) continue;
+
+        const source = { name: secret.id };
+        if (checkConditions(secret.when, source)) {
+            progressionState.secrets.add(secret.id);
+            console.log(`Secret unlocked: ${secret.id}`);
+            runEffects(secret.then, source);
+        }
+    }
+}
+
+// =================================================================================
+// RESET / SAVE SUPPORT
+// =================================================================================
+export function resetProgression() {
+    progressionState.clues = {};
+    progressionState.milestones = {};
+    progressionState.hints = {};
+    progressionState.secrets = new Set();
+}
+
+/**
+ * Plain-JSON snapshot for save files.
+ * @returns {{clues: Object<string, string[]>, milestones: Object<string, string[]>, hints: Object<string, Object<string, number>>, secrets: string[]}}
+ */
+export function serializeProgression() {
+    const toArrays = store => Object.fromEntries(
+        Object.entries(store).map(([roomKey, names]) => [roomKey, [...names]])
+    );
+    return {
+        clues: toArrays(progressionState.clues),
+        milestones: toArrays(progressionState.milestones),
+        hints: JSON.parse(JSON.stringify(progressionState.hints)),
+        secrets: [...progressionState.secrets]
+    };
+}
+
+/**
+ * Restore from serializeProgression() output. Does not re-fire secrets.
+ */
+export function restoreProgression(data) {
+    const toSets = obj => Object.fromEntries(
+        Object.entries(obj || {}).map(([roomKey, names]) => [roomKey, new Set(names)])
+    );
+    progressionState.clues = toSets(data?.clues);
+    progressionState.milestones = toSets(data?.milestones);
+    progressionState.hints = JSON.parse(JSON.stringify(data?.hints || {}));
+    progressionState.secrets = new Set(data?.secrets || []);
+}
@@ -0,0 +1,79 @@
+// =================================================================================
+// --- ROOM-LOADER.JS - Room Definition Loader ---
+// =================================================================================
+// Fetches the per-room JSON files listed in ROOM_FILES (config.js) and fills
+// ROOM_DATA with them. Must finish before loadAllRooms() or anything else that
+// reads ROOM_DATA.
+//
+// The JSON holds plain data only: positions are [x, y, z] arrays and colors are
+// "#rrggbb" strings. The array positions below are turned into THREE.Vector3
+// here, so gameplay code sees the same room objects as before.
+// =================================================================================
+
+import * as THREE from 'three';
+import { ROOM_DATA, ROOM_FILES } from './config.js';
+
+// =================================================================================
+// LOAD ROOMS
+// =================================================================================
+/**
+ * Load every room file into ROOM_DATA, in ROOM_FILES order.
+ * Rejects with the file name if any room fails to load or parse.
+ */
+export async function loadRoomData() {
+    const entries = Object.entries(ROOM_FILES);
+    const rooms = await Promise.all(entries.map(([key, path]) => fetchRoom(key, path)));
+
+    entries.forEach(([key], i) => {
+        ROOM_DATA[key] = rooms[i];
+    });
+    console.log(`Room data loaded: ${entries.length} rooms`);
+}
+
+async function fetchRoom(key, path) {
+    let response;
+    try {
+        response = await fetch(path);
+    } catch (error) {
+        throw new Error(`${key}: could not fetch ${path} (${error.message})`);
+    }
+    if (!response.ok) {
+        throw new Error(`${key}: could not fetch ${path} (HTTP ${response.status})`);
+    }
+
+    let json;
+    try {
+        json = await response.json();
+    } catch (error) {
+        throw new Error(`${key}: ${path} is not valid JSON (${error.message})`);
+    }
+    return buildRoom(json);
+}
+
+// =================================================================================
+// JSON -> ROOM CONFIG
+// =================================================================================
+function toVector(value) {
+    return Array.isArray(value) ? new THREE.Vector3(value[0], value[1], value[2]) : value;
+}
+
+/**
+ * Turn a room's JSON into the runtime config: vector fields become
+ * THREE.Vector3 and the runtime-only group/colliders are added.
+ */
+function buildRoom(json) {
+    return {
+        ...json,
+        spawn: toVector(json.spawn),
+        hotspots: (json.hotspots || []).map(h => ({
+            ...h,
+            pos: toVector(h.pos),
+            ...(h.target_spawn && { target_spawn: toVector(h.target_spawn) })
+        })),
+        // Saves track spawns by id, which defaults to the item ID
+        itemSpawns: (json.itemSpawns || []).map(s => ({ ...s, id: s.id || s.itemId, pos: toVector(s.pos) })),
+        selfDialogTriggers: (json.selfDialogTriggers || []).map(t => ({ ...t, pos: toVector(t.pos) })),
+        group: null,
+        colliders: []
+    };
+}
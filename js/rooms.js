@@ -5,13 +5,14 @@
 // =================================================================================
 
 import * as THREE from 'three';
-import { STATE, ROOM_DATA } from './config.js';
+import { STATE, ROOM_DATA, getDifficultySettings } from './config.js';
 import { scene, camera, playerMesh, targetMarkerMesh } from './three-init.js';
 import { registerRevealable, clearRevealables } from './flashlight.js';
 import { resetMovement } from './movement.js';
 import { activateRoomVideos, deactivateAllVideos } from './video-manager.js';
 import { initCameraForRoom, resetCameraZones } from './camera-zones.js';
 import { resetSelfDialogTriggers } from './narration.js';
+import { emit } from './events.js';
 
 // =================================================================================
 // EXPORTED ROOM STATE
@@ -40,61 +41,69 @@ export function loadAllRooms() {
         roomConfig.colliders = [];
 
         // Build geometry from config
-        roomConfig.geometry.forEach(g => {
-            const geo = new THREE.BoxGeometry(g.dim[0], g.dim[1], g.dim[2]);
-            const mat = new THREE.MeshLambertMaterial({ color: g.color, side: THREE.DoubleSide });
-            const mesh = new THREE.Mesh(geo, mat);
-            mesh.name = g.name;
-            mesh.position.set(g.pos[0], g.pos[1], g.pos[2]);
-
-            // Enable shadows - floor receives, objects cast and receive
-            if (g.name === 'floor') {
-                mesh.receiveShadow = true;
-            } else {
-                mesh.castShadow = true;
-                mesh.receiveShadow = true;
-            }
+        roomConfig.geometry.forEach(g => addGeometryBox(roomConfig, g));
 
-            roomConfig.group.add(mesh);
+        console.log(`Room ${key}: Created ${roomConfig.group.children.length} objects`);
 
-            if (g.collider) {
-                roomConfig.colliders.push({
-                    pos: mesh.position,
-                    dim: new THREE.Vector3(g.dim[0], g.dim[1], g.dim[2])
-                });
-            }
-            if (g.hotspot) {
-                mesh.userData.hotspot = g.hotspot;
-                mesh.userData.isMeshHotspot = true;
-            }
+        // Hotspots have no meshes - the debug menu's hotspot rings (debug/HotspotEditor.js) show them
+    }
+    console.log('loadAllRooms complete');
+}
 
-            // Store revealable info for flashlight system
-            if (g.requiresFlashlight) {
-                mesh.userData.requiresFlashlight = true;
-                mesh.userData.revealId = g.revealId || g.name;
-            }
-        });
+/**
+ * Build one geometry box from its config entry and add it to the room's group
+ * (and colliders). The mesh keeps its entry in userData.geometry, and its
+ * collider in userData.collider, so the room editor can change them live.
+ * @returns {THREE.Mesh}
+ */
+export function addGeometryBox(roomConfig, g) {
+    const geo = new THREE.BoxGeometry(g.dim[0], g.dim[1], g.dim[2]);
+    const mat = new THREE.MeshLambertMaterial({ color: g.color, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.name = g.name;
+    mesh.position.set(g.pos[0], g.pos[1], g.pos[2]);
+    mesh.userData.geometry = g;
+
+    // Enable shadows - floor receives, objects cast and receive
+    if (g.name === 'floor') {
+        mesh.receiveShadow = true;
+    } else {
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+    }
 
-        console.log(`Room ${key}: Created ${roomConfig.group.children.length} objects`);
+    roomConfig.group.add(mesh);
 
-        // Store hotspot data without creating visual markers
-        // (Hotspot visualization removed - use console logs instead)
-        roomConfig.hotspots.forEach(h => {
-            // Just store the hotspot references, no visual cylinders
-        });
+    if (g.collider) {
+        mesh.userData.collider = {
+            pos: mesh.position,
+            dim: new THREE.Vector3(g.dim[0], g.dim[1], g.dim[2])
+        };
+        roomConfig.colliders.push(mesh.userData.collider);
     }
-    console.log('loadAllRooms complete');
+    if (g.hotspot) {
+        mesh.userData.hotspot = g.hotspot;
+        mesh.userData.isMeshHotspot = true;
+    }
+
+    // Store revealable info for flashlight system
+    if (g.requiresFlashlight) {
+        mesh.userData.requiresFlashlight = true;
+        mesh.userData.revealId = g.revealId || g.name;
+    }
+    return mesh;
 }
 
 // =================================================================================
 // SET ACTIVE ROOM
 // =================================================================================
 // Switches to a new room, updates camera, and spawns player
-// @param roomKey - Key from ROOM_DATA (e.g., 'ROOM_HALL')
+// @param roomKey - Key from ROOM_DATA (e.g., 'ROOM_CONCERT')
 // @param spawnPoint - Optional THREE.Vector3 for player spawn position
 // =================================================================================
 export function setRoom(roomKey, spawnPoint = null) {
     console.log(`setRoom called: ${roomKey}`);
+    const fromRoom = STATE.current_room;
     if (currentRoomGroup) scene.remove(currentRoomGroup);
 
     // Clear revealables from previous room
@@ -157,12 +166,14 @@ export function setRoom(roomKey, spawnPoint = null) {
 
     // Reset self-dialog triggers so they can fire again
     resetSelfDialogTriggers(roomKey);
+
+    emit('roomEntered', { roomKey, fromRoom });
 }
 
 // =================================================================================
 // SPAWN ROOM ITEMS
 // =================================================================================
-// Called once per room to spawn pickup items that haven't been collected yet
+// Called on room entry to spawn pickup items that haven't been collected yet
 // Import spawnDroppedItem dynamically to avoid circular dependency
 // =================================================================================
 export function spawnRoomItems(roomKey) {
@@ -173,10 +184,12 @@ export function spawnRoomItems(roomKey) {
     import('./interactions.js').then(module => {
         import('./inventory.js').then(inv => {
             for (const spawn of roomConfig.itemSpawns) {
-                // Only spawn if player doesn't already have the item
-                if (!inv.hasItem(spawn.itemId)) {
-                    module.spawnDroppedItem(spawn.itemId, spawn.pos);
-                }
+                // Skip items already collected, owned, or still lying in the room
+                if (spawn.collected || inv.hasItem(spawn.itemId)) continue;
+                if (module.isItemDroppedInRoom(spawn.itemId, roomKey)) continue;
+                // Battery pickups only exist when the flashlight runs on a battery
+                if (inv.ITEM_DATA[spawn.itemId]?.batteryCharge && !getDifficultySettings().flashlightBattery) continue;
+                module.spawnDroppedItem(spawn.itemId, spawn.pos, spawn, roomKey);
             }
         });
     });
@@ -0,0 +1,218 @@
+// =================================================================================
+// --- RULES.JS - Declarative Puzzle Rules Engine ---
+// =================================================================================
+// Lets a hotspot describe its puzzle in ROOM_DATA instead of a hand-written
+// handler. A hotspot with a `rules` array is resolved top to bottom: the first
+// rule whose `when` conditions all hold has its `then` effects run in order.
+//
+//   rules: [
+//       { when: { hasItems: ['a', 'b'] }, then: [{ type: 'removeItems', items: ['a', 'b'] }, ...] },
+//       { then: [{ type: 'narration', text: 'Nothing happens.' }] }   // no `when` = fallback
+//   ]
+//
+// CONDITIONS (all optional, all must pass):
+//   hasItems: [ids]          player owns every item
+//   hasAnyItem: [ids]        player owns at least one item
+//   lacksItems: [ids]        player owns none of the items
+//   flags: [names]           every flag in STATE.flags is set
+//   notFlags: [names]        no flag in the list is set
+//   revealed: [revealIds]    flashlight clues uncovered (any room)
+//   solved: bool             this hotspot has (not) been solved
+//   hotspotsSolved: [names]  other hotspots in this room are solved (e.g. a padlock)
+//   puzzleCompleted: bool    this room's puzzleCompleted flag
+//   clues: [names]           progression clues found (any room)
+//   milestones: [names]      progression milestones reached (any room)
+//   allClues: bool           every clue in ROOM_ORDER found
+//   completion: number       overall completion is at least this percent
+//
+// EFFECTS ({ type, ...params }):
+//   removeItems {items}  addItems {items}  spawnReward {item, pos?}
+//   unlockDoor {door, room?}  setFlag {flag, value?}  narration {key | text, duration?}
+//   popup {contentId | title + text}  sound {sound}  setPrompt {prompt}
+//   solve {}  completePuzzle {room?}  openPadlock {code, onSolve: [effects]}
+//   clue {name}  milestone {name}
+//
+// ITEM USE: a hotspot can also list what happens when an equipped item is used
+// on it. Entries are matched top to bottom on item ID plus optional conditions:
+//
+//   useItems: [
+//       { item: 'backstage_key', when: { ... }, then: [...effects] }
+//   ]
+// =================================================================================
+
+import * as THREE from 'three';
+import { STATE, ROOM_DATA } from './config.js';
+import { SoundManager } from './sound.js';
+import { addItem, removeItem, hasItem } from './inventory.js';
+import { isRevealed } from './flashlight.js';
+import { openPadlock } from './padlock.js';
+import { showNarration, NARRATIONS } from './narration.js';
+import { openPopup } from './utils.js';
+import { spawnDroppedItem, unlockDoor } from './interactions.js';
+import { recordClue, recordMilestone, hasClue, hasMilestone, allCluesFound, getCompletion } from './progression.js';
+
+// =================================================================================
+// RUN HOTSPOT RULES
+// =================================================================================
+/**
+ * Resolve a hotspot's rules and run the first matching rule's effects.
+ * @param {Object} hotspot - Hotspot with a `rules` array
+ * @returns {boolean} True if a rule matched
+ */
+export function runHotspotRules(hotspot) {
+    const rule = hotspot.rules.find(r => checkConditions(r.when, hotspot));
+    if (!rule) {
+        console.log(`No rule matched for: ${hotspot.name}`);
+        return false;
+    }
+
+    runEffects(rule.then, hotspot);
+    return true;
+}
+
+/**
+ * Run the first `useItems` entry on the hotspot that matches the item.
+ * @param {Object} hotspot - Hotspot the item is used on
+ * @param {string} itemId - Equipped item ID
+ * @returns {boolean} True if an entry matched
+ */
+export function runItemUse(hotspot, itemId) {
+    const use = hotspot.useItems?.find(u => u.item === itemId && checkConditions(u.when, hotspot));
+    if (!use) return false;
+
+    console.log(`Used ${itemId} on ${hotspot.name}`);
+    runEffects(use.then, hotspot);
+    return true;
+}
+
+// =================================================================================
+// CONDITIONS
+// =================================================================================
+/**
+ * Check a rule's `when` block against the current game state.
+ * @param {Object} when - Condition block (missing = always true)
+ * @param {Object} hotspot - The hotspot the rule belongs to
+ * @param {string} roomKey - Room the hotspot is in (defaults to current room)
+ */
+export function checkConditions(when, hotspot, roomKey = STATE.current_room) {
+    if (!when) return true;
+
+    const room = ROOM_DATA[roomKey];
+
+    if (when.hasItems && !when.hasItems.every(id => hasItem(id))) return false;
+    if (when.hasAnyItem && !when.hasAnyItem.some(id => hasItem(id))) return false;
+    if (when.lacksItems && when.lacksItems.some(id => hasItem(id))) return false;
+    if (when.flags && !when.flags.every(flag => STATE.flags[flag])) return false;
+    if (when.notFlags && when.notFlags.some(flag => STATE.flags[flag])) return false;
+    if (when.revealed && !when.revealed.every(id => isRevealed(id))) return false;
+    if (when.solved !== undefined && !!hotspot.solved !== when.solved) return false;
+    if (when.hotspotsSolved && !when.hotspotsSolved.every(name =>
+        room.hotspots.find(h => h.name === name)?.solved)) return false;
+    if (when.puzzleCompleted !== undefined && !!room.puzzleCompleted !== when.puzzleCompleted) return false;
+    if (when.clues && !when.clues.every(name => hasClue(name))) return false;
+    if (when.milestones && !when.milestones.every(name => hasMilestone(name))) return false;
+    if (when.allClues !== undefined && allCluesFound() !== when.allClues) return false;
+    if (when.completion !== undefined && getCompletion().percent < when.completion) return false;
+
+    return true;
+}
+
+// =================================================================================
+// EFFECTS
+// =================================================================================
+/**
+ * Run a list of effects in order.
+ * @param {Object[]} effects - Effect list from a rule's `then`
+ * @param {Object} hotspot - The hotspot the rule belongs to
+ * @param {string} roomKey - Room the hotspot is in (defaults to current room)
+ */
+export function runEffects(effects = [], hotspot, roomKey = STATE.current_room) {
+    for (const effect of effects) {
+        const handler = EFFECT_HANDLERS[effect.type];
+        if (!handler) {
+            console.warn(`Unknown rule effect: ${effect.type} (hotspot: ${hotspot.name})`);
+            continue;
+        }
+        handler(effect, hotspot, roomKey);
+    }
+}
+
+const SOUNDS = {
+    blip: () => SoundManager.playBlip(),
+    select: () => SoundManager.playSelect(),
+    success: () => SoundManager.playSuccess(),
+    door: () => SoundManager.playDoor()
+};
+
+const EFFECT_HANDLERS = {
+    removeItems: (effect) => {
+        effect.items.forEach(id => removeItem(id));
+    },
+
+    addItems: (effect) => {
+        effect.items.forEach(id => addItem(id));
+    },
+
+    spawnReward: (effect, hotspot, roomKey) => {
+        const pos = new THREE.Vector3(
+            effect.pos?.x ?? STATE.player_pos.x + 1,
+            effect.pos?.y ?? 0.5,
+            effect.pos?.z ?? STATE.player_pos.z
+        );
+        spawnDroppedItem(effect.item, pos, null, roomKey);
+    },
+
+    unlockDoor: (effect, hotspot, roomKey) => {
+        unlockDoor(effect.room || roomKey, effect.door);
+    },
+
+    setFlag: (effect) => {
+        STATE.flags[effect.flag] = effect.value ?? true;
+    },
+
+    narration: (effect) => {
+        const text = effect.key ? NARRATIONS[effect.key] : effect.text;
+        showNarration(text, effect.duration);
+    },
+
+    popup: (effect) => {
+        if (effect.contentId) {
+            openPopup({ type: 'text', content_id: effect.contentId });
+        } else {
+            openPopup({ type: 'text', content_id: null, title: effect.title, text: effect.text });
+        }
+    },
+
+    sound: (effect) => {
+        SOUNDS[effect.sound]?.();
+    },
+
+    setPrompt: (effect, hotspot) => {
+        hotspot.prompt = effect.prompt;
+    },
+
+    solve: (effect, hotspot) => {
+        hotspot.solved = true;
+    },
+
+    completePuzzle: (effect, hotspot, roomKey) => {
+        ROOM_DATA[effect.room || roomKey].puzzleCompleted = true;
+    },
+
+    clue: (effect, hotspot, roomKey) => {
+        recordClue(effect.name, roomKey);
+    },
+
+    milestone: (effect, hotspot, roomKey) => {
+        recordMilestone(effect.name, roomKey);
+    },
+
+    openPadlock: (effect, hotspot, roomKey) => {
+        // Padlock success marks the hotspot solved, then runs its own effect list
+        openPadlock(effect.code, () => {
+            hotspot.solved = true;
+            runEffects(effect.onSolve, hotspot, roomKey);
+            console.log(`Padlock solved: ${hotspot.name}`);
+        }, hotspot.name);
+    }
+};
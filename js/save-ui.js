@@ -0,0 +1,327 @@
+// =================================================================================
+// --- SAVE-UI.JS - Save Slot Menu ---
+// =================================================================================
+// Drives the #save-slots-menu screen in index.html. Opened in 'load' mode from
+// the main menu (LOAD GAME) and in 'save' mode from the pause menu (SAVE GAME).
+// Also keeps the main menu's CONTINUE / LOAD GAME entries dimmed when there is
+// nothing to load, and handles EXPORT / IMPORT of .json save files from the
+// options menus.
+// =================================================================================
+
+import { STATE } from './config.js';
+import { SoundManager } from './sound.js';
+import { showMenu } from './utils.js';
+import {
+    getSlotSummaries,
+    saveGame,
+    setActiveSlot,
+    getActiveSlot,
+    getMostRecentSlot,
+    hasAnySave,
+    exportSaveJSON,
+    importSaveJSON
+} from './save.js';
+
+// =================================================================================
+// SAVE SLOTS STATE
+// =================================================================================
+let saveSlotsState = {
+    isOpen: false,
+    mode: 'load',           // 'load' | 'save'
+    selectedIndex: 0,
+    fromPause: false,       // Opened from the in-game pause menu
+    confirmSlot: null,      // Slot waiting for a second ENTER to overwrite
+    onLoad: null            // Called with the slot number to load
+};
+
+// =================================================================================
+// OPEN / CLOSE
+// =================================================================================
+/**
+ * Open the slot menu.
+ * @param {'load'|'save'} mode
+ * @param {Function} onLoad - Load mode only: called with the chosen slot
+ */
+export function openSaveSlots(mode, onLoad = null) {
+    saveSlotsState.isOpen = true;
+    saveSlotsState.mode = mode;
+    saveSlotsState.onLoad = onLoad;
+    saveSlotsState.confirmSlot = null;
+    saveSlotsState.fromPause = STATE.screen === 'menu-overlay';
+
+    // Start on the active slot when saving, the newest save when loading
+    const startSlot = mode === 'save' ? getActiveSlot() : getMostRecentSlot();
+    saveSlotsState.selectedIndex = Math.max(0, getSlotSummaries().findIndex(s => s.slot === startSlot));
+
+    document.getElementById('options-menu').classList.add('hidden');
+    document.getElementById('save-slots-title').textContent = mode === 'save' ? 'SAVE GAME' : 'LOAD GAME';
+    setStatus('');
+    renderSlots();
+    showMenu('save-slots-menu');
+}
+
+export function closeSaveSlots() {
+    saveSlotsState.isOpen = false;
+    saveSlotsState.onLoad = null;
+    document.getElementById('save-slots-menu').classList.add('hidden');
+
+    if (saveSlotsState.fromPause) {
+        // Back to the pause menu
+        showMenu('options-menu');
+    } else {
+        STATE.interaction_mode = 'MENU';
+        STATE.screen = 'main-menu';
+        refreshMainMenuSaveEntries();
+    }
+}
+
+export function isSaveSlotsOpen() {
+    return saveSlotsState.isOpen;
+}
+
+// =================================================================================
+// SLOT ACTIONS
+// =================================================================================
+function selectSlot(index) {
+    const summary = getSlotSummaries()[index];
+    if (!summary) return;
+
+    if (saveSlotsState.mode === 'save') {
+        writeSlot(summary);
+    } else {
+        readSlot(summary);
+    }
+}
+
+function writeSlot(summary) {
+    if (STATE.difficulty === 'testing') {
+        SoundManager.playBlip();
+        setStatus('THE TEST RANGE CANNOT BE SAVED.');
+        return;
+    }
+
+    // Overwriting a slot that isn't this game's needs a second ENTER
+    if (!summary.empty && summary.slot !== getActiveSlot() && saveSlotsState.confirmSlot !== summary.slot) {
+        saveSlotsState.confirmSlot = summary.slot;
+        SoundManager.playBlip();
+        setStatus(`SLOT ${summary.slot} IS IN USE. SELECT AGAIN TO OVERWRITE.`);
+        return;
+    }
+
+    saveSlotsState.confirmSlot = null;
+    if (saveGame(summary.slot)) {
+        setActiveSlot(summary.slot);
+        SoundManager.playSuccess();
+        setStatus(`SAVED TO SLOT ${summary.slot}.`);
+    } else {
+        SoundManager.playBlip();
+        setStatus('SAVE FAILED. STORAGE MAY BE FULL.');
+    }
+    renderSlots();
+}
+
+function readSlot(summary) {
+    if (summary.empty) {
+        SoundManager.playBlip();
+        setStatus('THIS SLOT IS EMPTY.');
+        return;
+    }
+    if (summary.outdated) {
+        SoundManager.playBlip();
+        setStatus('THIS SAVE IS FROM AN OLDER VERSION.');
+        return;
+    }
+
+    SoundManager.playSelect();
+    const onLoad = saveSlotsState.onLoad;
+    saveSlotsState.isOpen = false;
+    saveSlotsState.onLoad = null;
+    document.getElementById('save-slots-menu').classList.add('hidden');
+    if (onLoad) onLoad(summary.slot);
+}
+
+// =================================================================================
+// RENDER
+// =================================================================================
+function renderSlots() {
+    const list = document.getElementById('save-slot-list');
+    const activeSlot = getActiveSlot();
+
+    list.innerHTML = getSlotSummaries().map((summary, index) => {
+        const isSelected = index === saveSlotsState.selectedIndex;
+        let detail;
+        if (summary.empty) {
+            detail = '<span class="text-gray-500">— EMPTY —</span>';
+        } else if (summary.outdated) {
+            detail = '<span class="text-gray-500">OLD VERSION</span>';
+        } else {
+            const when = new Date(summary.savedAt).toLocaleString();
+            detail = `
+                <span>${summary.room.toUpperCase()}</span>
+                <span class="block text-xs text-gray-400">${summary.items} ITEMS · ${(summary.difficulty || '').toUpperCase()} · ${when}</span>
+            `;
+        }
+        return `
+            <div class="menu-item ${isSelected ? 'selected' : ''}" data-index="${index}">
+                <span class="selection-arrow mr-4" style="visibility: ${isSelected ? 'visible' : 'hidden'};">►</span>
+                <span class="font-mono text-yellow-400 mr-3">SLOT ${summary.slot}${summary.slot === activeSlot ? '*' : ''}</span>
+                <span class="inline-block align-top">${detail}</span>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.menu-item').forEach(row => {
+        row.addEventListener('click', () => {
+            saveSlotsState.selectedIndex = parseInt(row.dataset.index);
+            renderSlots();
+            selectSlot(saveSlotsState.selectedIndex);
+        });
+    });
+}
+
+function setStatus(text) {
+    const status = document.getElementById('save-slots-status');
+    if (status) status.textContent = text;
+}
+
+// =================================================================================
+// MAIN MENU ENTRIES
+// =================================================================================
+/**
+ * Dim CONTINUE / LOAD GAME when there is no loadable save.
+ */
+export function refreshMainMenuSaveEntries() {
+    const available = hasAnySave();
+    document.querySelectorAll('#menu-options [data-action="continue"], #menu-options [data-action="load"]')
+        .forEach(item => item.classList.toggle('opacity-50', !available));
+}
+
+// =================================================================================
+// SAVE FILE EXPORT / IMPORT
+// =================================================================================
+const MAX_SHOWN_ERRORS = 3;
+
+// Status line of whichever options menu started the import
+let importStatusId = null;
+
+function exportSaveFile() {
+    if (STATE.difficulty === 'testing') {
+        SoundManager.playBlip();
+        setFileStatus('save-file-status', 'THE TEST RANGE CANNOT BE EXPORTED.');
+        return;
+    }
+
+    const blob = new Blob([exportSaveJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `syntheye-${STATE.current_room.toLowerCase()}-${stamp}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    SoundManager.playSuccess();
+    setFileStatus('save-file-status', 'SAVE FILE EXPORTED.');
+}
+
+function handleImportFile(file, onImported) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const result = importSaveJSON(reader.result);
+        if (result.ok) {
+            SoundManager.playSuccess();
+            setFileStatus(importStatusId, '');
+            onImported();
+            return;
+        }
+
+        console.warn(`Save file rejected (${file.name}):`, result.errors);
+        SoundManager.playBlip();
+        const shown = result.errors.slice(0, MAX_SHOWN_ERRORS);
+        const more = result.errors.length - shown.length;
+        setFileStatus(importStatusId, ['IMPORT FAILED:', ...shown, more > 0 ? `(+${more} MORE, SEE CONSOLE)` : '']
+            .filter(Boolean).join('\n'));
+    };
+    reader.onerror = () => {
+        SoundManager.playBlip();
+        setFileStatus(importStatusId, 'IMPORT FAILED: COULD NOT READ FILE.');
+    };
+    reader.readAsText(file);
+}
+
+function setFileStatus(id, text) {
+    const status = id && document.getElementById(id);
+    if (status) status.textContent = text;
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleSaveSlotsKeydown(event) {
+    if (!saveSlotsState.isOpen) return false;
+
+    const slotCount = getSlotSummaries().length;
+
+    switch (event.key) {
+        case 'ArrowUp':
+        case 'w':
+            event.preventDefault();
+            saveSlotsState.selectedIndex = (saveSlotsState.selectedIndex - 1 + slotCount) % slotCount;
+            saveSlotsState.confirmSlot = null;
+            SoundManager.playBlip();
+            renderSlots();
+            break;
+        case 'ArrowDown':
+        case 's':
+            event.preventDefault();
+            saveSlotsState.selectedIndex = (saveSlotsState.selectedIndex + 1) % slotCount;
+            saveSlotsState.confirmSlot = null;
+            SoundManager.playBlip();
+            renderSlots();
+            break;
+        case 'Enter':
+        case ' ':
+            event.preventDefault();
+            selectSlot(saveSlotsState.selectedIndex);
+            break;
+        case 'Escape':
+        case 'b':
+            event.preventDefault();
+            SoundManager.playBlip();
+            closeSaveSlots();
+            break;
+    }
+    return true;
+}
+
+// =================================================================================
+// INITIALIZATION
+// =================================================================================
+/**
+ * Wire up the slot menu and save file buttons.
+ * @param {Function} onImported - Called after a save file has been applied
+ */
+export function initSaveSlotsUI(onImported) {
+    document.getElementById('btn-back-save-slots')?.addEventListener('click', () => {
+        SoundManager.playBlip();
+        closeSaveSlots();
+    });
+
+    document.getElementById('btn-export-save')?.addEventListener('click', exportSaveFile);
+
+    const fileInput = document.getElementById('save-import-input');
+    const openPicker = (statusId) => {
+        SoundManager.playBlip();
+        importStatusId = statusId;
+        fileInput.value = '';
+        fileInput.click();
+    };
+    document.getElementById('btn-import-save')?.addEventListener('click', () => openPicker('save-file-status'));
+    document.getElementById('mm-btn-import-save')?.addEventListener('click', () => openPicker('mm-save-file-status'));
+
+    fileInput?.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) handleImportFile(file, onImported);
+    });
+}
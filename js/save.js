@@ -0,0 +1,583 @@
+// =================================================================================
+// --- SAVE.JS - Save / Load System ---
+// =================================================================================
+// Serializes game progression (inventory, door and puzzle state, collected item
+// spawns, items left lying in rooms, flashlight clues, revealed video screens,
+// story flags, clues and milestones from progression.js, journal entries and
+// flashlight battery use) into versioned JSON stored in localStorage. Three
+// slots; the active slot is autosaved on every room transition.
+//
+// Only progression is saved - room geometry and hotspot definitions always come
+// from ROOM_DATA, so a save only records what has changed from the defaults.
+// =================================================================================
+
+import { STATE, ROOM_DATA, DIFFICULTY_SETTINGS } from './config.js';
+import { inventoryState, restoreInventory, ITEM_DATA, MAX_SLOTS } from './inventory.js';
+import { getRevealedIds, restoreRevealedIds, resetFlashlightBattery, getBatteryUsed, restoreFlashlightBattery } from './flashlight.js';
+import { getRevealedVideoScreenIds, restoreVideoScreens, getVideoScreen } from './video-manager.js';
+import { clearDroppedItems, serializeDroppedItems, restoreDroppedItems } from './interactions.js';
+import { serializeProgression, restoreProgression, resetProgression } from './progression.js';
+import { serializeJournal, restoreJournal, resetJournal } from './journal.js';
+import { resetHints } from './hints.js';
+
+// =================================================================================
+// CONSTANTS
+// =================================================================================
+export const SAVE_VERSION = 1;
+export const SAVE_SLOT_COUNT = 3;
+const DIFFICULTIES = Object.keys(DIFFICULTY_SETTINGS);
+const STORAGE_PREFIX = 'syntheye_save_slot_';
+
+// Slot that autosave and SAVE GAME write to (set by new game / load)
+let activeSlot = null;
+
+// =================================================================================
+// DEFAULT PROGRESSION SNAPSHOT
+// =================================================================================
+// Captured once the room files have loaded, before any puzzle has touched
+// ROOM_DATA, so a new game or a load can put every room back to its starting
+// state first.
+// =================================================================================
+const defaults = {
+    current_room: STATE.current_room,
+    player_pos: STATE.player_pos.clone(),
+    rooms: {}
+};
+
+/**
+ * Record each room's starting progression. Call once, right after loadRoomData().
+ */
+export function captureRoomDefaults() {
+    for (const key in ROOM_DATA) {
+        const room = ROOM_DATA[key];
+        defaults.rooms[key] = {
+            puzzleCompleted: !!room.puzzleCompleted,
+            hotspots: room.hotspots.map(h => ({ locked: h.locked, solved: h.solved, prompt: h.prompt }))
+        };
+    }
+}
+
+/**
+ * A room's starting progression as captured by captureRoomDefaults():
+ * puzzleCompleted and {locked, solved, prompt} per hotspot, in ROOM_DATA order.
+ * @returns {Object|null}
+ */
+export function getRoomDefaults(roomKey) {
+    return defaults.rooms[roomKey] || null;
+}
+
+/**
+ * Put all progression back to a fresh game: empty inventory, rooms as
+ * configured, no clues, flags or collected spawns, and no active slot.
+ */
+export function resetProgress() {
+    STATE.flags = {};
+    STATE.current_room = defaults.current_room;
+    STATE.player_pos.copy(defaults.player_pos);
+
+    for (const key in ROOM_DATA) {
+        const room = ROOM_DATA[key];
+        const roomDefaults = defaults.rooms[key];
+        room.puzzleCompleted = roomDefaults.puzzleCompleted;
+        room.hotspots.forEach((hotspot, i) => {
+            Object.assign(hotspot, roomDefaults.hotspots[i]);
+        });
+        (room.itemSpawns || []).forEach(spawn => {
+            spawn.collected = false;
+        });
+    }
+
+    clearDroppedItems();
+    restoreInventory([], null);
+    restoreRevealedIds([]);
+    resetFlashlightBattery();
+    restoreVideoScreens([]);
+    resetProgression();
+    resetJournal();
+    resetHints();
+    activeSlot = null;
+
+    console.log('Progress reset to new game');
+}
+
+// =================================================================================
+// SERIALIZE
+// =================================================================================
+/**
+ * Build a save object from the current game state.
+ * @returns {Object} Versioned save data
+ */
+export function serializeGame() {
+    const rooms = {};
+    for (const key in ROOM_DATA) {
+        const room = ROOM_DATA[key];
+        const hotspots = {};
+        room.hotspots.forEach(h => {
+            hotspots[h.name] = { locked: h.locked, solved: h.solved, prompt: h.prompt };
+        });
+        rooms[key] = {
+            puzzleCompleted: !!room.puzzleCompleted,
+            hotspots,
+            collectedSpawns: (room.itemSpawns || []).filter(s => s.collected).map(s => s.id)
+        };
+    }
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        state: {
+            current_room: STATE.current_room,
+            player_pos: { x: STATE.player_pos.x, y: STATE.player_pos.y, z: STATE.player_pos.z },
+            difficulty: STATE.difficulty,
+            flags: { ...STATE.flags }
+        },
+        inventory: {
+            items: [...inventoryState.items],
+            activeItemId: inventoryState.activeItemId
+        },
+        rooms,
+        droppedItems: serializeDroppedItems(),
+        revealed: getRevealedIds(),
+        videoScreens: getRevealedVideoScreenIds(),
+        progression: serializeProgression(),
+        journal: serializeJournal(),
+        flashlightBattery: getBatteryUsed()
+    };
+}
+
+// =================================================================================
+// VALIDATE
+// =================================================================================
+// Checks a save object against the shape serializeGame() produces, and that
+// every item, room, hotspot and video screen it names exists in this build.
+// Save files are shared between testers, so errors name the exact field.
+// =================================================================================
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = value => Array.isArray(value) && value.every(v => typeof v === 'string');
+const isOptionalBoolean = value => value === undefined || typeof value === 'boolean';
+
+/**
+ * Validate save data.
+ * @param {*} data - Parsed save JSON
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateSave(data) {
+    if (!isObject(data)) return ['Save is not a JSON object'];
+    if (data.version !== SAVE_VERSION) {
+        return [`version: expected ${SAVE_VERSION}, got ${JSON.stringify(data.version)}`];
+    }
+
+    const errors = [];
+
+    // --- state ---
+    const { state } = data;
+    if (!isObject(state)) {
+        errors.push('state: missing');
+    } else {
+        if (!ROOM_DATA[state.current_room]) {
+            errors.push(`state.current_room: unknown room "${state.current_room}"`);
+        }
+        const pos = state.player_pos;
+        if (!isObject(pos) || !['x', 'y', 'z'].every(axis => Number.isFinite(pos[axis]))) {
+            errors.push('state.player_pos: expected {x, y, z} numbers');
+        }
+        if (!DIFFICULTIES.includes(state.difficulty)) {
+            errors.push(`state.difficulty: unknown difficulty "${state.difficulty}"`);
+        }
+        if (!isObject(state.flags)) {
+            errors.push('state.flags: expected an object');
+        }
+    }
+
+    // --- inventory ---
+    const { inventory } = data;
+    if (!isObject(inventory) || !isStringArray(inventory.items)) {
+        errors.push('inventory.items: expected an array of item IDs');
+    } else {
+        inventory.items.forEach((id, i) => {
+            if (!ITEM_DATA[id]) errors.push(`inventory.items[${i}]: unknown item "${id}"`);
+        });
+        if (new Set(inventory.items).size !== inventory.items.length) {
+            errors.push('inventory.items: contains duplicates');
+        }
+        if (inventory.items.length > MAX_SLOTS) {
+            errors.push(`inventory.items: ${inventory.items.length} items, max is ${MAX_SLOTS}`);
+        }
+        if (inventory.activeItemId != null && !inventory.items.includes(inventory.activeItemId)) {
+            errors.push(`inventory.activeItemId: "${inventory.activeItemId}" is not in inventory.items`);
+        }
+    }
+
+    // --- rooms ---
+    if (!isObject(data.rooms)) {
+        errors.push('rooms: expected an object keyed by room');
+    } else {
+        for (const key in data.rooms) {
+            errors.push(...validateRoom(key, data.rooms[key]));
+        }
+    }
+
+    // --- dropped items (optional: older saves have none) ---
+    if (data.droppedItems !== undefined) {
+        errors.push(...validateDroppedItems(data.droppedItems, inventory?.items));
+    }
+
+    // --- flashlight clues / video screens ---
+    if (!isStringArray(data.revealed)) {
+        errors.push('revealed: expected an array of reveal IDs');
+    }
+    if (!isStringArray(data.videoScreens)) {
+        errors.push('videoScreens: expected an array of screen IDs');
+    } else {
+        data.videoScreens.forEach((id, i) => {
+            if (!getVideoScreen(id)) errors.push(`videoScreens[${i}]: unknown video screen "${id}"`);
+        });
+    }
+
+    // --- progression (optional: saves from before it existed start empty) ---
+    if (data.progression !== undefined) {
+        errors.push(...validateProgression(data.progression));
+    }
+
+    // --- journal (optional, as above) ---
+    if (data.journal !== undefined) {
+        errors.push(...validateJournal(data.journal));
+    }
+
+    // --- flashlightBattery (optional, as above) ---
+    if (data.flashlightBattery !== undefined &&
+        !(Number.isFinite(data.flashlightBattery) && data.flashlightBattery >= 0)) {
+        errors.push('flashlightBattery: expected seconds used (number >= 0)');
+    }
+
+    return errors;
+}
+
+function validateProgression(progression) {
+    if (!isObject(progression)) return ['progression: expected an object'];
+
+    const errors = [];
+    for (const field of ['clues', 'milestones']) {
+        const byRoom = progression[field];
+        if (!isObject(byRoom)) {
+            errors.push(`progression.${field}: expected an object keyed by room`);
+            continue;
+        }
+        for (const key in byRoom) {
+            if (!ROOM_DATA[key]) {
+                errors.push(`progression.${field}.${key}: unknown room "${key}"`);
+            } else if (!isStringArray(byRoom[key])) {
+                errors.push(`progression.${field}.${key}: expected an array of names`);
+            }
+        }
+    }
+    if (progression.hints !== undefined) {
+        if (!isObject(progression.hints)) {
+            errors.push('progression.hints: expected an object keyed by room');
+        } else {
+            for (const key in progression.hints) {
+                const byHotspot = progression.hints[key];
+                if (!ROOM_DATA[key]) {
+                    errors.push(`progression.hints.${key}: unknown room "${key}"`);
+                } else if (!isObject(byHotspot) || !Object.values(byHotspot).every(n => Number.isInteger(n) && n >= 0)) {
+                    errors.push(`progression.hints.${key}: expected { hotspotName: count }`);
+                }
+            }
+        }
+    }
+    if (!isStringArray(progression.secrets)) {
+        errors.push('progression.secrets: expected an array of secret IDs');
+    }
+    return errors;
+}
+
+function validateDroppedItems(dropped, inventoryItems) {
+    if (!Array.isArray(dropped)) return ['droppedItems: expected an array'];
+
+    const errors = [];
+    const seen = new Set(Array.isArray(inventoryItems) ? inventoryItems : []);
+    dropped.forEach((entry, i) => {
+        const path = `droppedItems[${i}]`;
+        if (!isObject(entry)) {
+            errors.push(`${path}: expected {itemId, roomKey, pos}`);
+            return;
+        }
+        if (!ITEM_DATA[entry.itemId]) {
+            errors.push(`${path}.itemId: unknown item "${entry.itemId}"`);
+        } else if (seen.has(entry.itemId)) {
+            errors.push(`${path}.itemId: "${entry.itemId}" is already in the inventory or dropped elsewhere`);
+        }
+        seen.add(entry.itemId);
+        if (!ROOM_DATA[entry.roomKey]) {
+            errors.push(`${path}.roomKey: unknown room "${entry.roomKey}"`);
+        }
+        const pos = entry.pos;
+        if (!isObject(pos) || !['x', 'y', 'z'].every(axis => Number.isFinite(pos[axis]))) {
+            errors.push(`${path}.pos: expected {x, y, z} numbers`);
+        }
+    });
+    return errors;
+}
+
+const JOURNAL_KINDS = ['clue', 'document', 'dialog'];
+
+function validateJournal(journal) {
+    if (!Array.isArray(journal)) return ['journal: expected an array of entries'];
+
+    const errors = [];
+    journal.forEach((entry, i) => {
+        const path = `journal[${i}]`;
+        if (!isObject(entry) || !['id', 'title', 'text'].every(field => typeof entry[field] === 'string')) {
+            errors.push(`${path}: expected {id, kind, roomKey, title, text, read}`);
+            return;
+        }
+        if (!JOURNAL_KINDS.includes(entry.kind)) errors.push(`${path}.kind: unknown kind "${entry.kind}"`);
+        if (!ROOM_DATA[entry.roomKey]) errors.push(`${path}.roomKey: unknown room "${entry.roomKey}"`);
+        if (typeof entry.read !== 'boolean') errors.push(`${path}.read: expected true or false`);
+    });
+    return errors;
+}
+
+function validateRoom(key, saved) {
+    const path = `rooms.${key}`;
+    const room = ROOM_DATA[key];
+    if (!room) return [`${path}: unknown room "${key}"`];
+    if (!isObject(saved)) return [`${path}: expected an object`];
+
+    const errors = [];
+    if (typeof saved.puzzleCompleted !== 'boolean') {
+        errors.push(`${path}.puzzleCompleted: expected true or false`);
+    }
+
+    if (!isObject(saved.hotspots)) {
+        errors.push(`${path}.hotspots: expected an object keyed by hotspot name`);
+    } else {
+        for (const name in saved.hotspots) {
+            const hotspot = saved.hotspots[name];
+            if (!room.hotspots.some(h => h.name === name)) {
+                errors.push(`${path}.hotspots.${name}: no such hotspot in ${key}`);
+            } else if (!isObject(hotspot) || !isOptionalBoolean(hotspot.locked) ||
+                !isOptionalBoolean(hotspot.solved) || !['string', 'undefined'].includes(typeof hotspot.prompt)) {
+                errors.push(`${path}.hotspots.${name}: expected {locked?, solved?, prompt?}`);
+            }
+        }
+    }
+
+    if (!isStringArray(saved.collectedSpawns)) {
+        errors.push(`${path}.collectedSpawns: expected an array of spawn IDs`);
+    } else {
+        saved.collectedSpawns.forEach((id, i) => {
+            if (!(room.itemSpawns || []).some(s => s.id === id)) {
+                errors.push(`${path}.collectedSpawns[${i}]: "${id}" does not spawn in ${key}`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// =================================================================================
+// APPLY
+// =================================================================================
+/**
+ * Restore game state from a save object. Resets progression first so nothing
+ * from the current session leaks into the loaded game.
+ * @param {Object} data - Save data from serializeGame()
+ * @returns {boolean} True if applied
+ */
+export function applySave(data) {
+    const errors = validateSave(data);
+    if (errors.length > 0) {
+        console.warn('Save rejected:', errors);
+        return false;
+    }
+
+    resetProgress();
+
+    const { state } = data;
+    STATE.current_room = state.current_room;
+    STATE.player_pos.set(state.player_pos.x, state.player_pos.y, state.player_pos.z);
+    STATE.difficulty = state.difficulty;
+    STATE.flags = { ...state.flags };
+
+    for (const key in data.rooms) {
+        const room = ROOM_DATA[key];
+        const saved = data.rooms[key];
+        room.puzzleCompleted = saved.puzzleCompleted;
+
+        for (const hotspot of room.hotspots) {
+            const savedHotspot = saved.hotspots[hotspot.name];
+            if (savedHotspot) Object.assign(hotspot, savedHotspot);
+        }
+        (room.itemSpawns || []).forEach(spawn => {
+            spawn.collected = saved.collectedSpawns.includes(spawn.id);
+        });
+    }
+
+    restoreInventory(data.inventory.items, data.inventory.activeItemId);
+    restoreDroppedItems(data.droppedItems || []);
+    restoreRevealedIds(data.revealed);
+    restoreVideoScreens(data.videoScreens);
+    restoreProgression(data.progression);
+    restoreJournal(data.journal);
+    restoreFlashlightBattery(data.flashlightBattery);
+
+    console.log(`Save applied: ${STATE.current_room}, ${data.inventory.items.length} items`);
+    return true;
+}
+
+// =================================================================================
+// SLOT STORAGE
+// =================================================================================
+function slotKey(slot) {
+    return `${STORAGE_PREFIX}${slot}`;
+}
+
+function readSlot(slot) {
+    try {
+        const raw = localStorage.getItem(slotKey(slot));
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.warn(`Could not read save slot ${slot}:`, e);
+        return null;
+    }
+}
+
+/**
+ * Write the current game to a slot.
+ * @param {number} slot - Slot number (1-based)
+ * @returns {boolean} True if written
+ */
+export function saveGame(slot) {
+    try {
+        localStorage.setItem(slotKey(slot), JSON.stringify(serializeGame()));
+        console.log(`Game saved to slot ${slot}`);
+        return true;
+    } catch (e) {
+        console.warn(`Could not write save slot ${slot}:`, e);
+        return false;
+    }
+}
+
+/**
+ * Load a slot into the game and make it the active slot.
+ * @param {number} slot - Slot number (1-based)
+ * @returns {boolean} True if loaded
+ */
+export function loadGame(slot) {
+    const data = readSlot(slot);
+    if (!data || !applySave(data)) return false;
+
+    activeSlot = slot;
+    console.log(`Game loaded from slot ${slot}`);
+    return true;
+}
+
+export function deleteSave(slot) {
+    localStorage.removeItem(slotKey(slot));
+    if (activeSlot === slot) activeSlot = null;
+}
+
+/**
+ * Summary of every slot for the slot picker.
+ * @returns {Array<{slot: number, empty: boolean, savedAt?: number, room?: string, items?: number, difficulty?: string, outdated?: boolean}>}
+ */
+export function getSlotSummaries() {
+    const summaries = [];
+    for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+        const data = readSlot(slot);
+        if (!data) {
+            summaries.push({ slot, empty: true });
+            continue;
+        }
+        summaries.push({
+            slot,
+            empty: false,
+            outdated: data.version !== SAVE_VERSION,
+            savedAt: data.savedAt,
+            room: ROOM_DATA[data.state?.current_room]?.name || data.state?.current_room,
+            items: data.inventory?.items?.length || 0,
+            difficulty: data.state?.difficulty
+        });
+    }
+    return summaries;
+}
+
+/**
+ * Most recently written loadable slot, for CONTINUE.
+ * @returns {number|null}
+ */
+export function getMostRecentSlot() {
+    const loadable = getSlotSummaries().filter(s => !s.empty && !s.outdated);
+    if (loadable.length === 0) return null;
+    return loadable.reduce((a, b) => (b.savedAt > a.savedAt ? b : a)).slot;
+}
+
+export function hasAnySave() {
+    return getMostRecentSlot() !== null;
+}
+
+/**
+ * Slot a new game should write to: the first empty slot, otherwise the
+ * one saved longest ago.
+ * @returns {number}
+ */
+export function pickSlotForNewGame() {
+    const summaries = getSlotSummaries();
+    const empty = summaries.find(s => s.empty);
+    if (empty) return empty.slot;
+    return summaries.reduce((a, b) => ((b.savedAt || 0) < (a.savedAt || 0) ? b : a)).slot;
+}
+
+export function setActiveSlot(slot) {
+    activeSlot = slot;
+}
+
+export function getActiveSlot() {
+    return activeSlot;
+}
+
+// =================================================================================
+// SAVE FILES (export / import)
+// =================================================================================
+/**
+ * Current game as pretty-printed JSON, for a downloadable save file.
+ * @returns {string}
+ */
+export function exportSaveJSON() {
+    return JSON.stringify(serializeGame(), null, 2);
+}
+
+/**
+ * Parse, validate and apply a save file. Imported games are not tied to a
+ * slot, so they never autosave over a tester's own slots.
+ * @param {string} text - File contents
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+export function importSaveJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { ok: false, errors: [`Not valid JSON: ${e.message}`] };
+    }
+
+    const errors = validateSave(data);
+    if (errors.length > 0) return { ok: false, errors };
+
+    applySave(data);
+    console.log('Save file imported');
+    return { ok: true, errors: [] };
+}
+
+// =================================================================================
+// AUTOSAVE
+// =================================================================================
+/**
+ * Save to the active slot. Called on every room transition.
+ * The Test Range is a sandbox and never autosaves.
+ */
+export function autosave() {
+    if (activeSlot === null || STATE.difficulty === 'testing') return false;
+    return saveGame(activeSlot);
+}
@@ -0,0 +1,531 @@
+// =================================================================================
+// --- SLOT-PUZZLE.JS - Ordered Slot Puzzle System ---
+// =================================================================================
+// Generic overlay for puzzles where collected items must be loaded into a row
+// of slots in a specific order (projector reels, render shards, etc).
+// A wrong sequence ejects everything back to the tray; items are only consumed
+// by the caller once the puzzle reports success.
+// =================================================================================
+
+import { STATE } from './config.js';
+import { SoundManager } from './sound.js';
+import { ITEM_DATA, hasItem } from './inventory.js';
+import { resetMovement } from './movement.js';
+import { recordFailedAttempt } from './hints.js';
+
+// =================================================================================
+// SLOT PUZZLE STATE
+// =================================================================================
+let slotPuzzleState = {
+    isOpen: false,
+    config: null,           // Active puzzle config (see openSlotPuzzle)
+    slots: [],              // Item id loaded in each slot (null = empty)
+    trayIndex: 0,           // Keyboard cursor in the item tray
+    locked: false           // True while the success/failure animation plays
+};
+
+// =================================================================================
+// OPEN SLOT PUZZLE UI
+// =================================================================================
+/**
+ * Opens the slot puzzle overlay.
+ * @param {Object} config - Puzzle configuration
+ * @param {string} config.title - Panel title
+ * @param {string} config.hint - Short instruction shown under the title
+ * @param {string[]} config.items - Item ids that can be loaded (owned ones are usable)
+ * @param {string[]} config.solution - Item ids in the correct slot order
+ * @param {string[]} config.slotLabels - Optional label for each slot
+ * @param {string} config.actionLabel - Label for the run button (default 'RUN')
+ * @param {string} config.wrongMessage - Status text shown for a wrong order
+ * @param {Function} config.onSolve - Callback when the correct order is run
+ * @param {Function} config.onWrongOrder - Optional callback for a wrong order
+ * @param {string} config.hotspotId - Optional ID of the hotspot that opened this
+ */
+export function openSlotPuzzle(config) {
+    createSlotPuzzleHTML();
+
+    slotPuzzleState.isOpen = true;
+    slotPuzzleState.config = config;
+    slotPuzzleState.slots = config.solution.map(() => null);
+    slotPuzzleState.trayIndex = 0;
+    slotPuzzleState.locked = false;
+
+    // Stop walking - keyup events are not routed to movement while open
+    resetMovement();
+    STATE.interaction_mode = 'PUZZLE';
+
+    document.getElementById('slot-puzzle-title').textContent = config.title;
+    document.getElementById('slot-puzzle-hint').textContent = config.hint || '';
+    document.getElementById('slot-puzzle-run').textContent = `[ ${config.actionLabel || 'RUN'} ]`;
+    setStatus('');
+
+    renderSlotPuzzle();
+    document.getElementById('slot-puzzle-overlay').classList.remove('hidden');
+
+    console.log(`Slot puzzle opened for: ${config.hotspotId}`);
+}
+
+// =================================================================================
+// CLOSE SLOT PUZZLE UI
+// =================================================================================
+export function closeSlotPuzzle() {
+    slotPuzzleState.isOpen = false;
+    slotPuzzleState.config = null;
+    document.getElementById('slot-puzzle-overlay')?.classList.add('hidden');
+
+    if (STATE.interaction_mode === 'PUZZLE') {
+        STATE.interaction_mode = 'OVERWORLD';
+    }
+}
+
+// =================================================================================
+// CHECK IF SLOT PUZZLE IS OPEN
+// =================================================================================
+export function isSlotPuzzleOpen() {
+    return slotPuzzleState.isOpen;
+}
+
+// =================================================================================
+// SLOT OPERATIONS
+// =================================================================================
+function getTrayItems() {
+    return slotPuzzleState.config.items.filter(id =>
+        hasItem(id) && !slotPuzzleState.slots.includes(id)
+    );
+}
+
+function loadItem(itemId) {
+    if (slotPuzzleState.locked) return;
+
+    const emptyIndex = slotPuzzleState.slots.indexOf(null);
+    if (emptyIndex === -1) {
+        SoundManager.playBlip();
+        return;
+    }
+
+    slotPuzzleState.slots[emptyIndex] = itemId;
+    SoundManager.playSelect();
+    setStatus('');
+
+    // Keep the cursor inside the shrinking tray
+    const trayCount = getTrayItems().length;
+    slotPuzzleState.trayIndex = Math.min(slotPuzzleState.trayIndex, Math.max(0, trayCount - 1));
+
+    renderSlotPuzzle();
+}
+
+function ejectSlot(index) {
+    if (slotPuzzleState.locked || !slotPuzzleState.slots[index]) return;
+
+    slotPuzzleState.slots[index] = null;
+
+    // Close the gap so slots always fill left to right
+    const loaded = slotPuzzleState.slots.filter(Boolean);
+    slotPuzzleState.slots = slotPuzzleState.config.solution.map((_, i) => loaded[i] || null);
+
+    SoundManager.playBlip();
+    renderSlotPuzzle();
+}
+
+function ejectLast() {
+    const loaded = slotPuzzleState.slots.filter(Boolean);
+    if (loaded.length > 0) {
+        ejectSlot(loaded.length - 1);
+    }
+}
+
+function ejectAll() {
+    if (slotPuzzleState.locked) return;
+    slotPuzzleState.slots = slotPuzzleState.slots.map(() => null);
+    renderSlotPuzzle();
+}
+
+// =================================================================================
+// RUN SEQUENCE
+// =================================================================================
+function runSequence() {
+    if (slotPuzzleState.locked) return;
+
+    const { slots, config } = slotPuzzleState;
+
+    if (slots.includes(null)) {
+        SoundManager.playBlip();
+        const missing = config.items.filter(id => !hasItem(id) && !slots.includes(id));
+        setStatus(missing.length > 0
+            ? `MISSING: ${missing.map(id => ITEM_DATA[id]?.name || id).join(', ').toUpperCase()}`
+            : 'FILL EVERY SLOT FIRST.');
+        return;
+    }
+
+    const panel = document.getElementById('slot-puzzle-panel');
+    const isCorrect = slots.every((itemId, i) => itemId === config.solution[i]);
+    slotPuzzleState.locked = true;
+
+    if (isCorrect) {
+        panel.classList.add('slot-puzzle-solved');
+        setStatus(config.successMessage || 'SEQUENCE ACCEPTED.');
+        SoundManager.playSuccess();
+
+        setTimeout(() => {
+            panel.classList.remove('slot-puzzle-solved');
+            const onSolve = config.onSolve;
+            closeSlotPuzzle();
+            if (onSolve) onSolve(config.hotspotId);
+        }, 900);
+    } else {
+        panel.classList.add('slot-puzzle-wrong');
+        setStatus(config.wrongMessage || 'NOTHING HAPPENS. THE ORDER IS WRONG.');
+        SoundManager.playTone(110, 'sawtooth', 0.3, 0.1);
+        recordFailedAttempt();
+        if (config.onWrongOrder) config.onWrongOrder(config.hotspotId);
+
+        // Eject everything back to the tray
+        setTimeout(() => {
+            panel.classList.remove('slot-puzzle-wrong');
+            slotPuzzleState.locked = false;
+            if (slotPuzzleState.isOpen) ejectAll();
+        }, 900);
+    }
+}
+
+// =================================================================================
+// RENDER SLOT PUZZLE UI
+// =================================================================================
+function itemLabel(itemId) {
+    const item = ITEM_DATA[itemId];
+    if (!item) return itemId;
+    return item.mark ? `${item.icon} ${item.mark}` : item.icon;
+}
+
+function renderSlotPuzzle() {
+    const { config, slots, trayIndex } = slotPuzzleState;
+    if (!config) return;
+
+    const slotsEl = document.getElementById('slot-puzzle-slots');
+    slotsEl.innerHTML = slots.map((itemId, i) => `
+        <div class="slot-puzzle-slot ${itemId ? 'filled' : ''}" data-slot="${i}">
+            <div class="slot-puzzle-slot-label">${config.slotLabels?.[i] || i + 1}</div>
+            <div class="slot-puzzle-slot-item">${itemId ? itemLabel(itemId) : '—'}</div>
+        </div>
+    `).join('');
+
+    const trayItems = getTrayItems();
+    const trayEl = document.getElementById('slot-puzzle-tray');
+    if (trayItems.length === 0) {
+        trayEl.innerHTML = `<div class="slot-puzzle-empty">${slots.includes(null) ? 'NOTHING ELSE TO LOAD' : 'ALL SLOTS LOADED'}</div>`;
+    } else {
+        trayEl.innerHTML = trayItems.map((itemId, i) => `
+            <div class="slot-puzzle-item ${i === trayIndex ? 'selected' : ''}" data-item="${itemId}">
+                <div class="slot-puzzle-item-icon">${itemLabel(itemId)}</div>
+                <div class="slot-puzzle-item-name">${(ITEM_DATA[itemId]?.name || itemId).toUpperCase()}</div>
+            </div>
+        `).join('');
+    }
+}
+
+function setStatus(text) {
+    const status = document.getElementById('slot-puzzle-status');
+    if (status) status.textContent = text;
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleSlotPuzzleKeydown(event) {
+    if (!slotPuzzleState.isOpen) return false;
+
+    const trayCount = getTrayItems().length;
+
+    switch (event.key.toLowerCase()) {
+        case 'escape':
+            event.preventDefault();
+            SoundManager.playBlip();
+            closeSlotPuzzle();
+            return true;
+        case 'a':
+        case 'arrowleft':
+            event.preventDefault();
+            if (trayCount > 0) {
+                slotPuzzleState.trayIndex = (slotPuzzleState.trayIndex - 1 + trayCount) % trayCount;
+                SoundManager.playBlip();
+                renderSlotPuzzle();
+            }
+            return true;
+        case 'd':
+        case 'arrowright':
+            event.preventDefault();
+            if (trayCount > 0) {
+                slotPuzzleState.trayIndex = (slotPuzzleState.trayIndex + 1) % trayCount;
+                SoundManager.playBlip();
+                renderSlotPuzzle();
+            }
+            return true;
+        case 'e':
+        case ' ':
+            event.preventDefault();
+            if (trayCount > 0) {
+                loadItem(getTrayItems()[slotPuzzleState.trayIndex]);
+            }
+            return true;
+        case 'enter':
+            // Enter loads the selected item, or runs once every slot is full
+            event.preventDefault();
+            if (!slotPuzzleState.slots.includes(null) || trayCount === 0) {
+                runSequence();
+            } else {
+                loadItem(getTrayItems()[slotPuzzleState.trayIndex]);
+            }
+            return true;
+        case 'backspace':
+        case 'delete':
+            event.preventDefault();
+            ejectLast();
+            return true;
+    }
+
+    // Number keys eject a specific slot
+    const slotNumber = parseInt(event.key);
+    if (!isNaN(slotNumber) && slotNumber >= 1 && slotNumber <= slotPuzzleState.slots.length) {
+        ejectSlot(slotNumber - 1);
+        return true;
+    }
+
+    return false;
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createSlotPuzzleHTML() {
+    if (document.getElementById('slot-puzzle-overlay')) return;
+
+    const html = `
+        <div id="slot-puzzle-overlay" class="hidden">
+            <div id="slot-puzzle-panel">
+                <div id="slot-puzzle-title"></div>
+                <div id="slot-puzzle-hint"></div>
+                <div id="slot-puzzle-slots"></div>
+                <div id="slot-puzzle-tray"></div>
+                <div id="slot-puzzle-status"></div>
+                <div id="slot-puzzle-actions">
+                    <button id="slot-puzzle-run" class="slot-puzzle-btn">[ RUN ]</button>
+                    <button id="slot-puzzle-eject" class="slot-puzzle-btn">[ EJECT ALL ]</button>
+                    <button id="slot-puzzle-close" class="slot-puzzle-btn">[ CLOSE ]</button>
+                </div>
+                <div id="slot-puzzle-keys">A/D: Select | E: Load | BACKSPACE: Eject | ENTER: Run | ESC: Close</div>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+    addSlotPuzzleStyles();
+
+    // Click handling (event delegation - contents are re-rendered)
+    document.getElementById('slot-puzzle-tray').addEventListener('click', (e) => {
+        const item = e.target.closest('.slot-puzzle-item');
+        if (item) loadItem(item.dataset.item);
+    });
+    document.getElementById('slot-puzzle-slots').addEventListener('click', (e) => {
+        const slot = e.target.closest('.slot-puzzle-slot');
+        if (slot) ejectSlot(parseInt(slot.dataset.slot));
+    });
+    document.getElementById('slot-puzzle-run').addEventListener('click', runSequence);
+    document.getElementById('slot-puzzle-eject').addEventListener('click', () => {
+        SoundManager.playBlip();
+        ejectAll();
+    });
+    document.getElementById('slot-puzzle-close').addEventListener('click', () => {
+        SoundManager.playBlip();
+        closeSlotPuzzle();
+    });
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addSlotPuzzleStyles() {
+    if (document.getElementById('slot-puzzle-styles')) return;
+
+    const styles = `
+        <style id="slot-puzzle-styles">
+            #slot-puzzle-overlay {
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 1000;
+                font-family: 'Press Start 2P', monospace;
+            }
+
+            #slot-puzzle-overlay.hidden {
+                display: none;
+            }
+
+            #slot-puzzle-panel {
+                background: linear-gradient(135deg, #1a140a 0%, #2d2415 50%, #1a1408 100%);
+                border: 3px solid #8b6b00;
+                box-shadow: 0 0 30px rgba(139, 107, 0, 0.5), inset 0 0 20px rgba(0, 0, 0, 0.8);
+                padding: 24px;
+                min-width: 460px;
+                max-width: 560px;
+                text-align: center;
+                transition: border-color 0.2s, box-shadow 0.2s;
+            }
+
+            #slot-puzzle-panel.slot-puzzle-solved {
+                border-color: #00ff66;
+                box-shadow: 0 0 40px rgba(0, 255, 100, 0.6);
+            }
+
+            #slot-puzzle-panel.slot-puzzle-wrong {
+                border-color: #ff2222;
+                animation: slotPuzzleShake 0.4s;
+            }
+
+            @keyframes slotPuzzleShake {
+                0%, 100% { transform: translateX(0); }
+                25% { transform: translateX(-8px); }
+                75% { transform: translateX(8px); }
+            }
+
+            #slot-puzzle-title {
+                color: #ffcc44;
+                font-size: 14px;
+                letter-spacing: 4px;
+                text-shadow: 0 0 10px #ff9900;
+                margin-bottom: 10px;
+            }
+
+            #slot-puzzle-hint {
+                color: #998866;
+                font-size: 7px;
+                line-height: 1.8;
+                margin-bottom: 18px;
+            }
+
+            #slot-puzzle-slots {
+                display: flex;
+                justify-content: center;
+                gap: 12px;
+                margin-bottom: 18px;
+            }
+
+            .slot-puzzle-slot {
+                width: 100px;
+                height: 90px;
+                background: rgba(0, 0, 0, 0.6);
+                border: 2px dashed #554422;
+                display: flex;
+                flex-direction: column;
+                justify-content: center;
+                align-items: center;
+                gap: 8px;
+                cursor: pointer;
+            }
+
+            .slot-puzzle-slot.filled {
+                border-style: solid;
+                border-color: #ffcc44;
+            }
+
+            .slot-puzzle-slot-label {
+                color: #776644;
+                font-size: 6px;
+            }
+
+            .slot-puzzle-slot-item {
+                color: #ffdd88;
+                font-size: 22px;
+            }
+
+            #slot-puzzle-tray {
+                display: flex;
+                justify-content: center;
+                flex-wrap: wrap;
+                gap: 8px;
+                min-height: 80px;
+                margin-bottom: 12px;
+            }
+
+            .slot-puzzle-item {
+                width: 90px;
+                padding: 8px 4px;
+                background: rgba(0, 0, 0, 0.5);
+                border: 2px solid #333;
+                cursor: pointer;
+            }
+
+            .slot-puzzle-item:hover {
+                border-color: #666;
+            }
+
+            .slot-puzzle-item.selected {
+                border-color: #ffcc44;
+                box-shadow: 0 0 12px rgba(255, 204, 68, 0.5);
+            }
+
+            .slot-puzzle-item-icon {
+                font-size: 22px;
+                color: #ffdd88;
+                margin-bottom: 6px;
+            }
+
+            .slot-puzzle-item-name {
+                color: #aaa;
+                font-size: 6px;
+                line-height: 1.6;
+            }
+
+            .slot-puzzle-empty {
+                color: #555;
+                font-size: 7px;
+                align-self: center;
+            }
+
+            #slot-puzzle-status {
+                color: #ff6644;
+                font-size: 7px;
+                line-height: 1.8;
+                min-height: 14px;
+                margin-bottom: 12px;
+            }
+
+            #slot-puzzle-panel.slot-puzzle-solved #slot-puzzle-status {
+                color: #00ff66;
+            }
+
+            #slot-puzzle-actions {
+                display: flex;
+                gap: 10px;
+                justify-content: center;
+                margin-bottom: 10px;
+            }
+
+            .slot-puzzle-btn {
+                background: #1a140a;
+                border: 2px solid #8b6b00;
+                color: #ffcc44;
+                padding: 8px 12px;
+                font-family: 'Press Start 2P', monospace;
+                font-size: 8px;
+                cursor: pointer;
+            }
+
+            .slot-puzzle-btn:hover {
+                background: #3d2d00;
+                border-color: #ffcc44;
+            }
+
+            #slot-puzzle-keys {
+                color: #666;
+                font-size: 6px;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
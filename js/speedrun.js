@@ -0,0 +1,517 @@
+// =================================================================================
+// --- SPEEDRUN.JS - Speedrun Timer & Splits ---
+// =================================================================================
+// Every new game is timed (achievements read the final time). Speedrun mode,
+// switched on from the main menu options, adds the HUD, splits, records and
+// the results screen. A run starts with a new game and splits automatically:
+//   unlock  - the room's `door_next` is unlocked
+//   exit    - the player walks through to the next room in ROOM_ORDER
+//   finish  - the memory box opens (final time)
+// The timer pauses while the pause menu is open. Personal bests and the best
+// time spent in each room are kept in localStorage per difficulty, and the
+// results screen compares the finished run against them.
+// =================================================================================
+
+import { STATE, ROOM_DATA, ROOM_ORDER } from './config.js';
+import { SoundManager } from './sound.js';
+import { resetMovement } from './movement.js';
+import { on } from './events.js';
+
+// =================================================================================
+// SPEEDRUN STATE
+// =================================================================================
+let speedrunState = {
+    running: false,
+    shown: false,           // Speedrun mode was on at the start: HUD, splits, records
+    category: null,         // Difficulty the run is on (PBs are kept per difficulty)
+    elapsed: 0,             // Milliseconds, excluding pauses
+    lastTick: null,         // performance.now() of the previous update
+    splits: {},             // "ROOM:kind" -> elapsed ms at that split
+    lastSplit: null,        // { key, time, delta } shown under the timer
+    resultsOpen: false,
+    onResultsClose: null
+};
+
+const ENABLED_KEY = 'syntheye_speedrun_enabled';
+const RECORDS_PREFIX = 'syntheye_speedrun_';
+const SPLIT_FLASH_MS = 4000;
+
+// =================================================================================
+// SETTINGS
+// =================================================================================
+export function isSpeedrunEnabled() {
+    return localStorage.getItem(ENABLED_KEY) === 'true';
+}
+
+export function setSpeedrunEnabled(enabled) {
+    localStorage.setItem(ENABLED_KEY, enabled ? 'true' : 'false');
+}
+
+// =================================================================================
+// RUN LIFECYCLE
+// =================================================================================
+/**
+ * Start timing a new game. Called when a new game starts.
+ * @param {string} category - Difficulty key
+ */
+export function startSpeedrun(category) {
+    abortSpeedrun();
+    if (category === 'testing') return;
+
+    speedrunState.running = true;
+    speedrunState.shown = isSpeedrunEnabled();
+    speedrunState.category = category;
+    speedrunState.elapsed = 0;
+    speedrunState.lastTick = performance.now();
+    speedrunState.splits = {};
+    speedrunState.lastSplit = null;
+
+    if (speedrunState.shown) {
+        createSpeedrunHTML();
+        console.log(`Speedrun started (${category})`);
+    }
+}
+
+/**
+ * Drop the current run without recording it (loading a save, quitting).
+ */
+export function abortSpeedrun() {
+    if (speedrunState.running && speedrunState.shown) console.log('Speedrun aborted');
+    speedrunState.running = false;
+    speedrunState.category = null;
+    document.getElementById('speedrun-hud')?.classList.add('hidden');
+}
+
+export function isSpeedrunRunning() {
+    return speedrunState.running;
+}
+
+/**
+ * Time of the current or just-finished game in milliseconds, or null if it
+ * wasn't started from a new game (loaded saves aren't timed).
+ */
+export function getRunTime() {
+    return speedrunState.category === null ? null : speedrunState.elapsed;
+}
+
+/**
+ * Advance the timer. Called every frame from the game loop.
+ */
+export function updateSpeedrun() {
+    if (!speedrunState.running) return;
+
+    const now = performance.now();
+    if (STATE.interaction_mode !== 'MENU_PAUSE') {
+        speedrunState.elapsed += now - speedrunState.lastTick;
+    }
+    speedrunState.lastTick = now;
+
+    if (speedrunState.shown) renderHUD(now);
+}
+
+// =================================================================================
+// SPLITS
+// =================================================================================
+/**
+ * Split on door unlocks and room changes. Called once at startup.
+ */
+export function initSpeedrun() {
+    on('doorUnlocked', ({ roomKey, door }) => {
+        if (door === 'door_next') recordSplit(roomKey, 'unlock');
+    });
+    on('roomEntered', ({ roomKey, fromRoom }) => recordTransition(fromRoom, roomKey));
+}
+
+/**
+ * Record a split the first time it happens this run.
+ * @param {string} roomKey - Room the split belongs to
+ * @param {'unlock'|'exit'|'finish'} kind
+ */
+function recordSplit(roomKey, kind) {
+    if (!speedrunState.running || !speedrunState.shown || !ROOM_ORDER.includes(roomKey)) return;
+
+    const key = `${roomKey}:${kind}`;
+    if (speedrunState.splits[key] !== undefined) return;
+
+    const time = speedrunState.elapsed;
+    speedrunState.splits[key] = time;
+
+    const pbTime = loadRecords(speedrunState.category).pb?.splits[key];
+    speedrunState.lastSplit = {
+        key,
+        time,
+        delta: pbTime === undefined ? null : time - pbTime,
+        shownAt: performance.now()
+    };
+    console.log(`Split ${key}: ${formatTime(time)}`);
+}
+
+/**
+ * Split when the player moves forward along ROOM_ORDER.
+ */
+function recordTransition(fromRoom, toRoom) {
+    if (ROOM_ORDER.indexOf(toRoom) === ROOM_ORDER.indexOf(fromRoom) + 1) {
+        recordSplit(fromRoom, 'exit');
+    }
+}
+
+/**
+ * Stop the run on the final puzzle and show the results screen.
+ * @param {Function} onClose - Called when the results screen is dismissed
+ * @returns {boolean} False if no results are shown (caller continues directly)
+ */
+export function finishSpeedrun(onClose) {
+    if (!speedrunState.running) return false;
+
+    recordSplit(ROOM_ORDER[ROOM_ORDER.length - 1], 'finish');
+    speedrunState.running = false;
+    if (!speedrunState.shown) return false;
+
+    const records = loadRecords(speedrunState.category);
+    const roomTimes = getRoomTimes(speedrunState.splits);
+    const previousPb = records.pb;
+    const isNewPb = !previousPb || speedrunState.elapsed < previousPb.time;
+
+    saveRecords(speedrunState.category, {
+        pb: isNewPb ? { time: speedrunState.elapsed, splits: { ...speedrunState.splits } } : previousPb,
+        bestRooms: mergeBestRooms(records.bestRooms, roomTimes)
+    });
+
+    console.log(`Speedrun finished: ${formatTime(speedrunState.elapsed)}${isNewPb ? ' (new PB)' : ''}`);
+    openResults(previousPb, records.bestRooms, roomTimes, isNewPb, onClose);
+    return true;
+}
+
+/**
+ * Time spent in each room: from the previous room's exit to this room's exit
+ * (or the finish for the last room).
+ */
+function getRoomTimes(splits) {
+    const times = {};
+    let previous = 0;
+    ROOM_ORDER.forEach((roomKey, i) => {
+        const kind = i === ROOM_ORDER.length - 1 ? 'finish' : 'exit';
+        const end = splits[`${roomKey}:${kind}`];
+        if (end === undefined) return;
+        times[roomKey] = end - previous;
+        previous = end;
+    });
+    return times;
+}
+
+function mergeBestRooms(bestRooms = {}, roomTimes) {
+    const merged = { ...bestRooms };
+    for (const roomKey in roomTimes) {
+        if (merged[roomKey] === undefined || roomTimes[roomKey] < merged[roomKey]) {
+            merged[roomKey] = roomTimes[roomKey];
+        }
+    }
+    return merged;
+}
+
+// =================================================================================
+// RECORDS (localStorage)
+// =================================================================================
+/**
+ * @param {string} category - Difficulty key
+ * @returns {{pb: {time: number, splits: Object<string, number>}|null, bestRooms: Object<string, number>}}
+ */
+export function loadRecords(category) {
+    try {
+        const raw = localStorage.getItem(RECORDS_PREFIX + category);
+        const records = raw ? JSON.parse(raw) : {};
+        return { pb: records.pb || null, bestRooms: records.bestRooms || {} };
+    } catch (error) {
+        console.warn(`Speedrun records for ${category} are unreadable:`, error);
+        return { pb: null, bestRooms: {} };
+    }
+}
+
+function saveRecords(category, records) {
+    try {
+        localStorage.setItem(RECORDS_PREFIX + category, JSON.stringify(records));
+    } catch (error) {
+        console.warn('Could not save speedrun records:', error);
+    }
+}
+
+// =================================================================================
+// FORMATTING
+// =================================================================================
+/**
+ * @param {number} ms
+ * @returns {string} "m:ss.cc"
+ */
+export function formatTime(ms) {
+    const totalCentis = Math.floor(ms / 10);
+    const minutes = Math.floor(totalCentis / 6000);
+    const seconds = Math.floor(totalCentis / 100) % 60;
+    const centis = totalCentis % 100;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${String(centis).padStart(2, '0')}`;
+}
+
+function formatDelta(ms) {
+    return `${ms < 0 ? '-' : '+'}${formatTime(Math.abs(ms))}`;
+}
+
+function deltaClass(ms) {
+    return ms < 0 ? 'speedrun-ahead' : 'speedrun-behind';
+}
+
+// =================================================================================
+// HUD
+// =================================================================================
+function renderHUD(now) {
+    const hud = document.getElementById('speedrun-hud');
+    hud.classList.toggle('hidden', STATE.interaction_mode === 'MENU');
+    document.getElementById('speedrun-time').textContent = formatTime(speedrunState.elapsed);
+
+    const splitEl = document.getElementById('speedrun-split');
+    const split = speedrunState.lastSplit;
+    if (!split || now - split.shownAt > SPLIT_FLASH_MS) {
+        splitEl.textContent = '';
+        return;
+    }
+
+    const [roomKey, kind] = split.key.split(':');
+    const label = `${ROOM_DATA[roomKey].name} ${kind.toUpperCase()}`;
+    splitEl.className = split.delta === null ? '' : deltaClass(split.delta);
+    splitEl.textContent = split.delta === null ? label : `${label} ${formatDelta(split.delta)}`;
+}
+
+// =================================================================================
+// RESULTS SCREEN
+// =================================================================================
+function openResults(previousPb, bestRooms, roomTimes, isNewPb, onClose) {
+    createSpeedrunHTML();
+    resetMovement();
+    STATE.interaction_mode = 'PUZZLE';
+    speedrunState.resultsOpen = true;
+    speedrunState.onResultsClose = onClose;
+
+    const time = speedrunState.elapsed;
+    const pbRoomTimes = previousPb ? getRoomTimes(previousPb.splits) : {};
+
+    const rows = ROOM_ORDER.map(roomKey => {
+        const roomTime = roomTimes[roomKey];
+        const pbTime = pbRoomTimes[roomKey];
+        const isBest = roomTime !== undefined && (bestRooms[roomKey] === undefined || roomTime < bestRooms[roomKey]);
+        const vsPb = roomTime !== undefined && pbTime !== undefined
+            ? `<span class="${deltaClass(roomTime - pbTime)}">${formatDelta(roomTime - pbTime)}</span>`
+            : '—';
+        return `
+            <tr class="${isBest ? 'speedrun-best' : ''}">
+                <td>${ROOM_DATA[roomKey].name}</td>
+                <td>${roomTime === undefined ? '—' : formatTime(roomTime)}</td>
+                <td>${vsPb}</td>
+                <td>${bestRooms[roomKey] === undefined ? '—' : formatTime(bestRooms[roomKey])}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const comparison = previousPb
+        ? `PB ${formatTime(previousPb.time)} <span class="${deltaClass(time - previousPb.time)}">${formatDelta(time - previousPb.time)}</span>`
+        : 'FIRST RECORDED RUN';
+
+    document.getElementById('speedrun-results-body').innerHTML = `
+        <div class="speedrun-results-category">${speedrunState.category.toUpperCase()}</div>
+        <div class="speedrun-results-time">${formatTime(time)}</div>
+        <div class="speedrun-results-pb">${isNewPb ? 'NEW PERSONAL BEST!' : ''}</div>
+        <div class="speedrun-results-compare">${comparison}</div>
+        <table class="speedrun-results-table">
+            <tr><th>ROOM</th><th>TIME</th><th>VS PB</th><th>BEST</th></tr>
+            ${rows}
+        </table>
+    `;
+
+    document.getElementById('speedrun-hud').classList.add('hidden');
+    document.getElementById('speedrun-results').classList.remove('hidden');
+    if (isNewPb) SoundManager.playSuccess();
+}
+
+export function closeSpeedrunResults() {
+    if (!speedrunState.resultsOpen) return;
+
+    speedrunState.resultsOpen = false;
+    document.getElementById('speedrun-results').classList.add('hidden');
+    if (STATE.interaction_mode === 'PUZZLE') {
+        STATE.interaction_mode = 'OVERWORLD';
+    }
+
+    const onClose = speedrunState.onResultsClose;
+    speedrunState.onResultsClose = null;
+    if (onClose) onClose();
+}
+
+export function isSpeedrunResultsOpen() {
+    return speedrunState.resultsOpen;
+}
+
+// =================================================================================
+// KEYBOARD HANDLER
+// =================================================================================
+export function handleSpeedrunResultsKeydown(event) {
+    if (!speedrunState.resultsOpen) return false;
+
+    if (event.key === 'Enter' || event.key === 'Escape' || event.key === ' ') {
+        event.preventDefault();
+        SoundManager.playBlip();
+        closeSpeedrunResults();
+    }
+    return true;
+}
+
+// =================================================================================
+// CREATE HTML STRUCTURE
+// =================================================================================
+function createSpeedrunHTML() {
+    if (document.getElementById('speedrun-hud')) return;
+
+    const html = `
+        <div id="speedrun-hud" class="hidden">
+            <div id="speedrun-time">0:00.00</div>
+            <div id="speedrun-split"></div>
+        </div>
+        <div id="speedrun-results" class="hidden">
+            <div id="speedrun-results-panel">
+                <div class="speedrun-results-header">RUN COMPLETE</div>
+                <div id="speedrun-results-body"></div>
+                <button id="speedrun-results-continue">[ ENTER ] CONTINUE</button>
+            </div>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend', html);
+
+    document.getElementById('speedrun-results-continue').addEventListener('click', () => {
+        SoundManager.playBlip();
+        closeSpeedrunResults();
+    });
+
+    addSpeedrunStyles();
+}
+
+// =================================================================================
+// ADD CSS STYLES
+// =================================================================================
+function addSpeedrunStyles() {
+    if (document.getElementById('speedrun-styles')) return;
+
+    const styles = `
+        <style id="speedrun-styles">
+            #speedrun-hud {
+                position: fixed;
+                top: 16px;
+                left: 50%;
+                transform: translateX(-50%);
+                text-align: center;
+                font-family: 'Press Start 2P', monospace;
+                color: #ffffff;
+                text-shadow: 0 0 6px rgba(0, 0, 0, 0.9);
+                z-index: 600;
+                pointer-events: none;
+            }
+
+            #speedrun-hud.hidden,
+            #speedrun-results.hidden {
+                display: none;
+            }
+
+            #speedrun-time {
+                font-size: 16px;
+            }
+
+            #speedrun-split {
+                font-size: 8px;
+                margin-top: 6px;
+                color: #aaaaaa;
+            }
+
+            .speedrun-ahead {
+                color: #44ff66 !important;
+            }
+
+            .speedrun-behind {
+                color: #ff5555 !important;
+            }
+
+            #speedrun-results {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.85);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 2000;
+            }
+
+            #speedrun-results-panel {
+                background: #0a0a0a;
+                border: 3px solid #ffffff;
+                padding: 24px 32px;
+                font-family: 'Press Start 2P', monospace;
+                color: #ffffff;
+                text-align: center;
+                min-width: 520px;
+            }
+
+            .speedrun-results-header {
+                font-size: 14px;
+                margin-bottom: 16px;
+            }
+
+            .speedrun-results-category {
+                font-size: 8px;
+                color: #888888;
+            }
+
+            .speedrun-results-time {
+                font-size: 28px;
+                margin: 12px 0;
+            }
+
+            .speedrun-results-pb {
+                font-size: 10px;
+                color: #ffdd55;
+                min-height: 14px;
+            }
+
+            .speedrun-results-compare {
+                font-size: 8px;
+                margin: 8px 0 16px;
+            }
+
+            .speedrun-results-table {
+                width: 100%;
+                font-size: 8px;
+                border-collapse: collapse;
+                margin-bottom: 20px;
+            }
+
+            .speedrun-results-table th {
+                color: #888888;
+                font-weight: normal;
+                padding-bottom: 8px;
+            }
+
+            .speedrun-results-table td {
+                padding: 4px 6px;
+            }
+
+            .speedrun-results-table tr.speedrun-best td:first-child {
+                color: #ffdd55;
+            }
+
+            #speedrun-results-continue {
+                background: #222222;
+                border: 2px solid #ffffff;
+                color: #ffffff;
+                font-family: 'Press Start 2P', monospace;
+                font-size: 8px;
+                padding: 8px 14px;
+                cursor: pointer;
+            }
+        </style>
+    `;
+
+    document.head.insertAdjacentHTML('beforeend', styles);
+}
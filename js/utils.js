@@ -6,7 +6,8 @@
 
 import { STATE, PORTFOLIO_CONTENT } from './config.js';
 import { SoundManager } from './sound.js';
-import { setClueFound } from './puzzle.js';
+import { recordClue } from './progression.js';
+import { recordJournalEntry } from './journal.js';
 import { startInspectionView, stopInspectionView } from './inspection.js';
 import { scene, targetMarkerMesh, playerMesh } from './three-init.js';
 import { currentRoomGroup, collidableMeshes, setCollidableMeshes, setCurrentRoomGroup } from './rooms.js';
@@ -20,6 +21,13 @@ export const menuItems = document.querySelectorAll('#menu-options .menu-item');
 // =================================================================================
 // SCREEN MANAGEMENT
 // =================================================================================
+// Callback when the main menu is shown (set by main.js to refresh save entries)
+let onMainMenuShownCallback = null;
+
+export function setOnMainMenuShown(callback) {
+    onMainMenuShownCallback = callback;
+}
+
 export function setScreen(newScreen) {
     document.querySelectorAll('.screen').forEach(el => el.classList.add('hidden'));
     document.getElementById(newScreen).classList.remove('hidden');
@@ -27,6 +35,7 @@ export function setScreen(newScreen) {
     if (newScreen === 'main-menu') {
         STATE.screen = 'main-menu';
         STATE.interaction_mode = 'MENU';
+        if (onMainMenuShownCallback) onMainMenuShownCallback();
     } else if (newScreen === 'difficulty-select') {
         STATE.screen = 'difficulty-select';
         STATE.interaction_mode = 'MENU';
@@ -60,7 +69,7 @@ export function handleMenuClick(element, index) {
 }
 
 export function handleMenuAction(action) {
-    // 'start' action is handled directly in main.js to avoid circular dependency
+    // 'start', 'continue' and 'load' are handled directly in main.js to avoid circular dependency
     if (action === 'options') {
         // Show main menu options (not the in-game pause menu)
         showMenu('main-menu-options');
@@ -88,7 +97,7 @@ export function hideMenu(menuId) {
     document.getElementById(menuId).classList.add('hidden');
 
     // Check if we were in main menu context (main-menu-options, how-to-play from main menu, etc.)
-    const mainMenuOverlays = ['main-menu-options', 'how-to-play-menu', 'bug-report-menu', 'credits-menu'];
+    const mainMenuOverlays = ['main-menu-options', 'how-to-play-menu', 'bug-report-menu', 'credits-menu', 'achievements-menu'];
     if (mainMenuOverlays.includes(menuId) && STATE.screen !== 'overworld') {
         // Return to main menu, not overworld
         STATE.interaction_mode = 'MENU';
@@ -103,10 +112,6 @@ export function hideMenu(menuId) {
 // RETURN TO MAIN MENU
 // =================================================================================
 export function returnToMainMenu(sceneRef, currentRoomGroupRef) {
-    STATE.clues_found = [false, false, false];
-    STATE.secret_unlocked = false;
-    STATE.current_room = 'ROOM_HALL';
-    STATE.player_pos.set(0, 1, 0);
     STATE.active_target = null;
     STATE.active_hotspot = null;
 
@@ -117,7 +122,14 @@ export function returnToMainMenu(sceneRef, currentRoomGroupRef) {
     }
 
     if (targetMarkerMesh) targetMarkerMesh.visible = false;
-    setScreen('main-menu');
+
+    // Keep this run in its save slot, then put every room back to a fresh game.
+    // Dynamic import to avoid circular dependency (save.js -> interactions.js -> utils.js)
+    import('./save.js').then(save => {
+        save.autosave();
+        save.resetProgress();
+        setScreen('main-menu');
+    });
 }
 
 // =================================================================================
@@ -128,15 +140,26 @@ export function openPopup(content) {
     STATE.active_target = null;
     if (targetMarkerMesh) targetMarkerMesh.visible = false;
 
+    // Documents and clues go in the journal (one-off inline messages don't)
+    if (content.content_id || content.clue) {
+        const data = content.content_id ? PORTFOLIO_CONTENT[content.content_id] : content;
+        recordJournalEntry({
+            id: `document:${content.content_id || content.clue}`,
+            kind: content.clue ? 'clue' : 'document',
+            title: data.title.toUpperCase(),
+            text: data.text
+        });
+    }
+
     if (content.type === 'text' || content.type === 'puzzle') {
-        const data = PORTFOLIO_CONTENT[content.content_id];
+        // Inline popups (no content_id) carry their own title/text
+        const data = content.content_id ? PORTFOLIO_CONTENT[content.content_id] : content;
         document.getElementById('popup-title').textContent = data.title.toUpperCase();
         document.getElementById('popup-text').textContent = data.text.toUpperCase();
 
         let clueStatus = '';
-        if (content.clue !== undefined) {
-            setClueFound(content.clue);
-            clueStatus = STATE.clues_found[content.clue] ? "CLUE LOGGED" : "CLUE FOUND: CHECK LOG";
+        if (content.clue) {
+            clueStatus = recordClue(content.clue) ? "CLUE FOUND: CHECK LOG" : "CLUE LOGGED";
         }
         document.getElementById('popup-clue-status').textContent = clueStatus;
 
@@ -149,9 +172,8 @@ export function openPopup(content) {
         document.getElementById('inspect-description').textContent = data.text.toUpperCase();
 
         let clueStatus = '';
-        if (content.clue !== undefined) {
-            setClueFound(content.clue);
-            clueStatus = STATE.clues_found[content.clue] ? "CLUE LOGGED" : "CLUE FOUND: CHECK LOG";
+        if (content.clue) {
+            clueStatus = recordClue(content.clue) ? "CLUE FOUND: CHECK LOG" : "CLUE LOGGED";
         }
         document.getElementById('inspect-clue-status').textContent = clueStatus;
 
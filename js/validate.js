@@ -0,0 +1,303 @@
+// =================================================================================
+// --- VALIDATE.JS - Game Data Validation ---
+// =================================================================================
+// Checks room, hotspot and item data for the mistakes that otherwise only show
+// up at runtime (or never): missing fields for a hotspot's type, references to
+// rooms, items, doors, video screens or popup content that don't exist, and
+// camera zones of equal priority that overlap.
+//
+// Runs on boot (main.js logs the list as a warning) and from
+// scripts/validate-data.mjs in node. It imports nothing, so the same checks work
+// on loaded ROOM_DATA (THREE.Vector3 positions) and on raw room JSON ([x, y, z]).
+//
+// Every problem is collected, so one run reports them all:
+//   ROOM_CONCERT.hotspots[1] (road_case): rules[1].then[0].onSolve[0]: unknown item "film_reel_x"
+// =================================================================================
+
+// =================================================================================
+// SCHEMA
+// =================================================================================
+// Fields each hotspot type needs on top of name, pos, radius, type and prompt.
+// `rules` hotspots are run by rules.js, so their type needs nothing extra.
+const HOTSPOT_TYPES = {
+    door: ['target_room', 'target_spawn'],
+    inspect: [],
+    text: [],
+    pickup: ['itemId'],
+    padlock: ['rules'],
+    puzzle_statue: ['rules'],
+    puzzle_projector: ['requiredItems', 'solution', 'milestone', 'videoScreenId'],
+    puzzle_terminal: ['requiredItems', 'solution', 'milestone'],
+    puzzle_console: ['requiredItems', 'solution', 'milestone'],
+    puzzle_compile: ['requiredItems', 'solution', 'milestone'],
+    puzzle_final: ['password', 'fragments', 'milestone'],
+    video_screen: ['videoScreenId']
+};
+
+// Rule effects (see rules.js) and the fields each one needs
+const EFFECT_TYPES = {
+    removeItems: ['items'],
+    addItems: ['items'],
+    spawnReward: ['item'],
+    unlockDoor: ['door'],
+    setFlag: ['flag'],
+    narration: [],
+    popup: [],
+    sound: ['sound'],
+    setPrompt: ['prompt'],
+    solve: [],
+    completePuzzle: [],
+    openPadlock: ['code', 'onSolve'],
+    clue: ['name'],
+    milestone: ['name']
+};
+
+// Rule conditions that name items
+const ITEM_CONDITIONS = ['hasItems', 'hasAnyItem', 'lacksItems'];
+
+// =================================================================================
+// VALIDATE
+// =================================================================================
+/**
+ * Check all game data and list every problem found.
+ * @param {Object} data
+ * @param {Object} data.rooms - ROOM_DATA (or room JSON keyed the same way)
+ * @param {Object} data.items - ITEM_DATA
+ * @param {Object} [data.content] - PORTFOLIO_CONTENT, for popup content IDs
+ * @param {string[]} [data.order] - ROOM_ORDER
+ * @returns {string[]} Problems, empty if the data is valid
+ */
+export function validateGameData({ rooms, items, content = {}, order = [] }) {
+    const problems = [];
+    const ctx = { rooms, items, content, problems };
+
+    order.forEach(key => {
+        if (!rooms[key]) problems.push(`ROOM_ORDER: unknown room "${key}"`);
+    });
+    for (const key in rooms) validateRoom(ctx, key, rooms[key]);
+    for (const id in items) validateItem(ctx, id, items[id]);
+
+    return problems;
+}
+
+/**
+ * One readable block for the console or terminal.
+ */
+export function formatProblems(problems) {
+    if (problems.length === 0) return 'Game data OK';
+    const noun = problems.length === 1 ? 'problem' : 'problems';
+    return `${problems.length} ${noun} in game data:\n` + problems.map(p => `  - ${p}`).join('\n');
+}
+
+// =================================================================================
+// ROOMS
+// =================================================================================
+function validateRoom(ctx, key, room) {
+    const report = message => ctx.problems.push(`${key}: ${message}`);
+
+    if (!room.name) report('missing name');
+    if (!isVector(room.spawn)) report('spawn must be [x, y, z]');
+    for (const list of ['geometry', 'hotspots']) {
+        if (!Array.isArray(room[list])) report(`missing ${list} array`);
+    }
+
+    (room.geometry || []).forEach((geo, i) => {
+        const where = `geometry[${i}]${geo.name ? ` (${geo.name})` : ''}`;
+        if (!geo.name) report(`${where}: missing name`);
+        if (!isTriple(geo.dim)) report(`${where}: dim must be [w, h, d]`);
+        if (!isTriple(geo.pos)) report(`${where}: pos must be [x, y, z]`);
+    });
+
+    checkUnique(report, 'hotspots', room.hotspots);
+    (room.hotspots || []).forEach((hotspot, i) => {
+        const where = `hotspots[${i}]${hotspot.name ? ` (${hotspot.name})` : ''}`;
+        validateHotspot(ctx, room, hotspot, message => report(`${where}: ${message}`));
+    });
+
+    checkUnique(report, 'itemSpawns', (room.itemSpawns || []).map(spawn => ({ id: spawn.id || spawn.itemId })), 'id');
+    (room.itemSpawns || []).forEach((spawn, i) => {
+        if (!ctx.items[spawn.itemId]) report(`itemSpawns[${i}]: unknown item "${spawn.itemId}"`);
+        if (!isVector(spawn.pos)) report(`itemSpawns[${i}]: pos must be [x, y, z]`);
+    });
+
+    (room.selfDialogTriggers || []).forEach((trigger, i) => {
+        const where = `selfDialogTriggers[${i}]${trigger.name ? ` (${trigger.name})` : ''}`;
+        requireFields(message => report(`${where}: ${message}`), trigger, ['name', 'radius', 'dialog']);
+        if (!isVector(trigger.pos)) report(`${where}: pos must be [x, y, z]`);
+    });
+
+    checkUnique(report, 'videoScreens', room.videoScreens, 'id');
+    validateCameraZones(report, room.cameraZones || []);
+}
+
+// =================================================================================
+// HOTSPOTS
+// =================================================================================
+function validateHotspot(ctx, room, hotspot, report) {
+    requireFields(report, hotspot, ['name', 'radius', 'prompt']);
+    if (!isVector(hotspot.pos)) report('pos must be [x, y, z]');
+
+    const required = HOTSPOT_TYPES[hotspot.type];
+    if (!required) {
+        report(`unknown type "${hotspot.type}"`);
+    } else {
+        requireFields(report, hotspot, required);
+    }
+
+    if (hotspot.target_room !== undefined && !ctx.rooms[hotspot.target_room]) {
+        report(`target_room: unknown room "${hotspot.target_room}"`);
+    }
+    if (hotspot.target_spawn !== undefined && !isVector(hotspot.target_spawn)) {
+        report('target_spawn must be [x, y, z]');
+    }
+    if (hotspot.videoScreenId !== undefined &&
+        !(room.videoScreens || []).some(screen => screen.id === hotspot.videoScreenId)) {
+        report(`videoScreenId: no videoScreens entry "${hotspot.videoScreenId}" in this room`);
+    }
+    if (hotspot.content_id !== undefined && !ctx.content[hotspot.content_id]) {
+        report(`content_id: unknown content "${hotspot.content_id}"`);
+    }
+
+    checkItems(ctx, report, 'requiredItems', hotspot.requiredItems);
+    checkItems(ctx, report, 'solution', hotspot.solution);
+    if (hotspot.itemId !== undefined) checkItems(ctx, report, 'itemId', [hotspot.itemId]);
+
+    (hotspot.fragments || []).forEach((fragment, i) => {
+        if (!fragment.revealId) report(`fragments[${i}]: missing revealId`);
+    });
+
+    (hotspot.rules || []).forEach((rule, i) => {
+        validateRule(ctx, room, rule, `rules[${i}]`, report);
+    });
+    (hotspot.useItems || []).forEach((use, i) => {
+        if (!ctx.items[use.item]) report(`useItems[${i}]: unknown item "${use.item}"`);
+        validateRule(ctx, room, use, `useItems[${i}]`, report);
+    });
+}
+
+function validateRule(ctx, room, rule, where, report) {
+    const when = rule.when || {};
+    ITEM_CONDITIONS.forEach(name => checkItems(ctx, report, `${where}.when.${name}`, when[name]));
+
+    if (!Array.isArray(rule.then)) {
+        report(`${where}: missing then array`);
+        return;
+    }
+    rule.then.forEach((effect, i) => validateEffect(ctx, room, effect, `${where}.then[${i}]`, report));
+}
+
+function validateEffect(ctx, room, effect, where, report) {
+    const required = EFFECT_TYPES[effect.type];
+    if (!required) {
+        report(`${where}: unknown effect "${effect.type}"`);
+        return;
+    }
+    requireFields(message => report(`${where}: ${message}`), effect, required);
+
+    checkItems(ctx, report, `${where}.items`, effect.items);
+    if (effect.item !== undefined) checkItems(ctx, report, `${where}.item`, [effect.item]);
+
+    if (effect.room !== undefined && !ctx.rooms[effect.room]) {
+        report(`${where}: unknown room "${effect.room}"`);
+    }
+    if (effect.type === 'unlockDoor') {
+        const doorRoom = ctx.rooms[effect.room] || room;
+        if (!(doorRoom.hotspots || []).some(h => h.name === effect.door && h.type === 'door')) {
+            report(`${where}: no door hotspot "${effect.door}"`);
+        }
+    }
+    if (effect.type === 'narration' && !effect.key && !effect.text) {
+        report(`${where}: narration needs key or text`);
+    }
+    if (effect.type === 'popup') {
+        if (effect.contentId !== undefined && !ctx.content[effect.contentId]) {
+            report(`${where}: unknown content "${effect.contentId}"`);
+        } else if (effect.contentId === undefined && !effect.text) {
+            report(`${where}: popup needs contentId or text`);
+        }
+    }
+
+    (effect.onSolve || []).forEach((inner, i) => validateEffect(ctx, room, inner, `${where}.onSolve[${i}]`, report));
+}
+
+// =================================================================================
+// CAMERA ZONES
+// =================================================================================
+// The player's zone is the highest-priority one containing them, so two zones
+// of the same priority sharing floor space leave the camera to whichever comes
+// first in the list. Zones that only touch at an edge are fine.
+// =================================================================================
+function validateCameraZones(report, zones) {
+    zones.forEach((zone, i) => {
+        const b = zone.bounds;
+        if (!b || ![b.x1, b.x2, b.z1, b.z2].every(n => typeof n === 'number')) {
+            report(`cameraZones[${i}] (${zone.name}): bounds need x1, x2, z1, z2`);
+        } else if (b.x1 >= b.x2 || b.z1 >= b.z2) {
+            report(`cameraZones[${i}] (${zone.name}): bounds are empty (x1 >= x2 or z1 >= z2)`);
+        }
+    });
+
+    for (let i = 0; i < zones.length; i++) {
+        for (let j = i + 1; j < zones.length; j++) {
+            const a = zones[i], b = zones[j];
+            if ((a.priority || 0) !== (b.priority || 0) || !a.bounds || !b.bounds) continue;
+            if (a.bounds.x1 < b.bounds.x2 && b.bounds.x1 < a.bounds.x2 &&
+                a.bounds.z1 < b.bounds.z2 && b.bounds.z1 < a.bounds.z2) {
+                report(`cameraZones "${a.name}" and "${b.name}" overlap at the same priority (${a.priority || 0})`);
+            }
+        }
+    }
+}
+
+// =================================================================================
+// ITEMS
+// =================================================================================
+function validateItem(ctx, id, item) {
+    const report = message => ctx.problems.push(`ITEM_DATA.${id}: ${message}`);
+    requireFields(report, item, ['name', 'description', 'icon']);
+
+    for (const other in item.combinesWith || {}) {
+        if (!ctx.items[other]) report(`combinesWith: unknown item "${other}"`);
+        if (!ctx.items[item.combinesWith[other]]) report(`combinesWith.${other}: unknown result "${item.combinesWith[other]}"`);
+    }
+}
+
+// =================================================================================
+// HELPERS
+// =================================================================================
+function isTriple(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number');
+}
+
+// [x, y, z] in JSON, THREE.Vector3 once loaded
+function isVector(value) {
+    if (Array.isArray(value)) return isTriple(value);
+    return !!value && ['x', 'y', 'z'].every(axis => typeof value[axis] === 'number');
+}
+
+function requireFields(report, object, fields) {
+    fields.forEach(field => {
+        if (object[field] === undefined || object[field] === null || object[field] === '') {
+            report(`missing ${field}`);
+        }
+    });
+}
+
+function checkItems(ctx, report, where, ids) {
+    if (ids === undefined) return;
+    if (!Array.isArray(ids)) {
+        report(`${where} must be a list of item IDs`);
+        return;
+    }
+    ids.forEach(id => {
+        if (!ctx.items[id]) report(`${where}: unknown item "${id}"`);
+    });
+}
+
+function checkUnique(report, list, entries = [], key = 'name') {
+    const seen = new Set();
+    entries.forEach(entry => {
+        if (seen.has(entry[key])) report(`${list}: duplicate ${key} "${entry[key]}"`);
+        seen.add(entry[key]);
+    });
+}
@@ -38,6 +38,7 @@ let savedCameraTarget = null;
  * @param {number} config.height - Screen height
  * @param {THREE.Vector3} config.cameraPosition - Camera position when inspecting
  * @param {THREE.Vector3} config.cameraTarget - Camera look-at when inspecting
+ * @param {boolean} config.hidden - If true, stays off until revealVideoScreen() is called
  * @returns {Object} The video screen object
  */
 export function createVideoScreen(config) {
@@ -50,7 +51,8 @@ export function createVideoScreen(config) {
         width = 4,
         height = 2.25,
         cameraPosition,
-        cameraTarget
+        cameraTarget,
+        hidden = false
     } = config;
 
     // Create video element
@@ -92,6 +94,8 @@ export function createVideoScreen(config) {
         texture,
         cameraPosition: cameraPosition || position.clone().add(new THREE.Vector3(0, 0, 3)),
         cameraTarget: cameraTarget || position.clone(),
+        hidden,
+        initiallyHidden: hidden,
         isPlaying: false
     };
 
@@ -145,7 +149,8 @@ export function initializeVideoScreens() {
                     width: screenConfig.width || 4,
                     height: screenConfig.height || 2.25,
                     cameraPosition: camPos,
-                    cameraTarget: camTarget
+                    cameraTarget: camTarget,
+                    hidden: screenConfig.hidden || false
                 });
 
                 console.log(`Created video screen: ${screenConfig.id} for room: ${roomKey}`);
@@ -165,7 +170,7 @@ export function initializeVideoScreens() {
  */
 export function activateRoomVideos(roomKey) {
     videoScreens.forEach(screen => {
-        if (screen.roomKey === roomKey) {
+        if (screen.roomKey === roomKey && !screen.hidden) {
             screen.videoElement.muted = true;
             screen.videoElement.volume = 0;
             screen.videoElement.play().catch(e => {
@@ -182,6 +187,53 @@ export function activateRoomVideos(roomKey) {
     console.log(`Activated videos for room: ${roomKey}`);
 }
 
+/**
+ * Reveal a hidden video screen (e.g. a projection unlocked by a puzzle).
+ * Starts it immediately if its room is the current room.
+ */
+export function revealVideoScreen(screenId) {
+    const screen = videoScreens.find(s => s.id === screenId);
+    if (!screen) {
+        console.error(`Video screen not found: ${screenId}`);
+        return false;
+    }
+
+    screen.hidden = false;
+
+    if (screen.roomKey === STATE.current_room) {
+        activateRoomVideos(screen.roomKey);
+    }
+
+    console.log(`Revealed video screen: ${screenId}`);
+    return true;
+}
+
+/**
+ * IDs of screens that started hidden and have since been revealed.
+ * @returns {string[]}
+ */
+export function getRevealedVideoScreenIds() {
+    return videoScreens.filter(s => s.initiallyHidden && !s.hidden).map(s => s.id);
+}
+
+/**
+ * Re-hide every initially hidden screen except the given ones (used when
+ * loading a save). Revealed screens start the next time their room activates.
+ * @param {string[]} revealedIds
+ */
+export function restoreVideoScreens(revealedIds) {
+    videoScreens.forEach(screen => {
+        if (!screen.initiallyHidden) return;
+
+        screen.hidden = !revealedIds.includes(screen.id);
+        if (screen.hidden) {
+            screen.videoElement.pause();
+            screen.isPlaying = false;
+            if (screen.mesh.parent) scene.remove(screen.mesh);
+        }
+    });
+}
+
 /**
  * Deactivate all video screens for a room (pause and detach)
  */
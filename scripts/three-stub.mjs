@@ -0,0 +1,15 @@
+// =================================================================================
+// --- THREE-STUB.MJS - Stand-in for 'three' in node scripts ---
+// =================================================================================
+// The data modules only touch three when they load (config.js creates
+// STATE.player_pos), so scripts/validate-data.mjs resolves 'three' here
+// instead of downloading the real library.
+// =================================================================================
+
+export class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+}
@@ -0,0 +1,51 @@
+// =================================================================================
+// --- VALIDATE-DATA.MJS - Game Data Check (node) ---
+// =================================================================================
+// Runs the js/validate.js checks over config.js, inventory.js and the room
+// files in assets/rooms/ without opening the game:
+//
+//   node scripts/validate-data.mjs
+//
+// Prints every problem and exits with 1 if there are any. The game modules
+// import 'three' by bare name; config.js only needs it for a Vector3, so it
+// resolves to scripts/three-stub.mjs and the check runs offline.
+// =================================================================================
+
+import { readFile } from 'node:fs/promises';
+import { register } from 'node:module';
+
+const root = new URL('../', import.meta.url);
+
+// =================================================================================
+// THREE STUB
+// =================================================================================
+// Module hooks run on their own thread, so they get the stub's URL as data
+const hooks = `
+    const stub = ${JSON.stringify(new URL('scripts/three-stub.mjs', root).href)};
+    export async function resolve(specifier, context, next) {
+        if (specifier === 'three') return { url: stub, shortCircuit: true };
+        return next(specifier, context);
+    }
+`;
+register(`data:text/javascript,${encodeURIComponent(hooks)}`);
+
+// =================================================================================
+// VALIDATE
+// =================================================================================
+const { ROOM_FILES, ROOM_ORDER, PORTFOLIO_CONTENT } = await import('../js/config.js');
+const { ITEM_DATA } = await import('../js/inventory.js');
+const { validateGameData, formatProblems } = await import('../js/validate.js');
+
+const rooms = {};
+const problems = [];
+for (const [key, path] of Object.entries(ROOM_FILES)) {
+    try {
+        rooms[key] = JSON.parse(await readFile(new URL(path, root), 'utf8'));
+    } catch (error) {
+        problems.push(`${key}: could not read ${path} (${error.message})`);
+    }
+}
+
+problems.push(...validateGameData({ rooms, items: ITEM_DATA, content: PORTFOLIO_CONTENT, order: ROOM_ORDER }));
+console.log(formatProblems(problems));
+process.exitCode = problems.length > 0 ? 1 : 0;